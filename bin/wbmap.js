@@ -0,0 +1,454 @@
+#!/usr/bin/env node
+/**
+ * WorldBox地图创建器命令行工具
+ * 批量将PNG图片转换为.wbox存档，转换逻辑与网页版相同（见js/nodeCore.js）
+ *
+ * 用法：wbmap convert <图片或文件夹...> [选项]
+ * 示例：wbmap convert in.png -m colors.xlsx -o out.wbox --tolerance 10
+ *       wbmap convert scenarios/ -m colors.xlsx -o build/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const core = require('../js/nodeCore.js');
+
+const {
+    ImageProcessor, PaletteQuantizer, Heightmap, PostProcessor, ConversionPipeline,
+    TileCatalog, WorldSizes, WorldLaws, Civilizations, RegionLabels, SaveSchemas, SaveGenerator, ExcelParser, ColorMapIO, PngCodec, MapStatistics
+} = core;
+
+/**
+ * 选项定义：name为选项名，alias为短选项，key为结果中的属性名，flag表示不带参数
+ */
+const OPTIONS = [
+    { name: 'map', alias: 'm', key: 'map', description: '颜色映射表（.xlsx/.json/.csv/.gpl/.txt），默认 default.xlsx' },
+    { name: 'output', alias: 'o', key: 'output', description: '输出文件；多个输入或以/结尾时为输出文件夹，默认与输入文件相同的位置' },
+    { name: 'tolerance', alias: 't', key: 'tolerance', description: '颜色容忍度 0-100，默认 0' },
+    { name: 'metric', key: 'metric', description: `颜色距离算法：${Object.keys(core.ColorMetrics.METRICS).join('|')}` },
+    { name: 'resize', key: 'resize', description: `尺寸调整模式：${Object.keys(ImageProcessor.RESIZE_MODES).join('|')}，默认 crop` },
+    { name: 'size', key: 'size', description: `目标尺寸（zone），如 5x5（最大 ${WorldSizes.MAX_ZONES}x${WorldSizes.MAX_ZONES}），或世界尺寸预设：${WorldSizes.PRESETS.map(preset => preset.id).join('|')}` },
+    { name: 'filler', key: 'filler', description: `填充区域的tile类型，默认 ${ImageProcessor.DEFAULT_FILLER_TILE}` },
+    { name: 'unmatched', key: 'unmatched', description: `未匹配像素的处理方式：${Object.keys(ImageProcessor.UNMATCHED_POLICIES).join('|')}` },
+    { name: 'fallback', key: 'fallback', description: `未匹配像素的tile类型，默认 ${ImageProcessor.DEFAULT_FALLBACK_TILE}` },
+    { name: 'dither', key: 'dither', description: `照片量化的抖动方式：${Object.keys(PaletteQuantizer.DITHER_MODES).join('|')}（指定后启用量化）` },
+    { name: 'weights', key: 'weights', description: '量化时的tile权重，如 "lava0=0,sand=0.5"' },
+    { name: 'quantized-png', key: 'quantizedPng', flag: true, description: '量化时另存量化结果为 <输出>.quantized.png' },
+    { name: 'heightmap', key: 'heightmap', flag: true, description: '按灰度高度图转换' },
+    { name: 'bands', key: 'bands', description: '高度图的高度分段，格式见README' },
+    { name: 'post-process', key: 'postProcess', flag: true, description: '启用后处理（规则来自 --rules、映射表中的规则或默认规则）' },
+    { name: 'rules', key: 'rules', description: '后处理规则JSON文件' },
+    { name: 'save-version', key: 'saveVersion', description: `存档版本：${SaveSchemas.PROFILES.map(profile => profile.id).join('|')}` },
+    { name: 'camera', key: 'camera', description: `相机初始位置：${Object.keys(SaveGenerator.CAMERA_MODES).filter(mode => mode !== 'manual').join('|')}` },
+    { name: 'zoom', key: 'zoom', description: '相机缩放，默认 1.0' },
+    { name: 'world-laws', key: 'worldLaws', description: `世界法则预设：${Object.keys(WorldLaws.PRESETS).join('|')}（不指定时不写入）` },
+    { name: 'settlements', key: 'settlements', description: '预置的王国和城市（.json/.csv），坐标为tile坐标（左下角为原点）；实验性，需同时指定 --experimental' },
+    { name: 'regions', key: 'regions', description: '地区名称JSON文件；为 auto 时按陆地自动命名，并另存为 <输出>.regions.json' },
+    { name: 'player-name', key: 'playerName', description: '创造者名称' },
+    { name: 'experimental', key: 'experimental', flag: true, description: '启用实验性功能（--settlements），其存档记录尚未与游戏保存的存档核对' },
+    { name: 'stats', key: 'stats', flag: true, description: '另存地图统计报告为 <输出>.stats.json 和 <输出>.stats.csv' },
+    { name: 'help', alias: 'h', key: 'help', flag: true, description: '显示帮助' }
+];
+
+/**
+ * 命令行参数错误（退出码2）
+ */
+class UsageError extends Error {}
+
+/**
+ * 解析命令行参数
+ * @param {string[]} args - 参数（不含node和脚本路径）
+ * @returns {{command: string|null, inputs: string[], options: Object}} 命令、输入路径和选项
+ */
+function parseArgs(args) {
+    const result = { command: null, inputs: [], options: {} };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('-') || arg === '-') {
+            if (result.command === null) {
+                result.command = arg;
+            } else {
+                result.inputs.push(arg);
+            }
+            continue;
+        }
+
+        const [flagName, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+        const option = OPTIONS.find(item => (arg.startsWith('--') ? item.name : item.alias) === flagName);
+        if (!option) {
+            throw new UsageError(`未知的选项: ${arg}`);
+        }
+
+        if (option.flag) {
+            result.options[option.key] = true;
+        } else if (inlineValue !== undefined) {
+            result.options[option.key] = inlineValue;
+        } else if (i + 1 < args.length) {
+            result.options[option.key] = args[++i];
+        } else {
+            throw new UsageError(`选项 ${arg} 缺少参数`);
+        }
+    }
+    return result;
+}
+
+function printHelp() {
+    const lines = [
+        '用法: wbmap convert <图片或文件夹...> [选项]',
+        '',
+        '将PNG图片转换为WorldBox存档(.wbox)，文件夹中的全部.png文件都会被转换',
+        '',
+        '选项:'
+    ];
+    for (const option of OPTIONS) {
+        const names = (option.alias ? `-${option.alias}, ` : '    ') + `--${option.name}` + (option.flag ? '' : ' <值>');
+        lines.push(`  ${names.padEnd(26)}${option.description}`);
+    }
+    lines.push('', '示例:', '  wbmap convert in.png -m colors.xlsx -o out.wbox --tolerance 10', '  wbmap convert scenarios/ -m colors.xlsx -o build/');
+    console.log(lines.join('\n'));
+}
+
+/**
+ * 读取颜色映射表和其中的后处理规则
+ * @param {string} file - 映射表文件
+ * @returns {Promise<{colorMap: Map<string, string>, rules: Object|null}>}
+ */
+async function loadColorMap(file) {
+    const format = ColorMapIO.detectFormat(file);
+    if (!format) {
+        throw new UsageError(`不支持的颜色映射表格式: ${file}`);
+    }
+
+    const data = fs.readFileSync(file);
+    let entries;
+    let rules = null;
+    if (format === 'xlsx') {
+        entries = await ExcelParser.readEntries(data);
+        rules = await ExcelParser.readRules(data);
+    } else {
+        const text = data.toString('utf8');
+        entries = ColorMapIO.parseText(text, format);
+        if (format === 'json') {
+            rules = ColorMapIO.parseJsonRules(text);
+        }
+    }
+
+    const colorMap = ExcelParser.toColorMap(entries.filter(entry => entry.tileType));
+    if (colorMap.size === 0) {
+        throw new Error(`${file} 中没有找到有效的颜色映射数据`);
+    }
+    return { colorMap, rules };
+}
+
+/**
+ * 展开输入路径：文件夹替换为其中的.png文件（按文件名排序）
+ * @param {string[]} inputs - 输入路径
+ * @returns {string[]} 图片文件路径
+ */
+function expandInputs(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        if (!fs.existsSync(input)) {
+            throw new UsageError(`找不到输入文件: ${input}`);
+        }
+        if (fs.statSync(input).isDirectory()) {
+            const pngFiles = fs.readdirSync(input)
+                .filter(name => name.toLowerCase().endsWith('.png'))
+                .sort()
+                .map(name => path.join(input, name));
+            if (pngFiles.length === 0) {
+                console.warn(`警告: 文件夹 ${input} 中没有.png文件`);
+            }
+            files.push(...pngFiles);
+        } else {
+            files.push(input);
+        }
+    }
+    return files;
+}
+
+/**
+ * 计算每个输入对应的输出路径
+ * @param {string[]} files - 图片文件路径
+ * @param {string|undefined} output - -o选项
+ * @param {boolean} multiple - 是否为批量转换（多个输入或输入中有文件夹）
+ * @returns {string[]} .wbox文件路径
+ */
+function resolveOutputs(files, output, multiple) {
+    const toWbox = (file) => `${path.basename(file, path.extname(file))}.wbox`;
+    if (!output) {
+        return files.map(file => path.join(path.dirname(file), toWbox(file)));
+    }
+
+    const isDirectory = multiple || /[\\/]$/.test(output)
+        || (fs.existsSync(output) && fs.statSync(output).isDirectory());
+    if (!isDirectory) {
+        return [output];
+    }
+    return files.map(file => path.join(output, toWbox(file)));
+}
+
+/**
+ * 检查是否有多个输入写入同一个输出文件（如不同文件夹中的同名图片输出到同一个文件夹）
+ * @param {string[]} files - 图片文件路径
+ * @param {string[]} outputs - 对应的.wbox文件路径
+ */
+function checkOutputConflicts(files, outputs) {
+    const sources = new Map();
+    outputs.forEach((output, index) => {
+        const key = path.resolve(output);
+        if (sources.has(key)) {
+            throw new UsageError(`${sources.get(key)} 和 ${files[index]} 都会输出到 ${output}，请分别转换或使用不同的输出文件夹`);
+        }
+        sources.set(key, files[index]);
+    });
+}
+
+/**
+ * 解析选项的值，值无效时作为参数错误（退出码2）
+ * @param {string} name - 选项名
+ * @param {Function} parse - 解析函数，值无效时抛出错误
+ * @returns {*} 解析结果
+ */
+function parseOptionValue(name, parse) {
+    try {
+        return parse();
+    } catch (error) {
+        if (error instanceof UsageError) throw error;
+        throw new UsageError(`--${name} 无效: ${error.message}`);
+    }
+}
+
+/**
+ * 读取选项指定的文本文件
+ * @param {string} name - 选项名
+ * @param {string} file - 文件路径
+ * @returns {string} 文件内容
+ */
+function readOptionFile(name, file) {
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        throw new UsageError(`找不到 --${name} 指定的文件: ${file}`);
+    }
+    return fs.readFileSync(file, 'utf8');
+}
+
+/**
+ * 由命令行选项构建转换选项和存档设置
+ * @param {Object} options - 命令行选项
+ * @returns {{conversion: Object, statsConfig: Object}}
+ */
+function buildSettings(options) {
+    const conversion = {
+        toleranceLevel: 0,
+        colorMetric: options.metric || core.ColorMetrics.DEFAULT_METRIC,
+        resizeMode: options.resize || 'crop',
+        targetZoneWidth: 0,
+        targetZoneHeight: 0,
+        fillerTile: options.filler || ImageProcessor.DEFAULT_FILLER_TILE,
+        unmatchedPolicy: options.unmatched || 'fallback',
+        fallbackTile: options.fallback || ImageProcessor.DEFAULT_FALLBACK_TILE,
+        inputMode: options.heightmap ? 'heightmap' : 'palette',
+        heightBands: options.heightmap
+            ? parseOptionValue('bands', () => Heightmap.parseBands(options.bands || Heightmap.DEFAULT_BANDS))
+            : null,
+        quantization: null
+    };
+
+    if (options.tolerance !== undefined) {
+        const tolerance = Number(options.tolerance);
+        if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > 100) {
+            throw new UsageError(`颜色容忍度必须在0-100之间: ${options.tolerance}`);
+        }
+        conversion.toleranceLevel = tolerance;
+    }
+    if (!core.ColorMetrics.METRICS[conversion.colorMetric]) {
+        throw new UsageError(`未知的颜色距离算法: ${conversion.colorMetric}`);
+    }
+    if (!ImageProcessor.UNMATCHED_POLICIES[conversion.unmatchedPolicy]) {
+        throw new UsageError(`未知的未匹配像素处理方式: ${conversion.unmatchedPolicy}`);
+    }
+    if (!ImageProcessor.RESIZE_MODES[conversion.resizeMode]) {
+        throw new UsageError(`未知的尺寸调整模式: ${conversion.resizeMode}`);
+    }
+
+    if (options.size) {
+        const preset = WorldSizes.get(options.size);
+        const match = /^(\d+)[x×*](\d+)$/i.exec(options.size);
+        if (preset) {
+            conversion.targetZoneWidth = preset.zoneWidth;
+            conversion.targetZoneHeight = preset.zoneHeight;
+        } else if (match) {
+            conversion.targetZoneWidth = Number(match[1]);
+            conversion.targetZoneHeight = Number(match[2]);
+        } else {
+            throw new UsageError(`目标尺寸格式无效: ${options.size}，应为 宽x高（zone）或世界尺寸预设`);
+        }
+        if (conversion.targetZoneWidth > WorldSizes.MAX_ZONES || conversion.targetZoneHeight > WorldSizes.MAX_ZONES) {
+            throw new UsageError(`目标尺寸过大: ${options.size}，宽和高最多 ${WorldSizes.MAX_ZONES} 个zone`);
+        }
+    }
+
+    if (options.dither) {
+        if (!PaletteQuantizer.DITHER_MODES[options.dither]) {
+            throw new UsageError(`未知的抖动方式: ${options.dither}`);
+        }
+        conversion.quantization = {
+            dithering: options.dither,
+            weights: parseOptionValue('weights', () => PaletteQuantizer.parseWeights(options.weights || ''))
+        };
+    }
+
+    const cameraMode = options.camera || 'origin';
+    if (!SaveGenerator.CAMERA_MODES[cameraMode] || cameraMode === 'manual') {
+        throw new UsageError(`未知的相机位置方式: ${cameraMode}`);
+    }
+    let zoom = SaveGenerator.DEFAULT_CAMERA_ZOOM;
+    if (options.zoom !== undefined) {
+        zoom = Number(options.zoom);
+        if (!Number.isFinite(zoom) || zoom <= 0) {
+            throw new UsageError(`相机缩放必须是大于0的数字: ${options.zoom}`);
+        }
+    }
+
+    const saveProfile = options.saveVersion || SaveSchemas.DEFAULT_PROFILE;
+    if (!SaveSchemas.PROFILES.some(profile => profile.id === saveProfile)) {
+        throw new UsageError(`未知的存档版本: ${saveProfile}`);
+    }
+    if (options.worldLaws && !WorldLaws.PRESETS[options.worldLaws]) {
+        throw new UsageError(`未知的世界法则预设: ${options.worldLaws}`);
+    }
+    if (options.settlements && !options.experimental) {
+        throw new UsageError('--settlements 是实验性功能（王国和城市记录尚未与游戏保存的存档核对），需同时指定 --experimental');
+    }
+
+    const statsConfig = {
+        playerName: options.playerName || '',
+        saveProfile,
+        worldLaws: options.worldLaws ? WorldLaws.presetValues(options.worldLaws) : null,
+        settlements: options.settlements
+            ? parseOptionValue('settlements', () => Civilizations.parse(readOptionFile('settlements', options.settlements), options.settlements))
+            : [],
+        regions: options.regions && options.regions !== 'auto'
+            ? parseOptionValue('regions', () => RegionLabels.parse(readOptionFile('regions', options.regions)))
+            : [],
+        camera: { mode: cameraMode, x: null, y: null, zoom }
+    };
+
+    return { conversion, statsConfig };
+}
+
+/**
+ * 转换一张图片并写入.wbox文件
+ * @returns {Promise<string>} 结果说明
+ */
+async function convertFile(file, outputFile, colorMap, postProcessRules, settings, options) {
+    const image = PngCodec.decode(fs.readFileSync(file));
+    let tileData = ImageProcessor.convertPixels(image.data, image.width, image.height, colorMap, settings.conversion);
+
+    const { unmatchedColors } = tileData;
+    if (settings.conversion.unmatchedPolicy === 'fail' && unmatchedColors.size > 0) {
+        throw new Error(ImageProcessor.describeUnmatched(unmatchedColors));
+    }
+
+    if (postProcessRules) {
+        tileData = PostProcessor.apply(tileData, postProcessRules);
+    }
+
+    for (const issue of TileCatalog.validateTiles(tileData.tiles)) {
+        console.warn(`  警告: ${issue.message}`);
+    }
+
+    // 自动命名的地区按每张图片分别识别
+    const statsConfig = options.regions === 'auto'
+        ? { ...settings.statsConfig, regions: RegionLabels.detect(tileData.tiles) }
+        : settings.statsConfig;
+
+    const { wboxData, zoneWidth, zoneHeight, statistics } = await ConversionPipeline.generate({
+        tileData,
+        statsConfig
+    });
+    fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+    fs.writeFileSync(outputFile, wboxData);
+
+    const baseName = outputFile.replace(/\.wbox$/i, '');
+    if (options.quantizedPng && tileData.quantizedPixels) {
+        fs.writeFileSync(`${baseName}.quantized.png`, PngCodec.encode(tileData.width, tileData.height, tileData.quantizedPixels));
+    }
+
+    if (options.regions === 'auto') {
+        fs.writeFileSync(`${baseName}.regions.json`, RegionLabels.toJson(statsConfig.regions));
+    }
+
+    let summary = `${zoneWidth}×${zoneHeight} zones`;
+    if (options.stats) {
+        fs.writeFileSync(`${baseName}.stats.json`, MapStatistics.toJson(statistics));
+        fs.writeFileSync(`${baseName}.stats.csv`, MapStatistics.toCsv(statistics));
+        summary += `，陆地 ${statistics.landPercent}%，${statistics.landmasses.length} 块陆地`;
+    }
+    if (unmatchedColors.size > 0) {
+        const count = Array.from(unmatchedColors.values()).reduce((sum, value) => sum + value, 0);
+        summary += `，${unmatchedColors.size} 种颜色（${count} 个像素）未匹配`;
+    }
+    return summary;
+}
+
+async function main(argv) {
+    const { command, inputs, options } = parseArgs(argv);
+    if (options.help || command === null || command === 'help') {
+        printHelp();
+        return 0;
+    }
+    if (command !== 'convert') {
+        throw new UsageError(`未知的命令: ${command}`);
+    }
+    if (inputs.length === 0) {
+        throw new UsageError('请指定要转换的图片或文件夹');
+    }
+
+    const settings = buildSettings(options);
+    const { colorMap, rules: mapRules } = await loadColorMap(options.map || core.DEFAULT_COLOR_MAP);
+
+    let postProcessRules = null;
+    if (options.postProcess || options.rules) {
+        postProcessRules = parseOptionValue('rules', () => PostProcessor.parseRules(options.rules
+            ? JSON.parse(readOptionFile('rules', options.rules))
+            : mapRules || PostProcessor.DEFAULT_RULES));
+    }
+
+    const files = expandInputs(inputs);
+    const multiple = inputs.length > 1 || files.length !== inputs.length
+        || inputs.some(input => fs.statSync(input).isDirectory());
+    const outputs = resolveOutputs(files, options.output, multiple);
+    checkOutputConflicts(files, outputs);
+
+    let failed = 0;
+    for (let i = 0; i < files.length; i++) {
+        try {
+            const summary = await convertFile(files[i], outputs[i], colorMap, postProcessRules, settings, options);
+            console.log(`✓ ${files[i]} -> ${outputs[i]}（${summary}）`);
+        } catch (error) {
+            failed++;
+            console.error(`✗ ${files[i]}: ${error.message}`);
+        }
+    }
+
+    if (files.length > 1) {
+        console.log(`完成：${files.length - failed} 个成功，${failed} 个失败`);
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(`错误: ${error.message}`);
+        if (error instanceof UsageError) {
+            console.error('使用 wbmap --help 查看用法');
+            process.exitCode = 2;
+        } else {
+            process.exitCode = 1;
+        }
+    });
+}
+
+module.exports = { parseArgs, buildSettings, resolveOutputs, checkOutputConflicts, main };
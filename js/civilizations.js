@@ -0,0 +1,435 @@
+/**
+ * 王国与城市模块
+ * 读取城市标记（位置、种族、王国、颜色、初始人口），并生成存档中最基本的王国(kingdoms)、城市(cities)和单位(actors_data)记录，
+ * 载入地图时文明已经存在于指定位置；记录中没有的字段由游戏使用默认值
+ * 记录按saveVersion 17（见SaveSchemas.PROFILES）编写，尚未与游戏保存的真实存档逐字段核对；其他版本的存档不保证能载入这些记录
+ * 核对之前为实验性功能：网页上需勾选"预置王国与城市（实验性）"，命令行工具需指定--experimental
+ * 存档记录的字段集中在buildKingdom、buildCity、buildActor中，游戏更新存档格式后只需修改这几个方法
+ * 不依赖DOM，可在Web Worker中运行（解析JSON/CSV只在主线程和命令行中使用）
+ */
+
+class Civilizations {
+    /**
+     * 可以建立王国的种族：单位资源ID -> 名称
+     */
+    static RACES = {
+        human: '人类',
+        elf: '精灵',
+        orc: '兽人',
+        dwarf: '矮人'
+    };
+
+    static DEFAULT_RACE = 'human';
+
+    static DEFAULT_POPULATION = 10;
+
+    /**
+     * 每个城市最多放置的单位数量
+     */
+    static MAX_POPULATION = 200;
+
+    /**
+     * 城市区域的边长（tile数量），城市按区域占据领土
+     */
+    static CITY_ZONE_SIZE = 8;
+
+    /**
+     * 城市占据以标记所在区域为中心、半径为CITY_RADIUS的区域（不包括全是水域的区域和已被其他城市占据的区域）
+     */
+    static CITY_RADIUS = 1;
+
+    /**
+     * 王国颜色，顺序与游戏王国颜色库中的colorID对应
+     * 标记的颜色写入存档时换算为其中最接近的一种；没有指定颜色的王国依次使用这些颜色
+     */
+    static KINGDOM_COLORS = [
+        'E53935', '1E88E5', '43A047', 'FDD835', '8E24AA', 'FB8C00', '00ACC1', 'D81B60',
+        '6D4C41', '7CB342', '3949AB', 'F4511E', '00897B', 'C0CA33', '5E35B1', '757575'
+    ];
+
+    /**
+     * CSV的列，第一行必须是列名（顺序不限，x、y和kingdom为必填列）
+     */
+    static CSV_COLUMNS = ['x', 'y', 'race', 'kingdom', 'city', 'color', 'population'];
+
+    /**
+     * 按文件扩展名解析城市标记文件
+     * @param {string} text - 文件内容
+     * @param {string} filename - 文件名，.json或.csv
+     * @returns {Array<Object>} 城市标记，见normalizeMarker
+     */
+    static parse(text, filename) {
+        const extension = filename.split('.').pop().toLowerCase();
+        if (extension === 'json') return this.parseJson(text);
+        if (extension === 'csv') return this.parseCsv(text);
+        throw new Error(`不支持的城市标记文件格式: ${filename}，应为 .json 或 .csv`);
+    }
+
+    /**
+     * 解析JSON：{settlements: [{x, y, race, kingdom, city, color, population}]} 或直接为数组
+     * @param {string} text - JSON文本
+     * @returns {Array<Object>} 城市标记
+     */
+    static parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`JSON格式无效: ${error.message}`);
+        }
+
+        const list = Array.isArray(data) ? data : data && data.settlements;
+        if (!Array.isArray(list)) {
+            throw new Error('JSON中缺少settlements数组');
+        }
+        return this.assignColors(list.map((item, index) => this.normalizeMarker(item, `第${index + 1}项`)));
+    }
+
+    /**
+     * 解析CSV，列见CSV_COLUMNS
+     * @param {string} text - CSV文本
+     * @returns {Array<Object>} 城市标记
+     */
+    static parseCsv(text) {
+        const lines = text.split(/\r?\n/);
+        const header = ColorMapIO.splitCsvLine(lines[0] || '').map(name => name.trim().toLowerCase());
+        for (const required of ['x', 'y', 'kingdom']) {
+            if (!header.includes(required)) {
+                throw new Error(`CSV第一行缺少 ${required} 列，列名应为 ${this.CSV_COLUMNS.join(',')}`);
+            }
+        }
+
+        const markers = [];
+        lines.slice(1).forEach((line, index) => {
+            if (!line.trim()) return;
+
+            const fields = ColorMapIO.splitCsvLine(line);
+            const item = {};
+            header.forEach((name, column) => {
+                if (fields[column] !== undefined && fields[column].trim() !== '') {
+                    item[name] = fields[column].trim();
+                }
+            });
+            markers.push(this.normalizeMarker(item, `第${index + 2}行`));
+        });
+        return this.assignColors(markers);
+    }
+
+    /**
+     * 检查并规范化一个城市标记
+     * @param {Object} item - 原始数据
+     * @param {string} label - 出错时用于定位的说明，如"第3行"
+     * @returns {{x: number, y: number, race: string, kingdom: string, city: string, color: string|null, population: number}}
+     *          x/y为tile坐标（左下角为原点），color为大写16进制，未指定时为null
+     */
+    static normalizeMarker(item, label) {
+        if (!item || typeof item !== 'object') {
+            throw new Error(`${label}：不是有效的城市标记`);
+        }
+
+        const x = Number(item.x);
+        const y = Number(item.y);
+        if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0) {
+            throw new Error(`${label}：坐标必须是非负整数: (${item.x}, ${item.y})`);
+        }
+
+        const race = String(item.race || this.DEFAULT_RACE).trim().toLowerCase();
+        if (!this.RACES[race]) {
+            throw new Error(`${label}：未知的种族 ${race}，可选 ${Object.keys(this.RACES).join('、')}`);
+        }
+
+        const kingdom = String(item.kingdom || '').trim();
+        if (!kingdom) {
+            throw new Error(`${label}：缺少王国名称`);
+        }
+
+        let color = null;
+        if (item.color !== undefined && item.color !== null && item.color !== '') {
+            color = ExcelParser.normalizeColor(item.color);
+            if (!color) {
+                throw new Error(`${label}：颜色格式无效: ${item.color}`);
+            }
+        }
+
+        const population = item.population === undefined || item.population === ''
+            ? this.DEFAULT_POPULATION
+            : Number(item.population);
+        if (!Number.isInteger(population) || population < 0 || population > this.MAX_POPULATION) {
+            throw new Error(`${label}：初始人口必须是 0-${this.MAX_POPULATION} 之间的整数: ${item.population}`);
+        }
+
+        return { x, y, race, kingdom, city: String(item.city || '').trim(), color, population };
+    }
+
+    /**
+     * 统一同一王国的颜色：以该王国第一个指定了颜色的标记为准，都没有指定时依次使用KINGDOM_COLORS
+     * @param {Array<Object>} markers - 城市标记（原地修改）
+     * @returns {Array<Object>} 城市标记
+     */
+    static assignColors(markers) {
+        const colors = new Map();
+        for (const marker of markers) {
+            if (marker.color && !colors.has(marker.kingdom)) {
+                colors.set(marker.kingdom, marker.color);
+            }
+        }
+        for (const marker of markers) {
+            if (!colors.has(marker.kingdom)) {
+                colors.set(marker.kingdom, this.KINGDOM_COLORS[colors.size % this.KINGDOM_COLORS.length]);
+            }
+            marker.color = colors.get(marker.kingdom);
+        }
+        return markers;
+    }
+
+    /**
+     * 导出为JSON（可由parseJson重新读取）
+     * @param {Array<Object>} markers - 城市标记
+     * @returns {string} JSON文本
+     */
+    static toJson(markers) {
+        return JSON.stringify({ settlements: markers }, null, 2);
+    }
+
+    /**
+     * 检查城市标记能否放在地图上
+     * @param {Array<Object>} markers - 城市标记
+     * @param {string[][]} tiles - tile类型二维数组[y][x]，tiles[0]为地图底部
+     * @returns {Array<{level: string, message: string, index: number}>} 问题列表，index为标记的序号
+     */
+    static validate(markers, tiles) {
+        const height = tiles.length;
+        const width = height > 0 ? tiles[0].length : 0;
+        const issues = [];
+        const zoneOwners = new Map();
+
+        markers.forEach((marker, index) => {
+            const name = this.describe(marker, index);
+            if (marker.x >= width || marker.y >= height) {
+                issues.push({ level: 'error', index, message: `${name}超出地图范围（${width}×${height}）` });
+                return;
+            }
+            if (TileAnalysis.isWater(tiles[marker.y][marker.x])) {
+                issues.push({ level: 'error', index, message: `${name}位于水域（${tiles[marker.y][marker.x]}）` });
+            }
+
+            const zoneKey = this.zoneKey(marker.x, marker.y);
+            if (zoneOwners.has(zoneKey)) {
+                const other = zoneOwners.get(zoneKey);
+                issues.push({ level: 'error', index, message: `${name}与${this.describe(markers[other], other)}距离太近（位于同一个城市区域）` });
+            } else {
+                zoneOwners.set(zoneKey, index);
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * 生成存档中的王国、城市和单位记录
+     * 同名王国的标记属于同一个王国，其中第一个城市为首都，首都的第一个单位为国王
+     * 单位从标记位置开始按陆地连通的顺序放置，每个tile一个单位
+     * @param {Array<Object>} markers - 城市标记，见normalizeMarker
+     * @param {string[][]} tiles - tile类型二维数组[y][x]
+     * @returns {{kingdoms: Array<Object>, cities: Array<Object>, actors: Array<Object>}} 存档记录
+     */
+    static build(markers, tiles) {
+        const result = { kingdoms: [], cities: [], actors: [] };
+        if (!markers || markers.length === 0) {
+            return result;
+        }
+
+        const errors = this.validate(markers, tiles).filter(issue => issue.level === 'error');
+        if (errors.length > 0) {
+            throw new Error(`城市标记有误：${errors.map(issue => issue.message).join('；')}`);
+        }
+
+        const kingdoms = new Map();
+        const claimedZones = new Set();
+        const occupiedTiles = new Set();
+        // 先占据所有标记所在的区域，避免前面的城市占据后面城市的中心
+        for (const marker of markers) {
+            claimedZones.add(this.zoneKey(marker.x, marker.y));
+        }
+
+        this.assignColors(markers.map(marker => ({ ...marker }))).forEach((marker, index) => {
+            let kingdom = kingdoms.get(marker.kingdom);
+            if (!kingdom) {
+                kingdom = this.buildKingdom(result.kingdoms.length + 1, marker);
+                kingdoms.set(marker.kingdom, kingdom);
+                result.kingdoms.push(kingdom);
+            }
+
+            const cityName = marker.city || `${marker.kingdom} ${index + 1}`;
+            const zones = this.claimZones(tiles, marker, claimedZones);
+            const city = this.buildCity(result.cities.length + 1, cityName, kingdom, marker, zones);
+            result.cities.push(city);
+            if (kingdom.capitalID < 0) {
+                kingdom.capitalID = city.id;
+            }
+
+            for (const { x, y } of this.findLandTiles(tiles, marker, marker.population, occupiedTiles)) {
+                const actor = this.buildActor(result.actors.length + 1, marker, x, y, city, kingdom);
+                result.actors.push(actor);
+                if (kingdom.kingID < 0) {
+                    kingdom.kingID = actor.id;
+                }
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * 王国记录
+     */
+    static buildKingdom(id, marker) {
+        return {
+            id,
+            name: marker.kingdom,
+            raceID: marker.race,
+            colorID: this.nearestColorId(marker.color),
+            capitalID: -1,
+            kingID: -1,
+            created_time: 0
+        };
+    }
+
+    /**
+     * 城市记录，zones为城市占据的区域坐标（以CITY_ZONE_SIZE为单位）
+     */
+    static buildCity(id, name, kingdom, marker, zones) {
+        return {
+            id,
+            name,
+            kingdomID: kingdom.id,
+            raceID: marker.race,
+            zones,
+            created_time: 0
+        };
+    }
+
+    /**
+     * 单位记录，x/y为tile坐标
+     */
+    static buildActor(id, marker, x, y, city, kingdom) {
+        return {
+            id,
+            asset_id: marker.race,
+            x,
+            y,
+            cityID: city.id,
+            kingdomID: kingdom.id,
+            created_time: 0
+        };
+    }
+
+    /**
+     * 查找KINGDOM_COLORS中最接近的颜色
+     * @param {string} color - 颜色(16进制)
+     * @returns {number} colorID
+     */
+    static nearestColorId(color) {
+        const rgb = ImageProcessor.hexToRgb(color);
+        let bestId = 0;
+        let bestDistance = Infinity;
+        this.KINGDOM_COLORS.forEach((candidate, id) => {
+            const distance = ColorMetrics.rgbDistance(rgb, ImageProcessor.hexToRgb(candidate));
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestId = id;
+            }
+        });
+        return bestId;
+    }
+
+    /**
+     * 占据标记周围的城市区域：标记所在的区域，以及CITY_RADIUS范围内含有陆地、且未被占据的区域
+     * @param {string[][]} tiles - tile类型二维数组
+     * @param {{x: number, y: number}} marker - 城市标记
+     * @param {Set<string>} claimedZones - 已被占据的区域（原地添加）
+     * @returns {Array<{x: number, y: number}>} 区域坐标，第一个为标记所在的区域
+     */
+    static claimZones(tiles, marker, claimedZones) {
+        const size = this.CITY_ZONE_SIZE;
+        const height = tiles.length;
+        const width = tiles[0].length;
+        const centerX = Math.floor(marker.x / size);
+        const centerY = Math.floor(marker.y / size);
+        const zones = [{ x: centerX, y: centerY }];
+
+        for (let dy = -this.CITY_RADIUS; dy <= this.CITY_RADIUS; dy++) {
+            for (let dx = -this.CITY_RADIUS; dx <= this.CITY_RADIUS; dx++) {
+                const zoneX = centerX + dx;
+                const zoneY = centerY + dy;
+                if (zoneX < 0 || zoneY < 0 || zoneX * size >= width || zoneY * size >= height) continue;
+
+                const key = `${zoneX},${zoneY}`;
+                if (claimedZones.has(key) || !this.zoneHasLand(tiles, zoneX, zoneY)) continue;
+                claimedZones.add(key);
+                zones.push({ x: zoneX, y: zoneY });
+            }
+        }
+        return zones;
+    }
+
+    static zoneHasLand(tiles, zoneX, zoneY) {
+        const size = this.CITY_ZONE_SIZE;
+        for (let y = zoneY * size; y < Math.min(tiles.length, (zoneY + 1) * size); y++) {
+            for (let x = zoneX * size; x < Math.min(tiles[y].length, (zoneX + 1) * size); x++) {
+                if (!TileAnalysis.isWater(tiles[y][x])) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 从标记位置开始按四邻接查找未被占用的陆地tile
+     * @param {string[][]} tiles - tile类型二维数组
+     * @param {{x: number, y: number}} start - 起点
+     * @param {number} count - 需要的tile数量
+     * @param {Set<number>} occupiedTiles - 已放置单位的tile（y * width + x，原地添加）
+     * @returns {Array<{x: number, y: number}>} tile坐标，陆地不足时少于count个
+     */
+    static findLandTiles(tiles, start, count, occupiedTiles) {
+        const width = tiles[0].length;
+        const height = tiles.length;
+        const found = [];
+        const visited = new Set([start.y * width + start.x]);
+        const queue = [start.y * width + start.x];
+
+        for (let head = 0; head < queue.length && found.length < count; head++) {
+            const index = queue[head];
+            const x = index % width;
+            const y = (index - x) / width;
+            if (!occupiedTiles.has(index)) {
+                occupiedTiles.add(index);
+                found.push({ x, y });
+            }
+
+            for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+                const next = ny * width + nx;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height || visited.has(next)) continue;
+                visited.add(next);
+                if (!TileAnalysis.isWater(tiles[ny][nx])) {
+                    queue.push(next);
+                }
+            }
+        }
+        return found;
+    }
+
+    static zoneKey(x, y) {
+        return `${Math.floor(x / this.CITY_ZONE_SIZE)},${Math.floor(y / this.CITY_ZONE_SIZE)}`;
+    }
+
+    /**
+     * 标记的简短说明，用于问题列表
+     */
+    static describe(marker, index) {
+        return `第${index + 1}个城市标记（${marker.kingdom}，(${marker.x}, ${marker.y})）`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Civilizations;
+}
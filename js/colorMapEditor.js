@@ -0,0 +1,241 @@
+/**
+ * 颜色映射表编辑器模块
+ * 负责在页面上以表格形式编辑颜色到tile类型的映射（添加、删除、修改颜色），并标出重复的颜色和未知的tile类型
+ */
+
+class ColorMapEditor {
+    /**
+     * @param {HTMLElement} container - 编辑器容器
+     * @param {Function} onChange - 映射变化后的回调 () => void
+     */
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+        this.entries = null;  // [{tileType, color}]，未载入时为null
+        this.rows = [];       // 与entries一一对应的表格行 {row, indexCell}
+        this.tbody = null;
+        this.status = null;
+    }
+
+    /**
+     * 是否已载入映射（载入后以编辑器中的映射为准）
+     * @returns {boolean}
+     */
+    isLoaded() {
+        return this.entries !== null;
+    }
+
+    /**
+     * 载入映射并重建表格
+     * @param {Array<{tileType: string, color: string}>} entries - 映射
+     */
+    load(entries) {
+        this.entries = entries.map(({ tileType, color }) => ({ tileType, color }));
+        this.render();
+    }
+
+    /**
+     * 在表格末尾添加一个映射
+     * @param {string} tileType - tile类型
+     * @param {string} color - 颜色(大写16进制)
+     */
+    addEntry(tileType, color) {
+        const entry = { tileType, color };
+        if (this.entries && this.status) {
+            this.entries.push(entry);
+            this.tbody.appendChild(this.createRow(entry));
+            this.updateStatus();
+        } else {
+            this.load([...(this.entries || []), entry]);
+        }
+        this.onChange();
+    }
+
+    /**
+     * 为颜色指定tile类型：颜色已存在时修改其tile类型，否则添加新的映射
+     * @param {string} color - 颜色(大写16进制)
+     * @param {string} tileType - tile类型
+     */
+    assignColor(color, tileType) {
+        const existing = (this.entries || []).filter(entry => entry.color === color);
+        if (existing.length === 0) {
+            this.addEntry(tileType, color);
+            return;
+        }
+
+        existing.forEach(entry => { entry.tileType = tileType; });
+        this.render();
+        this.onChange();
+    }
+
+    /**
+     * 获取编辑器中的映射
+     * @returns {Array<{tileType: string, color: string}>} 映射（按表格顺序）
+     */
+    getEntries() {
+        return (this.entries || []).map(({ tileType, color }) => ({ tileType, color }));
+    }
+
+    /**
+     * 构建颜色到tile类型的映射，跳过没有tile类型的行
+     * @returns {Map<string, string>} 颜色(大写16进制)到tile类型的映射
+     */
+    toColorMap() {
+        return ExcelParser.toColorMap(this.getEntries().filter(entry => entry.tileType));
+    }
+
+    /**
+     * 找出重复的颜色
+     * @param {Array<{tileType: string, color: string}>} entries - 映射
+     * @returns {Map<string, number[]>} 重复的颜色 -> 使用该颜色的行号（从0开始）
+     */
+    static findDuplicates(entries) {
+        const rowsByColor = new Map();
+        entries.forEach((entry, index) => {
+            if (!rowsByColor.has(entry.color)) {
+                rowsByColor.set(entry.color, []);
+            }
+            rowsByColor.get(entry.color).push(index);
+        });
+
+        for (const [color, rows] of rowsByColor) {
+            if (rows.length < 2) rowsByColor.delete(color);
+        }
+        return rowsByColor;
+    }
+
+    render() {
+        this.container.innerHTML = '';
+        this.rows = [];
+
+        this.status = document.createElement('div');
+        this.status.className = 'color-map-status';
+        this.container.appendChild(this.status);
+
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        table.innerHTML = '<thead><tr><th>#</th><th>颜色</th><th>Tile类型</th><th></th></tr></thead>';
+        this.tbody = document.createElement('tbody');
+        for (const entry of this.entries) {
+            this.tbody.appendChild(this.createRow(entry));
+        }
+        table.appendChild(this.tbody);
+        this.container.appendChild(table);
+        this.container.style.display = 'block';
+
+        this.updateStatus();
+    }
+
+    /**
+     * 创建映射行
+     * @param {{tileType: string, color: string}} entry - 映射
+     * @returns {HTMLTableRowElement} 表格行
+     */
+    createRow(entry) {
+        const row = document.createElement('tr');
+        const indexCell = document.createElement('td');
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = `#${entry.color.toLowerCase()}`;
+        const hexInput = document.createElement('input');
+        hexInput.type = 'text';
+        hexInput.className = 'stats-input color-hex-input';
+        hexInput.value = entry.color;
+        hexInput.maxLength = 7;
+        const colorCell = document.createElement('td');
+        colorCell.append(colorInput, hexInput);
+
+        const tileTypeInput = document.createElement('input');
+        tileTypeInput.type = 'text';
+        tileTypeInput.className = 'stats-input';
+        tileTypeInput.value = entry.tileType;
+        tileTypeInput.placeholder = 'tile类型，如 sand';
+        const tileTypeCell = document.createElement('td');
+        tileTypeCell.appendChild(tileTypeInput);
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn-small';
+        removeButton.textContent = '删除';
+        const actionCell = document.createElement('td');
+        actionCell.appendChild(removeButton);
+
+        colorInput.addEventListener('input', () => {
+            entry.color = colorInput.value.slice(1).toUpperCase();
+            hexInput.value = entry.color;
+            hexInput.classList.remove('invalid');
+            this.updateStatus();
+            this.onChange();
+        });
+        hexInput.addEventListener('input', () => {
+            const color = ExcelParser.normalizeColor(hexInput.value);
+            // 输入完整的颜色之前保留原来的颜色
+            hexInput.classList.toggle('invalid', !color);
+            if (!color) return;
+
+            entry.color = color;
+            colorInput.value = `#${color.toLowerCase()}`;
+            this.updateStatus();
+            this.onChange();
+        });
+        tileTypeInput.addEventListener('input', () => {
+            entry.tileType = tileTypeInput.value.trim();
+            this.updateStatus();
+            this.onChange();
+        });
+        removeButton.addEventListener('click', () => {
+            const index = this.entries.indexOf(entry);
+            this.entries.splice(index, 1);
+            this.rows.splice(index, 1);
+            row.remove();
+            this.updateStatus();
+            this.onChange();
+        });
+
+        row.append(indexCell, colorCell, tileTypeCell, actionCell);
+        this.rows.push({ row, indexCell });
+        return row;
+    }
+
+    /**
+     * 更新行号、重复颜色标记和汇总信息
+     */
+    updateStatus() {
+        const duplicates = ColorMapEditor.findDuplicates(this.entries);
+
+        this.entries.forEach((entry, index) => {
+            const { row, indexCell } = this.rows[index];
+            indexCell.textContent = index + 1;
+
+            const duplicateRows = duplicates.get(entry.color);
+            const isDuplicate = !!duplicateRows;
+            const isUnknown = entry.tileType && !TileCatalog.isKnown(entry.tileType);
+            const titles = [];
+            if (isDuplicate) {
+                titles.push(`颜色 #${entry.color} 重复（第 ${duplicateRows.map(i => i + 1).join('、')} 行），以最后一行为准`);
+            }
+            if (isUnknown) {
+                const suggestion = TileCatalog.suggest(entry.tileType);
+                titles.push(suggestion ? `未知的tile类型，是否应为 ${suggestion}？` : '未知的tile类型');
+            }
+            row.title = titles.join('\n');
+            row.classList.toggle('duplicate-row', isDuplicate);
+            row.classList.toggle('missing-tile-row', !entry.tileType);
+            row.classList.toggle('unknown-tile-row', isUnknown);
+        });
+
+        const missingCount = this.entries.filter(entry => !entry.tileType).length;
+        const unknownCount = this.entries.filter(entry => entry.tileType && !TileCatalog.isKnown(entry.tileType)).length;
+        let text = `共 ${this.entries.length} 个映射`;
+        if (unknownCount > 0) {
+            text += `；❌ ${unknownCount} 行的tile类型游戏无法识别（鼠标悬停查看建议）`;
+        }
+        if (duplicates.size > 0) {
+            text += `；⚠ ${duplicates.size} 个颜色重复，重复的颜色以最后一行为准`;
+        }
+        if (missingCount > 0) {
+            text += `；⚠ ${missingCount} 行没有tile类型，将被忽略`;
+        }
+        this.status.textContent = text;
+    }
+}
@@ -0,0 +1,332 @@
+/**
+ * 颜色映射表导入导出模块
+ * 支持 Excel、JSON、CSV、GIMP调色板(.gpl) 和 Paint.NET调色板(.txt) 格式
+ * 映射统一表示为 [{tileType, color}]，color为6位大写16进制
+ * Excel和JSON还可以包含后处理规则（见PostProcessor），其他格式只有颜色
+ */
+
+class ColorMapIO {
+    /**
+     * 支持的文件格式
+     */
+    static FORMATS = {
+        xlsx: { label: 'Excel (.xlsx)', extension: 'xlsx' },
+        json: { label: 'JSON (.json)', extension: 'json' },
+        csv: { label: 'CSV (.csv)', extension: 'csv' },
+        gpl: { label: 'GIMP调色板 (.gpl)', extension: 'gpl' },
+        paintNet: { label: 'Paint.NET调色板 (.txt)', extension: 'txt' }
+    };
+
+    /**
+     * 根据文件扩展名判断格式
+     * @param {string} filename - 文件名
+     * @returns {string|null} 格式名称，见FORMATS
+     */
+    static detectFormat(filename) {
+        const extension = filename.split('.').pop().toLowerCase();
+        if (extension === 'xls') return 'xlsx';
+        for (const [format, { extension: formatExtension }] of Object.entries(this.FORMATS)) {
+            if (formatExtension === extension) return format;
+        }
+        return null;
+    }
+
+    /**
+     * 导入颜色映射文件
+     * @param {File} file - 映射文件
+     * @returns {Promise<{entries: Array<{tileType: string, color: string}>, rules: Object|null}>}
+     *          按文件顺序排列的映射，以及文件中的后处理规则（没有时为null）
+     */
+    static async importFile(file) {
+        const format = this.detectFormat(file.name);
+        if (!format) {
+            throw new Error(`不支持的文件格式: ${file.name}`);
+        }
+
+        let entries;
+        let rules = null;
+        if (format === 'xlsx') {
+            const arrayBuffer = await file.arrayBuffer();
+            entries = await ExcelParser.readEntries(arrayBuffer);
+            rules = await ExcelParser.readRules(arrayBuffer);
+        } else {
+            const text = await file.text();
+            entries = this.parseText(text, format);
+            if (format === 'json') {
+                rules = this.parseJsonRules(text);
+            }
+        }
+
+        if (entries.length === 0) {
+            throw new Error(`${file.name} 中没有找到有效的颜色映射数据`);
+        }
+        return { entries, rules };
+    }
+
+    /**
+     * 解析文本格式的映射文件
+     * @param {string} text - 文件内容
+     * @param {string} format - 格式名称：json、csv、gpl 或 paintNet
+     * @returns {Array<{tileType: string, color: string}>} 映射
+     */
+    static parseText(text, format) {
+        switch (format) {
+            case 'json':
+                return this.parseJson(text);
+            case 'csv':
+                return this.parseCsv(text);
+            case 'gpl':
+                return this.parseGpl(text);
+            case 'paintNet':
+                return this.parsePaintNet(text);
+            default:
+                throw new Error(`不支持的格式: ${format}`);
+        }
+    }
+
+    /**
+     * 解析JSON：{colors: [{tileType, color}]} 或直接为数组
+     */
+    static parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`JSON格式无效: ${error.message}`);
+        }
+
+        const list = Array.isArray(data) ? data : data && data.colors;
+        if (!Array.isArray(list)) {
+            throw new Error('JSON中缺少colors数组');
+        }
+
+        const entries = [];
+        list.forEach((item, index) => {
+            const tileType = item && item.tileType ? String(item.tileType).trim() : '';
+            const color = item ? ExcelParser.normalizeColor(item.color) : null;
+            if (color) {
+                entries.push({ tileType, color });
+            } else {
+                console.warn(`第${index + 1}项的颜色格式无效: ${item && item.color}`);
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * 读取JSON中的后处理规则（{colors: [...], rules: {...}}）
+     * @returns {Object|null} 规则，没有时返回null
+     */
+    static parseJsonRules(text) {
+        const data = JSON.parse(text);
+        return data && !Array.isArray(data) && data.rules ? data.rules : null;
+    }
+
+    /**
+     * 解析CSV：第一列为tile类型，第二列为颜色，第一行可以是标题
+     */
+    static parseCsv(text) {
+        const entries = [];
+        const lines = text.split(/\r?\n/);
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+
+            const [tileType = '', colorValue = ''] = this.splitCsvLine(line);
+            const color = ExcelParser.normalizeColor(colorValue);
+            if (color) {
+                entries.push({ tileType: tileType.trim(), color });
+            } else if (index > 0) {
+                console.warn(`第${index + 1}行的颜色格式无效: ${colorValue}`);
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * 拆分一行CSV，支持双引号包围的字段
+     * @param {string} line - CSV行
+     * @returns {string[]} 字段
+     */
+    static splitCsvLine(line) {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field);
+        return fields;
+    }
+
+    /**
+     * 解析GIMP调色板：每行为 "R G B 名称"，名称作为tile类型
+     */
+    static parseGpl(text) {
+        const lines = text.split(/\r?\n/);
+        if (!lines[0] || lines[0].trim() !== 'GIMP Palette') {
+            throw new Error('不是有效的GIMP调色板文件');
+        }
+
+        const entries = [];
+        for (let i = 1; i < lines.length; i++) {
+            const match = /^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/.exec(lines[i]);
+            if (!match) continue;  // 跳过 Name:、Columns: 和注释行
+
+            const [r, g, b] = [match[1], match[2], match[3]].map(Number);
+            if (r > 255 || g > 255 || b > 255) {
+                console.warn(`第${i + 1}行的颜色无效: ${lines[i]}`);
+                continue;
+            }
+            const name = match[4].trim();
+            entries.push({
+                tileType: name === 'Untitled' ? '' : name,
+                color: ImageProcessor.rgbToHex(r, g, b)
+            });
+        }
+        return entries;
+    }
+
+    /**
+     * 解析Paint.NET调色板：每行为 AARRGGBB，以 ; 开头的行为注释
+     * Paint.NET调色板没有颜色名称，紧挨在颜色前的注释行作为tile类型
+     */
+    static parsePaintNet(text) {
+        const entries = [];
+        let pendingName = '';
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (line.startsWith(';')) {
+                pendingName = line.slice(1).trim();
+                continue;
+            }
+
+            const match = /^(?:[0-9A-Fa-f]{2})?([0-9A-Fa-f]{6})$/.exec(line);
+            if (match) {
+                // 名称中有空格的注释不是tile类型（如文件头说明）
+                const tileType = /\s/.test(pendingName) ? '' : pendingName;
+                entries.push({ tileType, color: match[1].toUpperCase() });
+            }
+            pendingName = '';
+        }
+        return entries;
+    }
+
+    /**
+     * 将映射导出为指定格式
+     * @param {Array<{tileType: string, color: string}>} entries - 映射
+     * @param {string} format - 格式名称，见FORMATS
+     * @param {Object|null} rules - 后处理规则（规范化后的，见PostProcessor.parseRules），只有Excel和JSON会导出
+     * @returns {{data: string|ArrayBuffer, filename: string}} 文件内容和文件名
+     */
+    static serialize(entries, format, rules = null) {
+        const info = this.FORMATS[format];
+        if (!info) {
+            throw new Error(`不支持的格式: ${format}`);
+        }
+
+        let data;
+        switch (format) {
+            case 'xlsx':
+                data = this.toXlsx(entries, rules);
+                break;
+            case 'json': {
+                const json = { colors: entries.map(({ tileType, color }) => ({ tileType, color })) };
+                if (rules) json.rules = rules;
+                data = JSON.stringify(json, null, 2);
+                break;
+            }
+            case 'csv':
+                data = this.toCsv(entries);
+                break;
+            case 'gpl':
+                data = this.toGpl(entries);
+                break;
+            case 'paintNet':
+                data = this.toPaintNet(entries);
+                break;
+        }
+
+        return { data, filename: `colormap.${info.extension}` };
+    }
+
+    /**
+     * 导出为Excel，第一行为标题（ExcelParser从第二行开始读取）
+     * 有后处理规则时写入rules工作表，格式见ExcelParser.readRules
+     */
+    static toXlsx(entries, rules) {
+        const rows = [['tile_type', 'color'], ...entries.map(({ tileType, color }) => [tileType, color])];
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'colors');
+
+        if (rules) {
+            const ruleRows = [['rule', 'param1', 'param2', 'param3', 'param4']];
+            for (const { size, tiles, exclude } of rules.minRegionSize) {
+                ruleRows.push(['min_region_size', size, tiles.join(','), exclude.join(',')]);
+            }
+            for (const { width, tiles } of rules.minFeatureWidth) {
+                ruleRows.push(['min_feature_width', width, tiles.join(',')]);
+            }
+            for (const { from, to, insert, width } of rules.transitions) {
+                ruleRows.push(['transition', from.join(','), to.join(','), insert, width]);
+            }
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(ruleRows), ExcelParser.RULES_SHEET);
+        }
+
+        return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    }
+
+    static toCsv(entries) {
+        const escape = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const lines = ['tile_type,color'];
+        for (const { tileType, color } of entries) {
+            lines.push(`${escape(tileType)},${color}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    static toGpl(entries) {
+        const lines = ['GIMP Palette', 'Name: WorldBox', 'Columns: 8', '#'];
+        for (const { tileType, color } of entries) {
+            const { r, g, b } = ImageProcessor.hexToRgb(color);
+            const channels = [r, g, b].map(value => String(value).padStart(3, ' ')).join(' ');
+            lines.push(`${channels}\t${tileType || 'Untitled'}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 导出为Paint.NET调色板，tile类型写在颜色前的注释行中
+     * 注意：Paint.NET只读取前96个颜色
+     */
+    static toPaintNet(entries) {
+        const lines = ['; paint.net Palette File', '; WorldBox tile color map', ''];
+        for (const { tileType, color } of entries) {
+            if (tileType) lines.push(`; ${tileType}`);
+            lines.push(`FF${color}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorMapIO;
+}
@@ -0,0 +1,112 @@
+/**
+ * 颜色匹配模块
+ * 根据颜色映射表一次性预计算调色板，并按唯一颜色缓存匹配结果，
+ * 使转换耗时取决于图片中唯一颜色的数量，而不是像素数×调色板大小
+ */
+
+class ColorMatcher {
+    /**
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
+     * @param {Object} options - 匹配选项
+     * @param {number} options.toleranceLevel - 颜色容忍度（0-100），0表示只接受精确匹配
+     * @param {string} options.colorMetric - 颜色距离算法，见ColorMetrics.METRICS
+     */
+    constructor(colorMap, options = {}) {
+        this.colorMetric = options.colorMetric || ColorMetrics.DEFAULT_METRIC;
+        this.toleranceLevel = options.toleranceLevel || 0;
+        this.maxDistance = ColorMetrics.toleranceToDistance(this.toleranceLevel, this.colorMetric);
+
+        // 精确匹配表：24位整数颜色 -> tile类型
+        this.exactMatches = new Map();
+        // 预先转换好颜色空间的调色板，避免每次查找都重新解析
+        this.palette = [];
+        for (const [colorHex, tileType] of colorMap) {
+            const rgb = ImageProcessor.hexToRgb(colorHex);
+            this.exactMatches.set(ColorMatcher.toKey(rgb.r, rgb.g, rgb.b), tileType);
+            this.palette.push({
+                colorHex,
+                tileType,
+                value: ColorMetrics.prepare(rgb, this.colorMetric)
+            });
+        }
+
+        // 唯一颜色的匹配结果缓存：24位整数颜色 -> tile类型（未匹配时为null）
+        this.cache = new Map();
+    }
+
+    /**
+     * 将RGB值打包为24位整数，作为缓存键
+     * @param {number} r - 红色分量 (0-255)
+     * @param {number} g - 绿色分量 (0-255)
+     * @param {number} b - 蓝色分量 (0-255)
+     * @returns {number} 24位整数颜色
+     */
+    static toKey(r, g, b) {
+        return (r << 16) | (g << 8) | b;
+    }
+
+    /**
+     * 查找RGB颜色对应的tile类型，结果按颜色缓存
+     * @param {number} r - 红色分量 (0-255)
+     * @param {number} g - 绿色分量 (0-255)
+     * @param {number} b - 蓝色分量 (0-255)
+     * @returns {string|null} tile类型，超出容忍度时返回null
+     */
+    match(r, g, b) {
+        const key = ColorMatcher.toKey(r, g, b);
+        const cached = this.cache.get(key);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        let tileType = this.exactMatches.get(key);
+        if (tileType === undefined) {
+            tileType = null;
+            if (this.toleranceLevel > 0) {
+                const closest = this.findClosestEntry({ r, g, b }, this.maxDistance);
+                if (closest) {
+                    tileType = closest.tileType;
+                }
+            }
+        }
+
+        this.cache.set(key, tileType);
+        return tileType;
+    }
+
+    /**
+     * 在调色板中查找距离最近且不超过给定距离的颜色
+     * @param {{r: number, g: number, b: number}} rgb - 目标颜色
+     * @param {number} maxDistance - 允许的最大距离
+     * @returns {{colorHex: string, tileType: string}|null} 调色板条目，没有满足条件的则返回null
+     */
+    findClosestEntry(rgb, maxDistance = Infinity) {
+        const target = ColorMetrics.prepare(rgb, this.colorMetric);
+        let closest = null;
+        let minDistance = Infinity;
+
+        for (const entry of this.palette) {
+            const distance = ColorMetrics.preparedDistance(target, entry.value, this.colorMetric);
+            if (distance <= maxDistance && distance < minDistance) {
+                minDistance = distance;
+                closest = entry;
+            }
+        }
+
+        return closest;
+    }
+
+    /**
+     * 在调色板中查找满足容忍度的最接近颜色
+     * @param {string} targetColor - 目标颜色（16进制）
+     * @returns {string|null} 最接近的匹配颜色，如果没有满足容忍度的则返回null
+     */
+    findClosestColor(targetColor) {
+        const closest = this.findClosestEntry(ImageProcessor.hexToRgb(targetColor), this.maxDistance);
+        return closest ? closest.colorHex : null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorMatcher;
+}
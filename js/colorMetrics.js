@@ -0,0 +1,264 @@
+/**
+ * 颜色距离模块
+ * 提供多种颜色距离算法（RGB、加权RGB、CIE76、CIEDE2000），并将距离归一化为0-100的容忍度刻度
+ */
+
+class ColorMetrics {
+    /**
+     * 支持的颜色距离算法
+     * label用于界面显示，space表示计算前需要转换到的颜色空间
+     */
+    static METRICS = {
+        rgb: { label: 'RGB 欧几里得距离', space: 'rgb' },
+        weightedRgb: { label: '加权 RGB（redmean）', space: 'rgb' },
+        cie76: { label: 'CIE76（Lab 距离）', space: 'lab' },
+        ciede2000: { label: 'CIEDE2000（感知距离）', space: 'lab' }
+    };
+
+    static DEFAULT_METRIC = 'rgb';
+
+    /**
+     * 将sRGB颜色转换为CIELAB颜色（D65白点）
+     * @param {{r: number, g: number, b: number}} rgb - RGB值 (0-255)
+     * @returns {{l: number, a: number, b: number}} Lab值
+     */
+    static rgbToLab(rgb) {
+        // sRGB -> 线性RGB
+        const toLinear = (value) => {
+            const c = value / 255;
+            return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+        const r = toLinear(rgb.r);
+        const g = toLinear(rgb.g);
+        const b = toLinear(rgb.b);
+
+        // 线性RGB -> XYZ，并按D65白点归一化
+        const x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / 0.95047;
+        const y = (r * 0.2126729 + g * 0.7151522 + b * 0.0721750) / 1.00000;
+        const z = (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) / 1.08883;
+
+        // XYZ -> Lab
+        const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+        const fx = f(x);
+        const fy = f(y);
+        const fz = f(z);
+
+        return {
+            l: 116 * fy - 16,
+            a: 500 * (fx - fy),
+            b: 200 * (fy - fz)
+        };
+    }
+
+    /**
+     * 将RGB颜色转换为指定算法所需的颜色表示，供preparedDistance使用
+     * @param {{r: number, g: number, b: number}} rgb - RGB值
+     * @param {string} metric - 颜色距离算法
+     * @returns {Object} RGB或Lab颜色
+     */
+    static prepare(rgb, metric) {
+        const info = this.METRICS[metric] || this.METRICS[this.DEFAULT_METRIC];
+        return info.space === 'lab' ? this.rgbToLab(rgb) : rgb;
+    }
+
+    /**
+     * 计算两个已通过prepare转换的颜色之间的距离
+     * @param {Object} color1 - 第一种颜色
+     * @param {Object} color2 - 第二种颜色
+     * @param {string} metric - 颜色距离算法
+     * @returns {number} 距离（算法自身的单位）
+     */
+    static preparedDistance(color1, color2, metric) {
+        switch (metric) {
+            case 'weightedRgb':
+                return this.weightedRgbDistance(color1, color2);
+            case 'cie76':
+                return this.cie76Distance(color1, color2);
+            case 'ciede2000':
+                return this.ciede2000Distance(color1, color2);
+            default:
+                return this.rgbDistance(color1, color2);
+        }
+    }
+
+    /**
+     * 计算两种RGB颜色之间的距离
+     * @param {{r: number, g: number, b: number}} color1 - 第一种颜色的RGB值
+     * @param {{r: number, g: number, b: number}} color2 - 第二种颜色的RGB值
+     * @param {string} metric - 颜色距离算法
+     * @returns {number} 距离（算法自身的单位）
+     */
+    static distance(color1, color2, metric = this.DEFAULT_METRIC) {
+        return this.preparedDistance(this.prepare(color1, metric), this.prepare(color2, metric), metric);
+    }
+
+    /**
+     * 计算最大距离时在sRGB立方体每条棱上取样的段数
+     */
+    static GAMUT_EDGE_STEPS = 16;
+
+    /**
+     * 获取算法下sRGB色域内任意两种颜色的最大距离，用于归一化容忍度
+     * RGB距离的最大值是黑白两色的距离；Lab距离下最远的两种颜色不是黑白（如蓝色与黄色约235 ΔE，黑白为100 ΔE），
+     * 因此在立方体的棱上取样，两两比较取最大值
+     * @param {string} metric - 颜色距离算法
+     * @returns {number} 最大距离
+     */
+    static maxDistance(metric) {
+        if (!this.maxDistanceCache) {
+            this.maxDistanceCache = new Map();
+        }
+        if (!this.maxDistanceCache.has(metric)) {
+            const samples = this.gamutEdgeSamples().map(rgb => this.prepare(rgb, metric));
+            let max = 0;
+            for (let i = 0; i < samples.length; i++) {
+                for (let j = i + 1; j < samples.length; j++) {
+                    max = Math.max(max, this.preparedDistance(samples[i], samples[j], metric));
+                }
+            }
+            this.maxDistanceCache.set(metric, max);
+        }
+        return this.maxDistanceCache.get(metric);
+    }
+
+    /**
+     * 在sRGB立方体的12条棱上等距取样（包括8个顶点）
+     * @returns {Array<{r: number, g: number, b: number}>} 取样的颜色
+     */
+    static gamutEdgeSamples() {
+        const steps = this.GAMUT_EDGE_STEPS;
+        const samples = new Map();
+        const channels = ['r', 'g', 'b'];
+        for (let axis = 0; axis < 3; axis++) {
+            const [other1, other2] = channels.filter((_, index) => index !== axis);
+            for (const fixed1 of [0, 255]) {
+                for (const fixed2 of [0, 255]) {
+                    for (let step = 0; step <= steps; step++) {
+                        const rgb = { [channels[axis]]: Math.round(step / steps * 255), [other1]: fixed1, [other2]: fixed2 };
+                        samples.set(`${rgb.r},${rgb.g},${rgb.b}`, rgb);
+                    }
+                }
+            }
+        }
+        return Array.from(samples.values());
+    }
+
+    /**
+     * 将容忍度（0-100%）换算为算法下允许的最大距离
+     * 容忍度表示色域内最大距离的百分比，因此在不同算法下含义一致：0只接受精确匹配，100匹配任何颜色
+     * @param {number} tolerance - 容忍度（0-100）
+     * @param {string} metric - 颜色距离算法
+     * @returns {number} 允许的最大距离
+     */
+    static toleranceToDistance(tolerance, metric) {
+        // 取样可能略低于真正的最大距离，100%时不限距离
+        if (tolerance >= 100) {
+            return Infinity;
+        }
+        return tolerance / 100 * this.maxDistance(metric);
+    }
+
+    static rgbDistance(c1, c2) {
+        const dr = c1.r - c2.r;
+        const dg = c1.g - c2.g;
+        const db = c1.b - c2.b;
+        return Math.sqrt(dr * dr + dg * dg + db * db);
+    }
+
+    /**
+     * 加权RGB距离（redmean近似），对人眼感知做了简单修正
+     */
+    static weightedRgbDistance(c1, c2) {
+        const rMean = (c1.r + c2.r) / 2;
+        const dr = c1.r - c2.r;
+        const dg = c1.g - c2.g;
+        const db = c1.b - c2.b;
+        return Math.sqrt(
+            (2 + rMean / 256) * dr * dr +
+            4 * dg * dg +
+            (2 + (255 - rMean) / 256) * db * db
+        );
+    }
+
+    static cie76Distance(lab1, lab2) {
+        const dl = lab1.l - lab2.l;
+        const da = lab1.a - lab2.a;
+        const db = lab1.b - lab2.b;
+        return Math.sqrt(dl * dl + da * da + db * db);
+    }
+
+    /**
+     * CIEDE2000色差（kL = kC = kH = 1）
+     */
+    static ciede2000Distance(lab1, lab2) {
+        const deg = Math.PI / 180;
+        const pow25to7 = 6103515625; // 25^7
+
+        const c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+        const c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+        const cMean7 = Math.pow((c1 + c2) / 2, 7);
+        const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + pow25to7)));
+
+        const a1 = (1 + g) * lab1.a;
+        const a2 = (1 + g) * lab2.a;
+        const cp1 = Math.sqrt(a1 * a1 + lab1.b * lab1.b);
+        const cp2 = Math.sqrt(a2 * a2 + lab2.b * lab2.b);
+
+        const hueAngle = (b, a) => {
+            if (a === 0 && b === 0) return 0;
+            const h = Math.atan2(b, a) / deg;
+            return h < 0 ? h + 360 : h;
+        };
+        const hp1 = hueAngle(lab1.b, a1);
+        const hp2 = hueAngle(lab2.b, a2);
+
+        const dLp = lab2.l - lab1.l;
+        const dCp = cp2 - cp1;
+
+        let dhp = 0;
+        if (cp1 * cp2 !== 0) {
+            dhp = hp2 - hp1;
+            if (dhp > 180) dhp -= 360;
+            else if (dhp < -180) dhp += 360;
+        }
+        const dHp = 2 * Math.sqrt(cp1 * cp2) * Math.sin(dhp / 2 * deg);
+
+        const lpMean = (lab1.l + lab2.l) / 2;
+        const cpMean = (cp1 + cp2) / 2;
+
+        let hpMean = hp1 + hp2;
+        if (cp1 * cp2 !== 0) {
+            if (Math.abs(hp1 - hp2) <= 180) {
+                hpMean = (hp1 + hp2) / 2;
+            } else if (hp1 + hp2 < 360) {
+                hpMean = (hp1 + hp2 + 360) / 2;
+            } else {
+                hpMean = (hp1 + hp2 - 360) / 2;
+            }
+        }
+
+        const t = 1 -
+            0.17 * Math.cos((hpMean - 30) * deg) +
+            0.24 * Math.cos(2 * hpMean * deg) +
+            0.32 * Math.cos((3 * hpMean + 6) * deg) -
+            0.20 * Math.cos((4 * hpMean - 63) * deg);
+
+        const dTheta = 30 * Math.exp(-Math.pow((hpMean - 275) / 25, 2));
+        const cpMean7 = Math.pow(cpMean, 7);
+        const rc = 2 * Math.sqrt(cpMean7 / (cpMean7 + pow25to7));
+        const lpMeanSq = (lpMean - 50) * (lpMean - 50);
+        const sl = 1 + 0.015 * lpMeanSq / Math.sqrt(20 + lpMeanSq);
+        const sc = 1 + 0.045 * cpMean;
+        const sh = 1 + 0.015 * cpMean * t;
+        const rt = -Math.sin(2 * dTheta * deg) * rc;
+
+        const termL = dLp / sl;
+        const termC = dCp / sc;
+        const termH = dHp / sh;
+        return Math.sqrt(termL * termL + termC * termC + termH * termH + rt * termC * termH);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorMetrics;
+}
@@ -0,0 +1,129 @@
+/**
+ * 转换流水线模块
+ * 定义图片转换和存档生成任务，不依赖DOM，既可在Web Worker中运行，也可在主线程中直接调用
+ */
+
+class ConversionPipeline {
+    /**
+     * 执行一个流水线任务
+     * @param {string} type - 任务类型：'convert'（图片转换为tile数据）、'procedural'（随机生成tile数据）或 'generate'（生成.wbox文件）
+     * @param {Object} payload - 任务参数，见convert和generate
+     * @param {Function} progressCallback - 进度回调函数 (current, total) => void
+     * @returns {Promise<Object>} 任务结果
+     */
+    static async run(type, payload, progressCallback = null) {
+        switch (type) {
+            case 'convert':
+                return this.convert(payload, progressCallback);
+            case 'procedural':
+                return this.procedural(payload, progressCallback);
+            case 'generate':
+                return this.generate(payload, progressCallback);
+            default:
+                throw new Error(`未知的任务类型: ${type}`);
+        }
+    }
+
+    /**
+     * 将图片文件转换为tile数据，合并额外的图层，并按规则进行后处理
+     * @param {Object} payload - 任务参数
+     * @param {File|Blob} payload.imageFile - 基础图片文件
+     * @param {Object} payload.baseTileData - 已有的基础tile数据（如导入的存档），提供时不读取imageFile
+     * @param {Map<string, string>} payload.colorMap - 颜色到tile类型的映射
+     * @param {Object} payload.options - 转换选项，见ImageProcessor.convertPixels
+     * @param {Array<{kind: string, tileType?: string, priority?: number, onlyOver?: string[], imageFile: File|Blob}>} payload.layers - 额外图层，见LayerProcessor.applyLayers
+     * @param {Object|null} payload.postProcessRules - 后处理规则，见PostProcessor.parseRules，为null时不进行后处理
+     * @param {Function} progressCallback - 进度回调函数 (current, total) => void
+     * @returns {Promise<Object>} ImageProcessor.convertPixels的返回值，有图层时额外包含fire和frozenTiles，后处理时额外包含postProcessStats
+     */
+    static async convert(payload, progressCallback) {
+        const { imageFile, baseTileData, colorMap, options = {}, layers = [], postProcessRules = null } = payload;
+
+        let tileData = baseTileData
+            || await ImageProcessor.processImage(imageFile, colorMap, options, progressCallback);
+
+        if (layers.length > 0) {
+            // 图层按与基础图片相同的方式调整到地图尺寸
+            const layerOptions = {
+                ...options,
+                targetZoneWidth: tileData.width / 64,
+                targetZoneHeight: tileData.height / 64
+            };
+            const masks = [];
+            for (const layer of layers) {
+                const image = await ImageProcessor.decodeImage(layer.imageFile);
+                const { width, height, mask } = LayerProcessor.createMask(image.data, image.width, image.height, layerOptions);
+                masks.push({ ...layer, imageFile: null, width, height, mask });
+            }
+            tileData = LayerProcessor.applyLayers(tileData, masks);
+        }
+
+        if (postProcessRules) {
+            tileData = PostProcessor.apply(tileData, postProcessRules);
+        }
+
+        return tileData;
+    }
+
+    /**
+     * 随机生成tile数据
+     * @param {{options: Object, tileTypes: string[]}} payload - 生成参数和颜色映射表中的tile类型，见MapGenerator.generate
+     * @param {Function} progressCallback - 进度回调函数 (current, total) => void
+     * @returns {Promise<{width: number, height: number, tiles: string[][]}>} tile数据
+     */
+    static async procedural(payload, progressCallback) {
+        const { options, tileTypes } = payload;
+        return MapGenerator.generate(options, tileTypes, progressCallback);
+    }
+
+    /**
+     * 由tile数据生成.wbox文件
+     * @param {{tileData: {width: number, height: number, tiles: string[][], fire?: number[], frozenTiles?: number[]}, statsConfig: Object}} payload - 任务参数
+     * @param {Function} progressCallback - 进度回调函数 (current, total) => void
+     * @returns {Promise<{wboxData: Uint8Array, zoneWidth: number, zoneHeight: number, statistics: Object}>}
+     *          .wbox文件数据、zone尺寸和地图统计报告（见MapStatistics.analyze）
+     */
+    static async generate(payload, progressCallback) {
+        const { tileData, statsConfig } = payload;
+
+        if (progressCallback) progressCallback(0, 3);
+        // 存档（相机位置、城市命名）和统计报告共用一次陆地查找
+        const landmassData = TileAnalysis.findLandmasses(tileData.tiles);
+        const savedMap = SaveGenerator.generateSaveData(
+            tileData.width,  // tile宽度（像素，已确保是64的倍数）
+            tileData.height, // tile高度（像素，已确保是64的倍数）
+            tileData.tiles,
+            statsConfig,     // 用户配置的统计数据
+            {
+                fire: tileData.fire,
+                frozenTiles: tileData.frozenTiles,
+                landmassData
+            }
+        );
+
+        // 按所选存档版本检查，避免生成游戏无法加载的存档
+        const errors = SaveSchemas.validate(savedMap, statsConfig.saveProfile || SaveSchemas.DEFAULT_PROFILE)
+            .filter(issue => issue.level === 'error');
+        if (errors.length > 0) {
+            throw new Error(`存档不符合 saveVersion ${savedMap.saveVersion} 的格式：${errors.map(issue => issue.message).join('；')}`);
+        }
+
+        if (progressCallback) progressCallback(1, 3);
+        const wboxData = SaveGenerator.generateWboxFile(savedMap);
+
+        if (progressCallback) progressCallback(2, 3);
+        const statistics = MapStatistics.analyze(tileData.tiles, landmassData);
+
+        if (progressCallback) progressCallback(3, 3);
+        return {
+            wboxData,
+            zoneWidth: savedMap.width,
+            zoneHeight: savedMap.height,
+            statistics
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversionPipeline;
+}
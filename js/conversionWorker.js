@@ -0,0 +1,56 @@
+/**
+ * 转换Web Worker
+ * 在后台线程中执行ConversionPipeline任务，避免大地图转换时页面卡死
+ *
+ * 消息格式：
+ *   主线程 -> Worker: {type, payload}
+ *   Worker -> 主线程: {kind: 'progress', current, total} | {kind: 'result', result} | {kind: 'error', message}
+ */
+
+importScripts(
+    '../lib/pako.min.js',
+    'colorMetrics.js',
+    'colorMatcher.js',
+    'heightmap.js',
+    'imageProcessor.js',
+    'paletteQuantizer.js',
+    'layerProcessor.js',
+    'postProcessor.js',
+    'mapGenerator.js',
+    'tileAnalysis.js',
+    'mapStatistics.js',
+    'worldLaws.js',
+    'civilizations.js',
+    'regionLabels.js',
+    'saveSchemas.js',
+    'saveGenerator.js',
+    'conversionPipeline.js'
+);
+
+self.onmessage = async (e) => {
+    const { type, payload } = e.data;
+
+    // 只在整数百分比变化时发送进度消息，避免消息过多
+    let lastPercent = -1;
+    const progressCallback = (current, total) => {
+        const percent = Math.floor(current / total * 100);
+        if (percent !== lastPercent) {
+            lastPercent = percent;
+            self.postMessage({ kind: 'progress', current, total });
+        }
+    };
+
+    try {
+        const result = await ConversionPipeline.run(type, payload, progressCallback);
+
+        // 二进制数据通过转移所有权发送，避免复制
+        const transfer = [];
+        if (result.wboxData) transfer.push(result.wboxData.buffer);
+        if (result.unmatchedMask) transfer.push(result.unmatchedMask.buffer);
+        if (result.quantizedPixels) transfer.push(result.quantizedPixels.buffer);
+
+        self.postMessage({ kind: 'result', result }, transfer);
+    } catch (error) {
+        self.postMessage({ kind: 'error', message: error.message });
+    }
+};
@@ -4,66 +4,20 @@
  */
 
 class ExcelParser {
+    /**
+     * 后处理规则所在的工作表名称
+     */
+    static RULES_SHEET = 'rules';
+
     /**
      * 解析Excel文件，构建颜色到tile类型的映射
-     * @param {File|ArrayBuffer} fileOrBuffer - Excel文件或ArrayBuffer
+     * @param {File|ArrayBuffer|Uint8Array} fileOrBuffer - Excel文件、ArrayBuffer或字节数组
      * @returns {Promise<Map<string, string>>} 颜色(大写16进制)到tile类型的映射
      */
     static async parseExcel(fileOrBuffer) {
         try {
-            let workbook;
-            
-            if (fileOrBuffer instanceof File) {
-                const arrayBuffer = await fileOrBuffer.arrayBuffer();
-                workbook = XLSX.read(arrayBuffer, { type: 'array' });
-            } else if (fileOrBuffer instanceof ArrayBuffer) {
-                workbook = XLSX.read(fileOrBuffer, { type: 'array' });
-            } else {
-                throw new Error('不支持的文件类型');
-            }
-
-            // 获取第一个工作表
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
-
-            // 转换为JSON数组
-            const data = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
-
-            // 构建颜色到tile类型的映射
-            const colorMap = new Map();
-
-            // 从第二行开始（第一行可能是标题）
-            for (let i = 1; i < data.length; i++) {
-                const row = data[i];
-                if (!row || row.length < 2) continue;
-
-                const tileType = String(row[0]).trim();
-                let colorValue = row[1];
-
-                // 跳过空行
-                if (!tileType || !colorValue) continue;
-
-                // 处理颜色值：可能是字符串、数字或其他格式
-                let colorHex = '';
-                if (typeof colorValue === 'string') {
-                    colorHex = colorValue.trim().toUpperCase();
-                    // 移除可能的#号
-                    colorHex = colorHex.replace(/^#/, '');
-                } else if (typeof colorValue === 'number') {
-                    // 如果是数字，转换为16进制字符串
-                    colorHex = colorValue.toString(16).toUpperCase().padStart(6, '0');
-                } else {
-                    // 尝试转换为字符串
-                    colorHex = String(colorValue).trim().toUpperCase().replace(/^#/, '');
-                }
-
-                // 验证颜色格式（应该是6位16进制）
-                if (/^[0-9A-F]{6}$/.test(colorHex)) {
-                    colorMap.set(colorHex, tileType);
-                } else {
-                    console.warn(`第${i + 1}行的颜色格式无效: ${colorValue}`);
-                }
-            }
+            const entries = await this.readEntries(fileOrBuffer);
+            const colorMap = this.toColorMap(entries);
 
             if (colorMap.size === 0) {
                 throw new Error('Excel文件中没有找到有效的颜色映射数据');
@@ -77,22 +31,156 @@ class ExcelParser {
         }
     }
 
+    /**
+     * 读取Excel文件中的全部映射行（保留重复的颜色，供颜色映射表编辑器使用）
+     * @param {File|ArrayBuffer|Uint8Array} fileOrBuffer - Excel文件、ArrayBuffer或字节数组
+     * @returns {Promise<Array<{tileType: string, color: string}>>} 按行顺序排列的映射
+     */
+    static async readEntries(fileOrBuffer) {
+        const workbook = await this.readWorkbook(fileOrBuffer);
+
+        // 获取第一个工作表
+        const firstSheetName = workbook.SheetNames[0];
+        const worksheet = workbook.Sheets[firstSheetName];
+
+        // 转换为JSON数组
+        const data = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+
+        const entries = [];
+
+        // 从第二行开始（第一行可能是标题）
+        for (let i = 1; i < data.length; i++) {
+            const row = data[i];
+            if (!row || row.length < 2) continue;
+
+            const tileType = String(row[0]).trim();
+            const colorValue = row[1];
+
+            // 跳过空行（颜色为数字0时是黑色000000，不是空单元格）
+            if (!tileType || colorValue === '') continue;
+
+            // 验证颜色格式（应该是6位16进制）
+            const colorHex = this.normalizeColor(colorValue);
+            if (colorHex) {
+                entries.push({ tileType, color: colorHex });
+            } else {
+                console.warn(`第${i + 1}行的颜色格式无效: ${colorValue}`);
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * 读取Excel文件中名为rules的工作表中的后处理规则
+     * 每行第一列为规则名称，其余列为参数（不是规则名称的行，如标题行，会被跳过）：
+     *   min_region_size   | 最小区域tile数 | 只处理的tile类型（逗号分隔，可留空） | 不处理的tile类型（逗号分隔，可留空）
+     *   min_feature_width | 最小宽度 | tile类型（逗号分隔）
+     *   transition        | from tile类型 | to tile类型 | 插入的tile类型 | 宽度（默认1）
+     * @param {File|ArrayBuffer|Uint8Array} fileOrBuffer - Excel文件、ArrayBuffer或字节数组
+     * @returns {Promise<Object|null>} 规则（格式见PostProcessor.parseRules），没有rules工作表时返回null
+     */
+    static async readRules(fileOrBuffer) {
+        const workbook = await this.readWorkbook(fileOrBuffer);
+        const worksheet = workbook.Sheets[this.RULES_SHEET];
+        if (!worksheet) {
+            return null;
+        }
+
+        const data = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+        const rules = { minRegionSize: [], minFeatureWidth: [], transitions: [] };
+        for (const row of data) {
+            const name = String(row[0]).trim().toLowerCase();
+            if (name === 'min_region_size') {
+                rules.minRegionSize.push({ size: row[1], tiles: String(row[2]), exclude: String(row[3]) });
+            } else if (name === 'min_feature_width') {
+                rules.minFeatureWidth.push({ width: row[1], tiles: String(row[2]) });
+            } else if (name === 'transition') {
+                rules.transitions.push({ from: String(row[1]), to: String(row[2]), insert: String(row[3]), width: row[4] });
+            }
+        }
+        return rules;
+    }
+
+    /**
+     * 读取Excel工作簿
+     * @param {File|ArrayBuffer|Uint8Array} fileOrBuffer - Excel文件、ArrayBuffer或字节数组（如Node.js的Buffer）
+     * @returns {Promise<Object>} SheetJS工作簿
+     */
+    static async readWorkbook(fileOrBuffer) {
+        if (typeof File !== 'undefined' && fileOrBuffer instanceof File) {
+            const arrayBuffer = await fileOrBuffer.arrayBuffer();
+            return XLSX.read(arrayBuffer, { type: 'array' });
+        } else if (fileOrBuffer instanceof ArrayBuffer || fileOrBuffer instanceof Uint8Array) {
+            return XLSX.read(fileOrBuffer, { type: 'array' });
+        }
+        throw new Error('不支持的文件类型');
+    }
+
+    /**
+     * 将单元格中的颜色值转换为大写16进制
+     * @param {string|number} colorValue - 颜色值：可能是字符串、数字或其他格式
+     * @returns {string|null} 6位大写16进制颜色，格式无效时返回null
+     */
+    static normalizeColor(colorValue) {
+        let colorHex = '';
+        if (typeof colorValue === 'string') {
+            colorHex = colorValue.trim().toUpperCase();
+            // 移除可能的#号
+            colorHex = colorHex.replace(/^#/, '');
+        } else if (typeof colorValue === 'number') {
+            // 只含数字的颜色（如414545）在Excel中保存为数字，其十进制写法就是16进制颜色，
+            // 不能再转换为16进制（开头的0会被Excel去掉，需要补齐）
+            colorHex = Number.isInteger(colorValue) && colorValue >= 0 ? String(colorValue).padStart(6, '0') : '';
+        } else {
+            // 尝试转换为字符串
+            colorHex = String(colorValue).trim().toUpperCase().replace(/^#/, '');
+        }
+
+        return /^[0-9A-F]{6}$/.test(colorHex) ? colorHex : null;
+    }
+
+    /**
+     * 由映射行构建颜色到tile类型的映射，重复的颜色以后面的行为准
+     * @param {Array<{tileType: string, color: string}>} entries - 映射行
+     * @returns {Map<string, string>} 颜色(大写16进制)到tile类型的映射
+     */
+    static toColorMap(entries) {
+        const colorMap = new Map();
+        for (const { tileType, color } of entries) {
+            colorMap.set(color, tileType);
+        }
+        return colorMap;
+    }
+
     /**
      * 加载默认的Excel文件（default.xlsx）
      * @returns {Promise<Map<string, string>>} 颜色到tile类型的映射
      */
     static async loadDefaultExcel() {
         try {
-            const response = await fetch('default.xlsx');
-            if (!response.ok) {
-                throw new Error(`无法加载default.xlsx: ${response.statusText}`);
-            }
-            const arrayBuffer = await response.arrayBuffer();
+            const arrayBuffer = await this.fetchDefaultExcel();
             return await this.parseExcel(arrayBuffer);
         } catch (error) {
             console.error('加载默认Excel文件错误:', error);
             throw new Error(`无法加载默认Excel文件: ${error.message}`);
         }
     }
+
+    /**
+     * 下载默认的Excel文件（default.xlsx）
+     * @returns {Promise<ArrayBuffer>} 文件内容
+     */
+    static async fetchDefaultExcel() {
+        const response = await fetch('default.xlsx');
+        if (!response.ok) {
+            throw new Error(`无法加载default.xlsx: ${response.statusText}`);
+        }
+        return response.arrayBuffer();
+    }
 }
 
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExcelParser;
+}
@@ -0,0 +1,87 @@
+/**
+ * 高度图模块
+ * 负责解析高度分段设置，并将灰度高度值(0-255)转换为tile类型
+ */
+
+class Heightmap {
+    /**
+     * 默认高度分段：数值越大地势越高
+     * 格式为 "tile类型 < 阈值 < tile类型 < 阈值 < ... < tile类型"，
+     * 如 "deep_ocean < 40 < close_ocean" 表示高度小于40为deep_ocean，40及以上为close_ocean
+     */
+    static DEFAULT_BANDS = 'deep_ocean < 40 < close_ocean < 60 < shallow_waters < 70 < sand < 80 < soil_low:grass_low < 140 < soil_high:grass_high < 180 < hills < 220 < mountains';
+
+    /**
+     * 解析高度分段设置
+     * @param {string} text - 分段设置，如 "deep_ocean < 40 < close_ocean < 60 < sand"
+     * @returns {Array<{tileType: string, below: number}>} 按阈值升序排列的分段，最后一段的below为256
+     */
+    static parseBands(text) {
+        const parts = String(text).split('<').map(part => part.trim());
+
+        if (parts.length % 2 === 0 || parts.some(part => part === '')) {
+            throw new Error('高度分段格式无效，应为 "tile类型 < 阈值 < tile类型 < ... < tile类型"');
+        }
+
+        const bands = [];
+        let lastThreshold = 0;
+        for (let i = 0; i < parts.length; i += 2) {
+            const tileType = parts[i];
+            if (/^\d+$/.test(tileType)) {
+                throw new Error(`高度分段中应为tile类型的位置出现了数字: ${tileType}`);
+            }
+
+            let below = 256;
+            if (i + 1 < parts.length) {
+                if (!/^\d+$/.test(parts[i + 1])) {
+                    throw new Error(`高度分段阈值无效: ${parts[i + 1]}`);
+                }
+                below = parseInt(parts[i + 1], 10);
+                if (below <= lastThreshold || below > 255) {
+                    throw new Error(`高度分段阈值必须在1-255之间且递增: ${below}`);
+                }
+                lastThreshold = below;
+            }
+
+            bands.push({ tileType, below });
+        }
+
+        return bands;
+    }
+
+    /**
+     * 构建高度值(0-255)到tile类型的查找表
+     * @param {Array<{tileType: string, below: number}>} bands - 高度分段，见parseBands
+     * @returns {string[]} 长度为256的查找表
+     */
+    static buildLookup(bands) {
+        if (!bands || bands.length === 0) {
+            throw new Error('高度分段不能为空');
+        }
+
+        const lookup = new Array(256);
+        let bandIndex = 0;
+        for (let value = 0; value < 256; value++) {
+            while (bandIndex < bands.length - 1 && value >= bands[bandIndex].below) {
+                bandIndex++;
+            }
+            lookup[value] = bands[bandIndex].tileType;
+        }
+        return lookup;
+    }
+
+    /**
+     * 计算像素的高度值（灰度），彩色图片按感知亮度换算
+     * @param {number} r - 红色分量 (0-255)
+     * @param {number} g - 绿色分量 (0-255)
+     * @param {number} b - 蓝色分量 (0-255)
+     * @returns {number} 高度值 (0-255)
+     */
+    static heightOf(r, g, b) {
+        return Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Heightmap;
+}
@@ -5,125 +5,92 @@
 
 class ImageProcessor {
     /**
-     * 从图片文件读取像素数据并转换为tile类型数组
-     * 图片尺寸会被裁剪为64的倍数（向下取整），保留原始像素值，不进行插值
-     * @param {File} imageFile - 图片文件
-     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
-     * @param {Function} progressCallback - 进度回调函数 (current, total) => void
-     * @returns {Promise<{width: number, height: number, tiles: string[][]}>} 
-     *          width和height是tile尺寸（像素，保证是64的倍数），tiles是tile类型二维数组[y][x]
+     * 图片尺寸调整模式
+     * crop: 裁剪为64的倍数（向下取整，保留左上角）
+     * centerCrop: 居中裁剪为64的倍数（向下取整）
+     * pad: 居中放置并用填充tile补齐到64的倍数（向上取整）
+     * scale: 最近邻缩放到目标zone数量，不产生新颜色
      */
-    static async processImage(imageFile, colorMap, progressCallback = null) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
+    static RESIZE_MODES = {
+        crop: '裁剪（保留左上角）',
+        centerCrop: '居中裁剪',
+        pad: '填充到64的倍数',
+        scale: '最近邻缩放'
+    };
 
-            img.onload = () => {
-                try {
-                    // 确保尺寸是64的倍数（向下取整，裁剪而非插值）
-                    const originalWidth = img.width;
-                    const originalHeight = img.height;
-                    const tileWidth = Math.floor(originalWidth / 64) * 64;
-                    const tileHeight = Math.floor(originalHeight / 64) * 64;
-
-                    if (tileWidth === 0 || tileHeight === 0) {
-                        throw new Error(`图片尺寸太小：${originalWidth}×${originalHeight}，至少需要64×64像素`);
-                    }
+    static DEFAULT_FILLER_TILE = 'deep_ocean';
 
-                    if (tileWidth !== originalWidth || tileHeight !== originalHeight) {
-                        console.warn(`图片尺寸 ${originalWidth}×${originalHeight} 不是64的倍数，将裁剪为 ${tileWidth}×${tileHeight}`);
-                    }
+    /**
+     * 未匹配像素的处理方式
+     * fallback: 使用指定的tile类型（默认soil_low）
+     * neighbours: 使用周围已匹配像素中最多的tile类型，适合清理抗锯齿边缘
+     * nearest: 使用最接近的映射颜色，不受容忍度限制
+     * fail: 转换时使用指定的tile类型（用于预览），生成存档时报错并列出未匹配的颜色
+     */
+    static UNMATCHED_POLICIES = {
+        fallback: '使用指定的tile类型',
+        neighbours: '使用周围最多的tile类型',
+        nearest: '使用最接近的映射颜色（忽略容忍度）',
+        fail: '停止生成并报告未匹配的颜色'
+    };
 
-                    // 设置canvas尺寸为裁剪后的尺寸
-                    canvas.width = tileWidth;
-                    canvas.height = tileHeight;
-
-                    // 绘制图片到canvas（只绘制裁剪后的部分，保留原始像素值，不进行缩放）
-                    // 源图片从(0,0)开始，取tileWidth×tileHeight的区域
-                    // 绘制到canvas的(0,0)位置，尺寸保持tileWidth×tileHeight
-                    ctx.drawImage(img, 0, 0, tileWidth, tileHeight);
-
-                    // 获取图片数据
-                    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                    const data = imageData.data;
-
-                    // 处理每个像素
-                    const tiles = [];
-                    const totalPixels = canvas.width * canvas.height;
-                    let processedPixels = 0;
-                    const unmatchedColors = new Map();
-
-                    for (let y = 0; y < canvas.height; y++) {
-                        const row = [];
-                        for (let x = 0; x < canvas.width; x++) {
-                            const index = (y * canvas.width + x) * 4;
-                            const r = data[index];
-                            const g = data[index + 1];
-                            const b = data[index + 2];
-                            // 注意：忽略alpha通道
-
-                            // 转换为16进制字符串（6位，大写）
-                            const colorHex = this.rgbToHex(r, g, b);
-
-                            // 在颜色映射表中查找
-                            let tileType = colorMap.get(colorHex);
-
-                            if (!tileType && toleranceLevel > 0) {
-                                // 如果找不到精确匹配且容忍度大于0，尝试查找最接近的颜色
-                                const closestColor = this.findClosestColor(colorHex, colorMap, toleranceLevel);
-                                if (closestColor) {
-                                    tileType = colorMap.get(closestColor);
-                                } else {
-                                    tileType = 'soil_low';
-                                }
-                            } else if (!tileType && toleranceLevel === 0) {
-                                // 如果找不到精确匹配且容忍度为0，记录未匹配的颜色
-                                const count = unmatchedColors.get(colorHex) || 0;
-                                unmatchedColors.set(colorHex, count + 1);
-                                
-                                // 使用默认tile类型
-                                tileType = 'soil_low';
-                            }
+    static DEFAULT_FALLBACK_TILE = 'soil_low';
 
-                            row.push(tileType);
-                            processedPixels++;
+    static MAX_NEIGHBOUR_PASSES = 16;
 
-                            // 更新进度（每处理1000个像素更新一次）
-                            if (progressCallback && processedPixels % 1000 === 0) {
-                                progressCallback(processedPixels, totalPixels);
-                            }
-                        }
-                        tiles.push(row);
-                    }
+    /**
+     * 从图片文件读取像素数据并转换为tile类型数组
+     * 图片尺寸按options.resizeMode调整为64的倍数，保留原始像素值，不进行插值
+     * @param {File|Blob} imageFile - 图片文件
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
+     * @param {Object} options - 转换选项，见convertPixels
+     * @param {Function} progressCallback - 进度回调函数 (current, total) => void
+     * @returns {Promise<{width: number, height: number, tiles: string[][], unmatchedMask: Uint8Array, unmatchedColors: Map<string, number>}>}
+     *          见convertPixels
+     */
+    static async processImage(imageFile, colorMap, options = {}, progressCallback = null) {
+        const image = await this.decodeImage(imageFile);
+        return this.convertPixels(image.data, image.width, image.height, colorMap, options, progressCallback);
+    }
 
-                    // 最终进度更新
-                    if (progressCallback) {
-                        progressCallback(totalPixels, totalPixels);
-                    }
+    /**
+     * 解码图片文件为RGBA像素数据
+     * 支持createImageBitmap和OffscreenCanvas时（包括Web Worker中）直接解码，否则使用Image和canvas元素
+     * @param {File|Blob} imageFile - 图片文件
+     * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>} 原始尺寸的RGBA像素数据
+     */
+    static async decodeImage(imageFile) {
+        if (typeof createImageBitmap === 'function' && typeof OffscreenCanvas !== 'undefined') {
+            let bitmap;
+            try {
+                // 关闭颜色空间转换和预乘alpha，保证读取到的是原始像素值
+                bitmap = await createImageBitmap(imageFile, {
+                    premultiplyAlpha: 'none',
+                    colorSpaceConversion: 'none'
+                });
+            } catch (error) {
+                throw new Error('无法加载图片文件');
+            }
 
-                    // 输出未匹配的颜色统计（仅在控制台）
-                    if (unmatchedColors.size > 0) {
-                        const totalUnmatched = Array.from(unmatchedColors.values())
-                            .reduce((sum, count) => sum + count, 0);
-                        console.warn(`警告: 发现 ${unmatchedColors.size} 种未匹配的颜色，共 ${totalUnmatched} 个像素使用了默认tile类型`);
-                        const topUnmatched = Array.from(unmatchedColors.entries())
-                            .sort((a, b) => b[1] - a[1])
-                            .slice(0, 10);
-                        topUnmatched.forEach(([color, count]) => {
-                            console.warn(`  #${color}: ${count} 个像素`);
-                        });
-                    }
+            const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(bitmap, 0, 0);
+            bitmap.close();
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            return { width: canvas.width, height: canvas.height, data: imageData.data };
+        }
 
-                    // 返回结果
-                    resolve({
-                        width: canvas.width,
-                        height: canvas.height,
-                        tiles: tiles.reverse()  // 反转y轴，让tiles[0]对应图片的底部（游戏世界的底部）
-                    });
-                } catch (error) {
-                    reject(new Error(`图片处理失败: ${error.message}`));
-                }
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = img.width;
+                canvas.height = img.height;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0);
+                const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+                resolve({ width: canvas.width, height: canvas.height, data: imageData.data });
             };
 
             img.onerror = () => {
@@ -142,6 +109,454 @@ class ImageProcessor {
         });
     }
 
+    /**
+     * 读取图片文件的原始尺寸
+     * @param {File|Blob} imageFile - 图片文件
+     * @returns {Promise<{width: number, height: number}>} 图片尺寸（像素）
+     */
+    static async getImageSize(imageFile) {
+        if (typeof createImageBitmap === 'function') {
+            const bitmap = await createImageBitmap(imageFile);
+            const size = { width: bitmap.width, height: bitmap.height };
+            bitmap.close();
+            return size;
+        }
+
+        const image = await this.decodeImage(imageFile);
+        return { width: image.width, height: image.height };
+    }
+
+    /**
+     * 计算图片到tile地图的布局：目标尺寸以及目标像素到源像素的映射
+     * 源像素坐标 sx = floor((x + 0.5) * scaleX) + offsetX，超出源图片范围的位置使用填充tile
+     * @param {number} srcWidth - 源图片宽度
+     * @param {number} srcHeight - 源图片高度
+     * @param {Object} options - 尺寸选项
+     * @param {string} options.resizeMode - 尺寸调整模式，见RESIZE_MODES，默认crop
+     * @param {number} options.targetZoneWidth - 目标宽度（zone数量），为0时按模式由图片尺寸推算
+     * @param {number} options.targetZoneHeight - 目标高度（zone数量），为0时按模式由图片尺寸推算
+     * @returns {{width: number, height: number, scaleX: number, scaleY: number, offsetX: number, offsetY: number}}
+     *          width和height是tile尺寸（保证是64的倍数）
+     */
+    static computeLayout(srcWidth, srcHeight, options = {}) {
+        const mode = options.resizeMode || 'crop';
+        if (!this.RESIZE_MODES[mode]) {
+            throw new Error(`未知的尺寸调整模式: ${mode}`);
+        }
+
+        // 由图片尺寸推算zone数量：填充向上取整，缩放四舍五入，裁剪向下取整
+        const toZones = (size) => {
+            if (mode === 'pad') return Math.ceil(size / 64);
+            if (mode === 'scale') return Math.max(1, Math.round(size / 64));
+            return Math.floor(size / 64);
+        };
+        const zoneWidth = options.targetZoneWidth > 0 ? options.targetZoneWidth : toZones(srcWidth);
+        const zoneHeight = options.targetZoneHeight > 0 ? options.targetZoneHeight : toZones(srcHeight);
+        const width = zoneWidth * 64;
+        const height = zoneHeight * 64;
+
+        if (width === 0 || height === 0) {
+            throw new Error(`图片尺寸太小：${srcWidth}×${srcHeight}，至少需要64×64像素`);
+        }
+
+        if (mode === 'scale') {
+            return { width, height, scaleX: srcWidth / width, scaleY: srcHeight / height, offsetX: 0, offsetY: 0 };
+        }
+
+        // 居中裁剪和填充都让图片中心与地图中心对齐（偏移为负时表示两侧需要填充）
+        const centered = mode === 'centerCrop' || mode === 'pad';
+        return {
+            width,
+            height,
+            scaleX: 1,
+            scaleY: 1,
+            offsetX: centered ? Math.floor((srcWidth - width) / 2) : 0,
+            offsetY: centered ? Math.floor((srcHeight - height) / 2) : 0
+        };
+    }
+
+    /**
+     * 将RGBA像素数据转换为tile类型数组，不依赖DOM，可在Web Worker中运行
+     * 尺寸按computeLayout调整为64的倍数，缩放使用最近邻采样，保留原始像素值，不进行插值
+     * @param {Uint8ClampedArray|Uint8Array} data - RGBA像素数据，按行从上到下排列
+     * @param {number} srcWidth - 像素数据宽度
+     * @param {number} srcHeight - 像素数据高度
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
+     * @param {Object} options - 转换选项
+     * @param {number} options.toleranceLevel - 颜色容忍度（0-100），0表示只接受精确匹配
+     * @param {string} options.colorMetric - 颜色距离算法，见ColorMetrics.METRICS
+     * @param {string} options.resizeMode - 尺寸调整模式，见computeLayout
+     * @param {number} options.targetZoneWidth - 目标宽度（zone数量），见computeLayout
+     * @param {number} options.targetZoneHeight - 目标高度（zone数量），见computeLayout
+     * @param {string} options.fillerTile - 超出图片范围部分使用的tile类型，默认deep_ocean
+     * @param {string} options.inputMode - 输入模式：'palette'（按颜色映射表，默认）或 'heightmap'（按灰度高度分段）
+     * @param {Array<{tileType: string, below: number}>} options.heightBands - 高度图模式的高度分段，见Heightmap.parseBands
+     * @param {string} options.unmatchedPolicy - 未匹配像素的处理方式，见UNMATCHED_POLICIES，默认fallback
+     * @param {string} options.fallbackTile - 未匹配像素使用的tile类型，默认soil_low
+     * @param {Object|null} options.quantization - 调色板量化选项 {dithering, weights}，见PaletteQuantizer.quantize，
+     *        提供时先将图片量化为映射表中的颜色再匹配（高度图模式下忽略）
+     * @param {Function} progressCallback - 进度回调函数 (current, total) => void
+     * @returns {{width: number, height: number, tiles: string[][], unmatchedMask: Uint8Array, unmatchedColors: Map<string, number>, quantizedPixels?: Uint8ClampedArray}}
+     *          width和height是tile尺寸（像素，保证是64的倍数），tiles是tile类型二维数组[y][x]，
+     *          unmatchedMask按[y * width + x]标记颜色未匹配的像素，unmatchedColors是未匹配颜色的像素计数，
+     *          量化时quantizedPixels是量化结果的RGBA像素数据（地图尺寸，按行从上到下，填充区域透明）
+     */
+    static convertPixels(data, srcWidth, srcHeight, colorMap, options = {}, progressCallback = null) {
+        // 确保尺寸是64的倍数
+        const layout = this.computeLayout(srcWidth, srcHeight, options);
+        const tileWidth = layout.width;
+        const tileHeight = layout.height;
+        const fillerTile = options.fillerTile || this.DEFAULT_FILLER_TILE;
+        const fallbackTile = options.fallbackTile || this.DEFAULT_FALLBACK_TILE;
+        const unmatchedPolicy = options.unmatchedPolicy || 'fallback';
+        if (!this.UNMATCHED_POLICIES[unmatchedPolicy]) {
+            throw new Error(`未知的未匹配像素处理方式: ${unmatchedPolicy}`);
+        }
+
+        if (tileWidth !== srcWidth || tileHeight !== srcHeight) {
+            console.warn(`图片尺寸 ${srcWidth}×${srcHeight} 不是64的倍数或与目标尺寸不同，将调整为 ${tileWidth}×${tileHeight}`);
+        }
+
+        // 预先计算每一列对应的源像素列（超出范围为-1）
+        const sourceColumns = new Int32Array(tileWidth);
+        for (let x = 0; x < tileWidth; x++) {
+            const sx = Math.floor((x + 0.5) * layout.scaleX) + layout.offsetX;
+            sourceColumns[x] = sx >= 0 && sx < srcWidth ? sx : -1;
+        }
+
+        // 处理每个像素
+        const tiles = [];
+        const totalPixels = tileWidth * tileHeight;
+        let processedPixels = 0;
+        const unmatchedCounts = new Map();  // 24位整数颜色 -> 像素数量
+        const unmatchedMask = new Uint8Array(totalPixels);
+
+        // 高度图模式使用高度查找表，否则预计算调色板，并按唯一颜色缓存匹配结果
+        const heightLookup = options.inputMode === 'heightmap'
+            ? Heightmap.buildLookup(options.heightBands || Heightmap.parseBands(Heightmap.DEFAULT_BANDS))
+            : null;
+        const matcher = heightLookup ? null : new ColorMatcher(colorMap, options);
+        // nearest策略：不限距离查找最接近的映射颜色，结果按颜色缓存；映射表为空时仍使用fallbackTile
+        const nearestCache = !heightLookup && unmatchedPolicy === 'nearest' ? new Map() : null;
+        const pendingPixels = [];  // neighbours策略中等待按周围像素确定的像素（y * width + x，反转前）
+
+        // 量化：抖动需要在最终分辨率上进行，先按布局采样到地图尺寸再量化，之后从量化结果中读取像素
+        // 量化和匹配各占一半进度
+        let quantizedPixels = null;
+        let progressOffset = 0;
+        let progressTotal = totalPixels;
+        if (!heightLookup && options.quantization) {
+            const sampled = this.resamplePixels(data, srcWidth, srcHeight, layout);
+            progressTotal = totalPixels * 2;
+            quantizedPixels = PaletteQuantizer.quantize(sampled, tileWidth, tileHeight, colorMap, {
+                ...options.quantization,
+                colorMetric: options.colorMetric
+            }, progressCallback && ((current) => progressCallback(current, progressTotal)));
+            progressOffset = totalPixels;
+        }
+
+        for (let y = 0; y < tileHeight; y++) {
+            const row = [];
+            const sy = Math.floor((y + 0.5) * layout.scaleY) + layout.offsetY;
+            const rowInside = sy >= 0 && sy < srcHeight;
+
+            for (let x = 0; x < tileWidth; x++) {
+                const sx = sourceColumns[x];
+                let tileType;
+
+                if (!rowInside || sx < 0) {
+                    // 超出图片范围，使用填充tile
+                    tileType = fillerTile;
+                } else {
+                    const pixels = quantizedPixels || data;
+                    const index = quantizedPixels ? (y * tileWidth + x) * 4 : (sy * srcWidth + sx) * 4;
+                    const r = pixels[index];
+                    const g = pixels[index + 1];
+                    const b = pixels[index + 2];
+                    // 注意：忽略alpha通道
+
+                    if (heightLookup) {
+                        // 高度图模式：按灰度值所在的高度分段确定tile类型
+                        tileType = heightLookup[Heightmap.heightOf(r, g, b)];
+                    } else {
+                        // 在颜色映射表中查找（精确匹配优先，容忍度大于0时查找最接近的颜色）
+                        tileType = matcher.match(r, g, b);
+
+                        if (!tileType) {
+                            // 找不到匹配，记录未匹配的颜色
+                            const key = ColorMatcher.toKey(r, g, b);
+                            unmatchedCounts.set(key, (unmatchedCounts.get(key) || 0) + 1);
+                            // tiles最后会反转y轴，掩码直接按反转后的行号记录
+                            unmatchedMask[(tileHeight - 1 - y) * tileWidth + x] = 1;
+
+                            if (nearestCache) {
+                                tileType = nearestCache.get(key);
+                                if (tileType === undefined) {
+                                    const closest = matcher.findClosestEntry({ r, g, b }, Infinity);
+                                    tileType = closest ? closest.tileType : fallbackTile;
+                                    nearestCache.set(key, tileType);
+                                }
+                            } else if (unmatchedPolicy === 'neighbours') {
+                                tileType = null;
+                                pendingPixels.push(y * tileWidth + x);
+                            } else {
+                                tileType = fallbackTile;
+                            }
+                        }
+                    }
+                }
+
+                row.push(tileType);
+                processedPixels++;
+
+                // 更新进度（每处理1000个像素更新一次）
+                if (progressCallback && processedPixels % 1000 === 0) {
+                    progressCallback(progressOffset + processedPixels, progressTotal);
+                }
+            }
+            tiles.push(row);
+        }
+
+        if (pendingPixels.length > 0) {
+            this.fillFromNeighbours(tiles, pendingPixels, tileWidth, tileHeight, fallbackTile);
+        }
+
+        // 最终进度更新
+        if (progressCallback) {
+            progressCallback(progressTotal, progressTotal);
+        }
+
+        // 将未匹配颜色转换为16进制字符串（6位，大写）
+        const unmatchedColors = new Map();
+        for (const [key, count] of unmatchedCounts) {
+            unmatchedColors.set(this.rgbToHex(key >> 16, (key >> 8) & 0xFF, key & 0xFF), count);
+        }
+
+        // 输出未匹配的颜色统计（仅在控制台）
+        if (unmatchedColors.size > 0) {
+            const totalUnmatched = Array.from(unmatchedColors.values())
+                .reduce((sum, count) => sum + count, 0);
+            console.warn(`警告: 发现 ${unmatchedColors.size} 种未匹配的颜色，共 ${totalUnmatched} 个像素按"${this.UNMATCHED_POLICIES[unmatchedPolicy]}"处理`);
+            const topUnmatched = Array.from(unmatchedColors.entries())
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 10);
+            topUnmatched.forEach(([color, count]) => {
+                console.warn(`  #${color}: ${count} 个像素`);
+            });
+        }
+
+        // 返回结果
+        const result = {
+            width: tileWidth,
+            height: tileHeight,
+            tiles: tiles.reverse(),  // 反转y轴，让tiles[0]对应图片的底部（游戏世界的底部）
+            unmatchedMask,
+            unmatchedColors
+        };
+        if (quantizedPixels) {
+            result.quantizedPixels = quantizedPixels;
+        }
+        return result;
+    }
+
+    /**
+     * 按布局将像素数据最近邻采样到地图尺寸
+     * @param {Uint8ClampedArray|Uint8Array} data - RGBA像素数据，按行从上到下排列
+     * @param {number} srcWidth - 像素数据宽度
+     * @param {number} srcHeight - 像素数据高度
+     * @param {Object} layout - 布局，见computeLayout
+     * @returns {Uint8ClampedArray} 地图尺寸的RGBA像素数据，超出图片范围的像素alpha为0，其余为255
+     */
+    static resamplePixels(data, srcWidth, srcHeight, layout) {
+        const output = new Uint8ClampedArray(layout.width * layout.height * 4);
+        for (let y = 0; y < layout.height; y++) {
+            const sy = Math.floor((y + 0.5) * layout.scaleY) + layout.offsetY;
+            if (sy < 0 || sy >= srcHeight) continue;
+
+            for (let x = 0; x < layout.width; x++) {
+                const sx = Math.floor((x + 0.5) * layout.scaleX) + layout.offsetX;
+                if (sx < 0 || sx >= srcWidth) continue;
+
+                const source = (sy * srcWidth + sx) * 4;
+                const target = (y * layout.width + x) * 4;
+                output[target] = data[source];
+                output[target + 1] = data[source + 1];
+                output[target + 2] = data[source + 2];
+                output[target + 3] = 255;
+            }
+        }
+        return output;
+    }
+
+    /**
+     * 将未确定的像素替换为周围8个像素中最多的tile类型
+     * 逐轮向内扩展：每一轮只参考上一轮结束时已确定的像素，直到全部确定；
+     * 扩展超过MAX_NEIGHBOUR_PASSES轮仍未确定的像素（大片未匹配区域，而不是抗锯齿边缘）使用fallbackTile
+     * @param {Array<Array<string|null>>} tiles - tile类型二维数组，未确定的像素为null（原地修改）
+     * @param {number[]} pending - 未确定像素的索引（y * width + x）
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @param {string} fallbackTile - 无法确定时使用的tile类型
+     */
+    static fillFromNeighbours(tiles, pending, width, height, fallbackTile) {
+        let remaining = pending;
+
+        for (let pass = 0; pass < this.MAX_NEIGHBOUR_PASSES && remaining.length > 0; pass++) {
+            const resolved = [];
+            const unresolved = [];
+
+            for (const index of remaining) {
+                const x = index % width;
+                const y = (index - x) / width;
+                const counts = new Map();
+                let best = null;
+                let bestCount = 0;
+
+                // 按固定顺序遍历邻居，数量相同时取先出现的tile类型，保证结果确定
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = y + dy;
+                    if (ny < 0 || ny >= height) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        if ((dx === 0 && dy === 0) || nx < 0 || nx >= width) continue;
+
+                        const neighbour = tiles[ny][nx];
+                        if (neighbour === null) continue;
+                        const count = (counts.get(neighbour) || 0) + 1;
+                        counts.set(neighbour, count);
+                        if (count > bestCount) {
+                            bestCount = count;
+                            best = neighbour;
+                        }
+                    }
+                }
+
+                if (best !== null) {
+                    resolved.push([x, y, best]);
+                } else {
+                    unresolved.push(index);
+                }
+            }
+
+            if (resolved.length === 0) break;  // 整张图都没有已匹配的像素
+
+            for (const [x, y, tileType] of resolved) {
+                tiles[y][x] = tileType;
+            }
+            remaining = unresolved;
+        }
+
+        for (const index of remaining) {
+            const x = index % width;
+            tiles[(index - x) / width][x] = fallbackTile;
+        }
+    }
+
+    /**
+     * 生成未匹配颜色的文字报告
+     * @param {Map<string, number>} unmatchedColors - 未匹配颜色(16进制)到像素数量的映射
+     * @param {number} limit - 最多列出的颜色数量
+     * @returns {string} 报告，按像素数量从多到少排列
+     */
+    static describeUnmatched(unmatchedColors, limit = 10) {
+        const entries = Array.from(unmatchedColors.entries()).sort((a, b) => b[1] - a[1]);
+        const totalPixels = entries.reduce((sum, [, count]) => sum + count, 0);
+        const lines = entries.slice(0, limit).map(([color, count]) => `#${color}: ${count} 个像素`);
+        if (entries.length > limit) {
+            lines.push(`……另有 ${entries.length - limit} 种颜色`);
+        }
+        return `${entries.length} 种颜色未匹配，共 ${totalPixels} 个像素：\n${lines.join('\n')}`;
+    }
+
+    /**
+     * 构建tile类型到颜色的反向映射（同一tile类型对应多个颜色时取第一个）
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
+     * @returns {Map<string, string>} tile类型到颜色(大写16进制)的映射
+     */
+    static buildTileColorMap(colorMap) {
+        const tileColorMap = new Map();
+        for (const [color, tileType] of colorMap) {
+            if (!tileColorMap.has(tileType)) {
+                tileColorMap.set(tileType, color);
+            }
+        }
+        return tileColorMap;
+    }
+
+    /**
+     * 将tile类型二维数组渲染到canvas，每个tile对应一个像素
+     * 颜色映射表中没有的tile类型使用洋红色(FF00FF)标出
+     * @param {string[][]} tiles - tile类型二维数组[y][x]，tiles[0]对应地图底部
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
+     * @returns {HTMLCanvasElement} 渲染后的canvas
+     */
+    static renderTilesToCanvas(tiles, colorMap) {
+        const height = tiles.length;
+        const width = height > 0 ? tiles[0].length : 0;
+        const tileColorMap = this.buildTileColorMap(colorMap);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
+        const data = imageData.data;
+
+        // 缓存tile类型对应的RGB值，避免重复解析
+        const rgbCache = new Map();
+        const missingTypes = new Set();
+
+        for (let y = 0; y < height; y++) {
+            // tiles[0]是地图底部，对应图片的最后一行
+            const row = tiles[height - 1 - y];
+            for (let x = 0; x < width; x++) {
+                const tileType = row[x];
+                let rgb = rgbCache.get(tileType);
+                if (!rgb) {
+                    const color = tileColorMap.get(tileType);
+                    if (!color) {
+                        missingTypes.add(tileType);
+                    }
+                    rgb = this.hexToRgb(color || 'FF00FF');
+                    rgbCache.set(tileType, rgb);
+                }
+
+                const index = (y * width + x) * 4;
+                data[index] = rgb.r;
+                data[index + 1] = rgb.g;
+                data[index + 2] = rgb.b;
+                data[index + 3] = 255;
+            }
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+
+        if (missingTypes.size > 0) {
+            console.warn(`警告: 以下tile类型在颜色映射表中没有对应颜色，已使用洋红色标出: ${Array.from(missingTypes).join(', ')}`);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * 将tile类型二维数组渲染为PNG图片
+     * @param {string[][]} tiles - tile类型二维数组[y][x]
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
+     * @returns {Promise<Blob>} PNG图片数据
+     */
+    static renderTilesToPng(tiles, colorMap) {
+        const canvas = this.renderTilesToCanvas(tiles, colorMap);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('无法生成PNG图片'));
+                }
+            }, 'image/png');
+        });
+    }
+
     /**
      * 将RGB值转换为16进制字符串
      * @param {number} r - 红色分量 (0-255)
@@ -171,48 +586,31 @@ class ImageProcessor {
     }
 
     /**
-     * 计算两种颜色之间的欧几里得距离
+     * 计算两种颜色之间的距离
      * @param {{r: number, g: number, b: number}} color1 - 第一种颜色的RGB值
      * @param {{r: number, g: number, b: number}} color2 - 第二种颜色的RGB值
-     * @returns {number} 欧几里得距离
+     * @param {string} metric - 颜色距离算法，默认为RGB欧几里得距离
+     * @returns {number} 距离（算法自身的单位）
      */
-    static colorDistance(color1, color2) {
-        const dr = color1.r - color2.r;
-        const dg = color1.g - color2.g;
-        const db = color1.b - color2.b;
-        return Math.sqrt(dr * dr + dg * dg + db * db);
+    static colorDistance(color1, color2, metric = ColorMetrics.DEFAULT_METRIC) {
+        return ColorMetrics.distance(color1, color2, metric);
     }
 
     /**
      * 在颜色映射表中查找最接近目标颜色的颜色
+     * 需要对大量颜色查找时，应直接复用同一个ColorMatcher实例
      * @param {string} targetColor - 目标颜色（16进制）
      * @param {Map<string, string>} colorMap - 颜色映射表
-     * @param {number} tolerance - 容忍度（0-100）
+     * @param {number} tolerance - 容忍度（0-100），表示色域内最大距离的百分比
+     * @param {string} metric - 颜色距离算法，见ColorMetrics.METRICS
      * @returns {string} 最接近的匹配颜色，如果没有满足容忍度的则返回null
      */
-    static findClosestColor(targetColor, colorMap, tolerance) {
-        const targetRgb = this.hexToRgb(targetColor);
-        let closestColor = null;
-        let minDistance = Infinity;
-
-        // 遍历颜色映射表，找到最接近且满足容忍度的颜色
-        for (const mapColor of colorMap.keys()) {
-            const mapRgb = this.hexToRgb(mapColor);
-            const distance = this.colorDistance(targetRgb, mapRgb);
-            
-            // 计算容忍阈值（最大允许的RGB差值）
-            const maxDiff = Math.floor(tolerance / 100 * 765); // 765 = 255*3
-            
-            // 检查是否在容忍范围内
-            if (distance <= maxDiff) {
-                if (distance < minDistance) {
-                    minDistance = distance;
-                    closestColor = mapColor;
-                }
-            }
-        }
-
-        return closestColor;
+    static findClosestColor(targetColor, colorMap, tolerance, metric = ColorMetrics.DEFAULT_METRIC) {
+        const matcher = new ColorMatcher(colorMap, { toleranceLevel: tolerance, colorMetric: metric });
+        return matcher.findClosestColor(targetColor);
     }
 }
 
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageProcessor;
+}
@@ -0,0 +1,129 @@
+/**
+ * 图层面板模块
+ * 负责在页面上管理额外的图层图片（类型、tile类型、优先级和替换范围）
+ */
+
+class LayerPanel {
+    /**
+     * @param {HTMLElement} container - 图层列表容器
+     * @param {Function} onChange - 图层变化后的回调 () => void
+     */
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+        this.layers = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * 添加一个空图层
+     */
+    addLayer() {
+        const layer = {
+            id: this.nextId++,
+            kind: 'tile',
+            tileType: 'mountains',
+            priority: this.layers.length + 1,
+            onlyOver: [],
+            imageFile: null
+        };
+        this.layers.push(layer);
+        this.container.appendChild(this.createRow(layer));
+    }
+
+    /**
+     * 获取已选择图片的图层，供ConversionPipeline使用
+     * @returns {Array<{kind: string, tileType: string, priority: number, onlyOver: string[], imageFile: File}>} 图层列表
+     */
+    getLayers() {
+        return this.layers
+            .filter(layer => layer.imageFile)
+            .map(({ kind, tileType, priority, onlyOver, imageFile }) => ({
+                kind, tileType, priority, onlyOver, imageFile
+            }));
+    }
+
+    /**
+     * 创建图层设置行
+     * @param {Object} layer - 图层
+     * @returns {HTMLDivElement} 图层设置行
+     */
+    createRow(layer) {
+        const row = document.createElement('div');
+        row.className = 'layer-row';
+
+        const kindSelect = document.createElement('select');
+        kindSelect.className = 'stats-input';
+        for (const [kind, label] of Object.entries(LayerProcessor.LAYER_KINDS)) {
+            const option = document.createElement('option');
+            option.value = kind;
+            option.textContent = label;
+            kindSelect.appendChild(option);
+        }
+        kindSelect.value = layer.kind;
+
+        const tileTypeInput = this.createTextInput(layer.tileType, 'tile类型，如 mountains');
+        const priorityInput = document.createElement('input');
+        priorityInput.type = 'number';
+        priorityInput.className = 'stats-input';
+        priorityInput.value = layer.priority;
+        priorityInput.title = '优先级，数字大的图层覆盖数字小的图层';
+        const onlyOverInput = this.createTextInput('', '只替换这些tile（逗号分隔，留空为全部）');
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'image/*';
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn-small';
+        removeButton.textContent = '删除';
+
+        // 只有替换tile类型的图层需要tile设置
+        const updateVisibility = () => {
+            const isTileLayer = layer.kind === 'tile';
+            tileTypeInput.style.display = isTileLayer ? '' : 'none';
+            priorityInput.style.display = isTileLayer ? '' : 'none';
+            onlyOverInput.style.display = isTileLayer ? '' : 'none';
+        };
+        updateVisibility();
+
+        kindSelect.addEventListener('change', () => {
+            layer.kind = kindSelect.value;
+            updateVisibility();
+            this.onChange();
+        });
+        tileTypeInput.addEventListener('input', () => {
+            layer.tileType = tileTypeInput.value.trim();
+            this.onChange();
+        });
+        priorityInput.addEventListener('input', () => {
+            layer.priority = parseInt(priorityInput.value) || 0;
+            this.onChange();
+        });
+        onlyOverInput.addEventListener('input', () => {
+            layer.onlyOver = onlyOverInput.value.split(',').map(type => type.trim()).filter(Boolean);
+            this.onChange();
+        });
+        fileInput.addEventListener('change', () => {
+            layer.imageFile = fileInput.files[0] || null;
+            this.onChange();
+        });
+        removeButton.addEventListener('click', () => {
+            this.layers = this.layers.filter(item => item !== layer);
+            row.remove();
+            this.onChange();
+        });
+
+        row.append(kindSelect, tileTypeInput, priorityInput, onlyOverInput, fileInput, removeButton);
+        return row;
+    }
+
+    createTextInput(value, placeholder) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'stats-input';
+        input.value = value;
+        input.placeholder = placeholder;
+        return input;
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * 图层处理模块
+ * 负责将额外的图层蒙版（如山脉、火焰、冰冻）合并到基础tile数据上，不依赖DOM，可在Web Worker中运行
+ */
+
+class LayerProcessor {
+    /**
+     * 图层类型
+     * tile: 蒙版覆盖的位置替换为指定tile类型
+     * fire: 蒙版覆盖的位置写入存档的fire数组
+     * frozen: 蒙版覆盖的位置写入存档的frozen_tiles数组
+     */
+    static LAYER_KINDS = {
+        tile: '替换tile类型',
+        fire: '火焰',
+        frozen: '冰冻'
+    };
+
+    /**
+     * 将图层图片的RGBA像素转换为蒙版，尺寸调整方式与基础图片相同
+     * 亮度不低于128且不透明（alpha不低于128）的像素视为选中
+     * @param {Uint8ClampedArray|Uint8Array} data - RGBA像素数据，按行从上到下排列
+     * @param {number} srcWidth - 像素数据宽度
+     * @param {number} srcHeight - 像素数据高度
+     * @param {Object} options - 尺寸选项，见ImageProcessor.computeLayout
+     * @returns {{width: number, height: number, mask: Uint8Array}} 蒙版按[y * width + x]排列，y=0为地图底部
+     */
+    static createMask(data, srcWidth, srcHeight, options = {}) {
+        const layout = ImageProcessor.computeLayout(srcWidth, srcHeight, options);
+        const { width, height } = layout;
+        const mask = new Uint8Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            const sy = Math.floor((y + 0.5) * layout.scaleY) + layout.offsetY;
+            if (sy < 0 || sy >= srcHeight) continue;
+
+            // 图片第0行是地图顶部
+            const maskRow = (height - 1 - y) * width;
+            for (let x = 0; x < width; x++) {
+                const sx = Math.floor((x + 0.5) * layout.scaleX) + layout.offsetX;
+                if (sx < 0 || sx >= srcWidth) continue;
+
+                const index = (sy * srcWidth + sx) * 4;
+                const luminance = 0.299 * data[index] + 0.587 * data[index + 1] + 0.114 * data[index + 2];
+                if (data[index + 3] >= 128 && luminance >= 128) {
+                    mask[maskRow + x] = 1;
+                }
+            }
+        }
+
+        return { width, height, mask };
+    }
+
+    /**
+     * 将图层合并到tile数据上，返回新的tile数据（不修改传入的数据）
+     * tile图层按priority从低到高依次应用，优先级高的图层覆盖优先级低的图层；
+     * onlyOver不为空时，图层只替换其中列出的tile类型
+     * @param {{width: number, height: number, tiles: string[][], unmatchedMask?: Uint8Array, fire?: number[], frozenTiles?: number[]}} tileData - 基础tile数据
+     * @param {Array<{kind: string, tileType?: string, priority?: number, onlyOver?: string[], mask: Uint8Array, width: number, height: number}>} layers - 图层及其蒙版
+     * @returns {Object} 合并后的tile数据，额外包含fire和frozenTiles（tile索引 = y * width + x）
+     */
+    static applyLayers(tileData, layers) {
+        const { width, height } = tileData;
+
+        for (const layer of layers) {
+            if (layer.width !== width || layer.height !== height) {
+                throw new Error(`图层尺寸 ${layer.width}×${layer.height} 与地图尺寸 ${width}×${height} 不一致`);
+            }
+            if (!this.LAYER_KINDS[layer.kind]) {
+                throw new Error(`未知的图层类型: ${layer.kind}`);
+            }
+            if (layer.kind === 'tile' && !layer.tileType) {
+                throw new Error('替换tile类型的图层必须指定tile类型');
+            }
+        }
+
+        const tiles = tileData.tiles.map(row => row.slice());
+        const unmatchedMask = tileData.unmatchedMask ? tileData.unmatchedMask.slice() : undefined;
+        const fireSet = new Set(tileData.fire || []);
+        const frozenSet = new Set(tileData.frozenTiles || []);
+
+        // 稳定排序：优先级相同时保持图层顺序
+        const tileLayers = layers
+            .filter(layer => layer.kind === 'tile')
+            .sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+        for (const layer of tileLayers) {
+            const onlyOver = layer.onlyOver && layer.onlyOver.length > 0 ? new Set(layer.onlyOver) : null;
+            for (let y = 0; y < height; y++) {
+                const row = tiles[y];
+                for (let x = 0; x < width; x++) {
+                    const index = y * width + x;
+                    if (!layer.mask[index]) continue;
+                    if (onlyOver && !onlyOver.has(row[x])) continue;
+
+                    row[x] = layer.tileType;
+                    if (unmatchedMask) unmatchedMask[index] = 0;
+                }
+            }
+        }
+
+        for (const layer of layers) {
+            if (layer.kind === 'tile') continue;
+            const target = layer.kind === 'fire' ? fireSet : frozenSet;
+            for (let index = 0; index < layer.mask.length; index++) {
+                if (layer.mask[index]) target.add(index);
+            }
+        }
+
+        return {
+            ...tileData,
+            tiles,
+            unmatchedMask,
+            fire: Array.from(fireSet).sort((a, b) => a - b),
+            frozenTiles: Array.from(frozenSet).sort((a, b) => a - b)
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayerProcessor;
+}
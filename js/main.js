@@ -7,14 +7,61 @@ class MapCreator {
     constructor() {
         this.imageFile = null;
         this.excelFile = null;
+        this.importedMap = null;  // 从.wbox存档导入或随机生成的地图 {width, height, tiles, sourceLabel}
         this.colorMap = null;
+        this.imageSize = null;    // 已选择图片的原始尺寸 {width, height}
+        this.tileData = null;     // 最近一次转换得到的tile数据，输入变化时清空
+        this.pendingEdits = null; // 转换参数变化前手动编辑过的tile，下次转换后重新绘制，见TileEditor.getEdits
+        this.restoredEdits = 0;   // 最近一次转换后重新绘制的tile数量
+        this.mapPreview = null;
+        this.tileEditor = null;
+        this.unmatchedReport = null;
+        this.statisticsReport = null;
+        this.layerPanel = null;
+        this.colorMapEditor = null;
+        this.settlementPanel = null;
+        this.regionPanel = null;
+        this.pipelineRunner = new PipelineRunner();  // 在Web Worker中执行转换和存档生成
         this.statsConfig = {
             playerName: '',
             population: 0,
             worldTime: 0,
             deaths: 0,
             creaturesBorn: 0,
-            toleranceLevel: 0  // 颜色容忍度（0-100%）
+            toleranceLevel: 0,  // 颜色容忍度（0-100%，色域内最大距离的百分比，见ColorMetrics.toleranceToDistance）
+            colorMetric: ColorMetrics.DEFAULT_METRIC,  // 颜色距离算法
+            unmatchedPolicy: 'fallback',  // 未匹配像素的处理方式，见ImageProcessor.UNMATCHED_POLICIES
+            fallbackTile: ImageProcessor.DEFAULT_FALLBACK_TILE,  // 未匹配像素使用的tile类型
+            saveProfile: SaveSchemas.DEFAULT_PROFILE,  // 存档版本，见SaveSchemas.PROFILES
+            worldLaws: null,  // 世界法则取值（法则ID -> 是否开启），为null时不写入存档
+            camera: {         // 相机初始位置和缩放，见SaveGenerator.resolveCamera
+                mode: 'origin',
+                x: null,
+                y: null,
+                zoom: SaveGenerator.DEFAULT_CAMERA_ZOOM
+            },
+            settlements: [],  // 预置的王国和城市标记，见Civilizations.normalizeMarker；实验性功能，未启用时为空
+            regions: []       // 地区名称，见RegionLabels.normalizeLabel
+        };
+        this.worldLawsConfig = {
+            enabled: false,                             // 是否在存档中写入世界法则
+            values: WorldLaws.presetValues('vanilla')   // 各法则的取值
+        };
+        this.inputConfig = {
+            inputMode: 'palette',                  // 输入模式：palette（颜色映射表）或 heightmap（高度图）
+            heightBands: Heightmap.DEFAULT_BANDS,  // 高度图模式的高度分段设置
+            quantization: 'off',                   // 照片量化的抖动方式，见PaletteQuantizer.DITHER_MODES，off表示不量化
+            quantizationWeights: ''                // 量化时的tile权重，见PaletteQuantizer.parseWeights
+        };
+        this.resizeConfig = {
+            resizeMode: 'crop',       // 尺寸调整模式，见ImageProcessor.RESIZE_MODES
+            targetZoneWidth: 0,       // 目标宽度（zone数量），0表示由图片尺寸推算
+            targetZoneHeight: 0,      // 目标高度（zone数量），0表示由图片尺寸推算
+            fillerTile: ImageProcessor.DEFAULT_FILLER_TILE  // 填充区域使用的tile类型
+        };
+        this.postProcessConfig = {
+            enabled: false,  // 是否在转换后进行后处理
+            rulesText: JSON.stringify(PostProcessor.DEFAULT_RULES, null, 2)  // 后处理规则（JSON），见PostProcessor.parseRules
         };
 
         this.initializeUI();
@@ -79,12 +126,340 @@ class MapCreator {
             }
         });
 
-        // 处理按钮
+        // 存档导入
+        const wboxUploadArea = document.getElementById('wboxUploadArea');
+        const wboxInput = document.getElementById('wboxInput');
+
+        wboxUploadArea.addEventListener('click', () => wboxInput.click());
+        wboxUploadArea.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            wboxUploadArea.classList.add('dragover');
+        });
+        wboxUploadArea.addEventListener('dragleave', () => {
+            wboxUploadArea.classList.remove('dragover');
+        });
+        wboxUploadArea.addEventListener('drop', (e) => {
+            e.preventDefault();
+            wboxUploadArea.classList.remove('dragover');
+            const file = e.dataTransfer.files[0];
+            if (file && file.name.endsWith('.wbox')) {
+                this.handleWboxFile(file);
+            }
+        });
+
+        wboxInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.handleWboxFile(file);
+            }
+        });
+
+        // 导出PNG按钮
+        const exportPngBtn = document.getElementById('exportPngBtn');
+        exportPngBtn.addEventListener('click', () => this.exportMapPng());
+
+        // 预览和处理按钮
+        const previewBtn = document.getElementById('previewBtn');
+        previewBtn.addEventListener('click', () => this.preview());
         const processBtn = document.getElementById('processBtn');
         processBtn.addEventListener('click', () => this.process());
+        const cancelBtn = document.getElementById('cancelBtn');
+        cancelBtn.addEventListener('click', () => this.pipelineRunner.cancel());
+
+        // 地图预览
+        this.mapPreview = new MapPreview(
+            document.getElementById('previewCanvas'),
+            document.getElementById('previewInfo')
+        );
+        const highlightUnmatched = document.getElementById('highlightUnmatched');
+        highlightUnmatched.addEventListener('change', () => {
+            this.mapPreview.setHighlightUnmatched(highlightUnmatched.checked);
+        });
+
+        // 量化结果
+        const quantizedDownloadBtn = document.getElementById('quantizedDownloadBtn');
+        quantizedDownloadBtn.addEventListener('click', () => this.downloadQuantizedImage());
+
+        // 相机位置
+        this.initCameraSettings();
+
+        // 王国和城市
+        this.initSettlementSettings();
+
+        // 地区名称
+        this.initRegionSettings();
+
+        // 像素编辑器
+        this.tileEditor = new TileEditor(this.mapPreview, {
+            enabled: document.getElementById('editEnabled'),
+            tool: document.getElementById('editTool'),
+            tileType: document.getElementById('editTileType'),
+            swatch: document.getElementById('editSwatch'),
+            brushSize: document.getElementById('editBrushSize'),
+            fillRect: document.getElementById('editFillRect'),
+            undo: document.getElementById('editUndoBtn'),
+            redo: document.getElementById('editRedoBtn')
+        });
+
+        // 未匹配颜色报告
+        this.unmatchedReport = new UnmatchedReport(
+            document.getElementById('unmatchedReport'),
+            (colorHex, tileType) => this.assignUnmatchedColor(colorHex, tileType)
+        );
+
+        // 地图统计报告
+        this.statisticsReport = new StatisticsReport(document.getElementById('statisticsReport'));
+        document.getElementById('statisticsCsvBtn').addEventListener('click', () => this.exportStatistics('csv'));
+        document.getElementById('statisticsJsonBtn').addEventListener('click', () => this.exportStatistics('json'));
 
         // 统计设置切换
         this.initStatsCollapsible();
+
+        // 世界法则
+        this.initWorldLaws();
+
+        // 输入模式
+        this.initInputModeSettings();
+
+        // 尺寸设置
+        this.initResizeSettings();
+
+        // 后处理
+        this.initPostProcessSettings();
+
+        // 随机地图生成
+        document.getElementById('genRandomSeedBtn').addEventListener('click', () => {
+            document.getElementById('genSeed').value = Math.random().toString(36).slice(2, 10);
+        });
+        document.getElementById('generateMapBtn').addEventListener('click', () => this.generateRandomMap());
+
+        // 额外图层
+        this.layerPanel = new LayerPanel(
+            document.getElementById('layerList'),
+            () => this.invalidateTileData()
+        );
+        document.getElementById('addLayerBtn').addEventListener('click', () => this.layerPanel.addLayer());
+
+        // 颜色映射表编辑器
+        this.initColorMapEditor();
+    }
+
+    initColorMapEditor() {
+        this.colorMapEditor = new ColorMapEditor(
+            document.getElementById('colorMapEditor'),
+            () => this.handleColorMapEdit()
+        );
+
+        const exportFormat = document.getElementById('colorMapExportFormat');
+        for (const [format, { label }] of Object.entries(ColorMapIO.FORMATS)) {
+            const option = document.createElement('option');
+            option.value = format;
+            option.textContent = label;
+            exportFormat.appendChild(option);
+        }
+
+        document.getElementById('colorMapLoadBtn').addEventListener('click', () => this.loadColorMapIntoEditor());
+        document.getElementById('colorMapAddBtn').addEventListener('click', () => this.colorMapEditor.addEntry('', '000000'));
+        document.getElementById('colorMapExportBtn').addEventListener('click', () => this.exportColorMap(exportFormat.value));
+        document.getElementById('colorMapValidateBtn').addEventListener('click', () => this.validateColorMap());
+
+        const importInput = document.getElementById('colorMapImportInput');
+        document.getElementById('colorMapImportBtn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (file) {
+                this.importColorMap(file);
+            }
+        });
+    }
+
+    initInputModeSettings() {
+        const inputMode = document.getElementById('inputMode');
+        const heightBands = document.getElementById('heightBands');
+        const heightBandsGroup = document.getElementById('heightBandsGroup');
+        const quantization = document.getElementById('quantization');
+        const quantizationGroup = document.getElementById('quantizationGroup');
+        const quantizationWeights = document.getElementById('quantizationWeights');
+        const quantizationWeightsGroup = document.getElementById('quantizationWeightsGroup');
+        heightBands.value = this.inputConfig.heightBands;
+
+        for (const [mode, label] of Object.entries(PaletteQuantizer.DITHER_MODES)) {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = `量化：${label}`;
+            quantization.appendChild(option);
+        }
+        quantization.value = this.inputConfig.quantization;
+
+        // 量化只用于调色板图片
+        const updateGroups = () => {
+            const isHeightmap = this.inputConfig.inputMode === 'heightmap';
+            heightBandsGroup.style.display = isHeightmap ? 'flex' : 'none';
+            quantizationGroup.style.display = isHeightmap ? 'none' : 'flex';
+            quantizationWeightsGroup.style.display = !isHeightmap && this.inputConfig.quantization !== 'off' ? 'flex' : 'none';
+        };
+        updateGroups();
+
+        inputMode.addEventListener('change', () => {
+            this.inputConfig.inputMode = inputMode.value;
+            updateGroups();
+            this.invalidateTileData();
+        });
+        heightBands.addEventListener('input', () => {
+            this.inputConfig.heightBands = heightBands.value;
+            this.invalidateTileData();
+        });
+        quantization.addEventListener('change', () => {
+            this.inputConfig.quantization = quantization.value;
+            updateGroups();
+            this.invalidateTileData();
+        });
+        quantizationWeights.addEventListener('input', () => {
+            this.inputConfig.quantizationWeights = quantizationWeights.value;
+            this.invalidateTileData();
+        });
+    }
+
+    /**
+     * 读取照片量化选项
+     * @returns {{dithering: string, weights: Object<string, number>}|null} 量化选项，不量化时返回null
+     */
+    getQuantizationOptions() {
+        const { inputMode, quantization, quantizationWeights } = this.inputConfig;
+        if (inputMode === 'heightmap' || quantization === 'off') {
+            return null;
+        }
+        return {
+            dithering: quantization,
+            weights: PaletteQuantizer.parseWeights(quantizationWeights)
+        };
+    }
+
+    initPostProcessSettings() {
+        const enabled = document.getElementById('postProcessEnabled');
+        const rules = document.getElementById('postProcessRules');
+        rules.value = this.postProcessConfig.rulesText;
+
+        enabled.addEventListener('change', () => {
+            this.postProcessConfig.enabled = enabled.checked;
+            this.invalidateTileData();
+        });
+        rules.addEventListener('input', () => {
+            this.postProcessConfig.rulesText = rules.value;
+            this.invalidateTileData();
+        });
+        document.getElementById('postProcessResetBtn').addEventListener('click', () => {
+            this.setPostProcessRules(PostProcessor.DEFAULT_RULES);
+        });
+    }
+
+    /**
+     * 使用新的后处理规则（如映射表文件中的规则）
+     * @param {Object} rules - 规则，见PostProcessor.parseRules
+     */
+    setPostProcessRules(rules) {
+        this.postProcessConfig.rulesText = JSON.stringify(rules, null, 2);
+        document.getElementById('postProcessRules').value = this.postProcessConfig.rulesText;
+        this.invalidateTileData();
+    }
+
+    /**
+     * 解析当前的后处理规则
+     * @returns {Object|null} 规范化的规则，未启用后处理时返回null
+     */
+    getPostProcessRules() {
+        if (!this.postProcessConfig.enabled) {
+            return null;
+        }
+        try {
+            return PostProcessor.parseRules(JSON.parse(this.postProcessConfig.rulesText));
+        } catch (error) {
+            throw new Error(`后处理规则无效: ${error.message}`);
+        }
+    }
+
+    initResizeSettings() {
+        // 世界尺寸预设，下拉框选项由WorldSizes.PRESETS生成
+        const presetSelect = document.getElementById('worldSizePreset');
+        WorldSizes.PRESETS.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = WorldSizes.describe(preset);
+            presetSelect.appendChild(option);
+        });
+        presetSelect.addEventListener('change', () => this.applyWorldSizePreset(presetSelect.value));
+
+        const resizeInputs = ['resizeMode', 'targetZoneWidth', 'targetZoneHeight', 'fillerTile'];
+        resizeInputs.forEach(id => {
+            const input = document.getElementById(id);
+            input.addEventListener('input', () => {
+                const value = input.type === 'number'
+                    ? Math.max(0, parseInt(input.value) || 0)
+                    : input.value.trim();
+                this.resizeConfig[id] = value;
+
+                // 手动修改目标尺寸时，同步预设下拉框
+                if (id === 'targetZoneWidth' || id === 'targetZoneHeight') {
+                    const preset = WorldSizes.findBySize(this.resizeConfig.targetZoneWidth, this.resizeConfig.targetZoneHeight);
+                    presetSelect.value = preset ? preset.id : '';
+                }
+
+                this.invalidateTileData();
+                this.updateSizeInfo();
+            });
+        });
+        this.updateSizeInfo();
+    }
+
+    /**
+     * 应用世界尺寸预设：设置目标zone数量，并将图片缩放到该尺寸
+     * @param {string} presetId - 预设id，为空表示自定义尺寸
+     */
+    applyWorldSizePreset(presetId) {
+        const preset = WorldSizes.get(presetId);
+        if (!preset) {
+            return;
+        }
+
+        this.resizeConfig.targetZoneWidth = preset.zoneWidth;
+        this.resizeConfig.targetZoneHeight = preset.zoneHeight;
+        document.getElementById('targetZoneWidth').value = preset.zoneWidth;
+        document.getElementById('targetZoneHeight').value = preset.zoneHeight;
+
+        // 裁剪模式会丢弃图片内容，选择预设时默认改为缩放以适应目标尺寸
+        if (this.resizeConfig.resizeMode === 'crop') {
+            this.resizeConfig.resizeMode = 'scale';
+            document.getElementById('resizeMode').value = 'scale';
+        }
+
+        this.invalidateTileData();
+        this.updateSizeInfo();
+    }
+
+    /**
+     * 显示按当前尺寸设置生成的地图尺寸
+     */
+    updateSizeInfo() {
+        const sizeInfo = document.getElementById('sizeInfo');
+
+        if (this.importedMap) {
+            const { width, height, sourceLabel } = this.importedMap;
+            sizeInfo.textContent = `${sourceLabel}：${width}×${height} tiles（${width / 64}×${height / 64} zones），尺寸设置不生效`;
+            return;
+        }
+        if (!this.imageSize) {
+            sizeInfo.textContent = '选择图片后显示生成的地图尺寸';
+            return;
+        }
+
+        const { width: srcWidth, height: srcHeight } = this.imageSize;
+        try {
+            const layout = ImageProcessor.computeLayout(srcWidth, srcHeight, this.resizeConfig);
+            sizeInfo.textContent = `图片 ${srcWidth}×${srcHeight} 像素 → 地图 ${layout.width}×${layout.height} tiles（${layout.width / 64}×${layout.height / 64} zones）`;
+        } catch (error) {
+            sizeInfo.textContent = error.message;
+        }
     }
 
     initStatsCollapsible() {
@@ -93,7 +468,28 @@ class MapCreator {
         let isOpen = false;
 
         // 统计输入监听
-        const statInputs = ['playerName', 'population', 'worldTime', 'deaths', 'creaturesBorn', 'toleranceLevel'];
+        const statInputs = ['playerName', 'population', 'worldTime', 'deaths', 'creaturesBorn', 'toleranceLevel', 'colorMetric', 'unmatchedPolicy', 'fallbackTile', 'saveProfile'];
+        // 影响转换结果的设置，修改后需要重新转换
+        const conversionInputs = ['toleranceLevel', 'colorMetric', 'unmatchedPolicy', 'fallbackTile'];
+
+        const unmatchedPolicy = document.getElementById('unmatchedPolicy');
+        for (const [policy, label] of Object.entries(ImageProcessor.UNMATCHED_POLICIES)) {
+            const option = document.createElement('option');
+            option.value = policy;
+            option.textContent = label;
+            unmatchedPolicy.appendChild(option);
+        }
+        unmatchedPolicy.value = this.statsConfig.unmatchedPolicy;
+
+        const saveProfile = document.getElementById('saveProfile');
+        for (const profile of SaveSchemas.PROFILES) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.label;
+            saveProfile.appendChild(option);
+        }
+        saveProfile.value = this.statsConfig.saveProfile;
+
         statInputs.forEach(id => {
             const input = document.getElementById(id);
             if (input) {
@@ -102,10 +498,14 @@ class MapCreator {
                         ? parseInt(input.value) || 0
                         : input.value;
                     this.statsConfig[this.toCamelCase(id)] = value;
+
+                    if (conversionInputs.includes(id)) {
+                        this.invalidateTileData();
+                    }
                     
                     // 更新容忍度显示值
                     if (id === 'toleranceLevel') {
-                        const displayValue = document.getElementById('toleranceDisplayValue');
+                        const displayValue = document.getElementById('toleranceValue');
                         if (displayValue) {
                             displayValue.textContent = `${value}%`;
                         }
@@ -115,6 +515,83 @@ class MapCreator {
         });
     }
 
+    initWorldLaws() {
+        const enabled = document.getElementById('worldLawsEnabled');
+        const preset = document.getElementById('worldLawsPreset');
+        const list = document.getElementById('worldLawsList');
+
+        for (const [name, { label }] of Object.entries(WorldLaws.PRESETS)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            preset.appendChild(option);
+        }
+        const customOption = document.createElement('option');
+        customOption.value = '';
+        customOption.textContent = '自定义';
+        preset.appendChild(customOption);
+
+        let group = null;
+        for (const law of WorldLaws.LAWS) {
+            if (law.group !== group) {
+                group = law.group;
+                const title = document.createElement('div');
+                title.className = 'world-laws-group';
+                title.textContent = group;
+                list.appendChild(title);
+            }
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.law = law.id;
+            checkbox.addEventListener('change', () => {
+                this.worldLawsConfig.values[law.id] = checkbox.checked;
+                this.updateWorldLaws();
+            });
+            label.append(checkbox, ` ${law.label}`);
+            label.title = law.id;
+            list.appendChild(label);
+        }
+
+        enabled.addEventListener('change', () => {
+            this.worldLawsConfig.enabled = enabled.checked;
+            this.updateWorldLaws();
+        });
+        preset.addEventListener('change', () => {
+            if (!preset.value) return;
+            this.worldLawsConfig.values = WorldLaws.presetValues(preset.value);
+            this.updateWorldLaws();
+        });
+
+        this.updateWorldLaws();
+    }
+
+    /**
+     * 设置世界法则（如导入存档中的法则）并启用写入
+     * @param {Object<string, boolean>} values - 法则取值
+     */
+    setWorldLaws(values) {
+        this.worldLawsConfig = { enabled: true, values: { ...values } };
+        this.updateWorldLaws();
+    }
+
+    /**
+     * 同步世界法则界面和statsConfig.worldLaws
+     */
+    updateWorldLaws() {
+        const { enabled, values } = this.worldLawsConfig;
+        this.statsConfig.worldLaws = enabled ? { ...values } : null;
+
+        document.getElementById('worldLawsEnabled').checked = enabled;
+        document.getElementById('worldLawsPreset').value = WorldLaws.findPreset(values) || '';
+        const list = document.getElementById('worldLawsList');
+        list.classList.toggle('disabled', !enabled);
+        list.querySelectorAll('input[data-law]').forEach(checkbox => {
+            checkbox.checked = !!values[checkbox.dataset.law];
+        });
+    }
+
     toCamelCase(str) {
         return str.replace(/-([a-z])/g, (g) => g[1].toUpperCase());
     }
@@ -132,6 +609,22 @@ class MapCreator {
             return;
         }
         this.imageFile = file;
+        this.imageSize = null;
+        this.clearImportedMap();
+        this.invalidateTileData(false);
+        this.updateSizeInfo();
+
+        // 读取图片尺寸，用于显示生成的地图尺寸
+        ImageProcessor.getImageSize(file).then((size) => {
+            if (this.imageFile === file) {
+                this.imageSize = size;
+                this.updateSizeInfo();
+            }
+        }).catch(() => {
+            if (this.imageFile === file) {
+                document.getElementById('sizeInfo').textContent = '无法读取图片尺寸';
+            }
+        });
         const imageInfo = document.getElementById('imageInfo');
         const sizeKB = file.size / 1024;
         const sizeText = sizeKB > 1024 
@@ -148,6 +641,11 @@ class MapCreator {
             return;
         }
         this.excelFile = file;
+        this.colorMap = null;  // 映射表变化，下次转换时重新解析
+        this.invalidateTileData();
+        if (this.colorMapEditor.isLoaded()) {
+            this.loadColorMapIntoEditor();
+        }
         const excelInfo = document.getElementById('excelInfo');
         const sizeKB = file.size / 1024;
         const sizeText = sizeKB > 1024 
@@ -155,11 +653,194 @@ class MapCreator {
             : `${sizeKB.toFixed(2)} KB`;
         excelInfo.textContent = `已选择: ${file.name} (${sizeText})`;
         excelInfo.style.display = 'block';
+
+        // Excel中有rules工作表时使用其中的后处理规则
+        ExcelParser.readRules(file).then(rules => {
+            if (rules) {
+                this.setPostProcessRules(PostProcessor.parseRules(rules));
+                excelInfo.textContent += '，已载入后处理规则';
+            }
+        }).catch(error => {
+            this.showError(`读取后处理规则失败: ${error.message}`);
+        });
+    }
+
+    async handleWboxFile(file) {
+        if (!file.name.endsWith('.wbox')) {
+            this.showError('请上传WorldBox存档文件 (.wbox)');
+            return;
+        }
+
+        let importedMap;
+        try {
+            const arrayBuffer = await file.arrayBuffer();
+            importedMap = SaveGenerator.loadWboxFile(arrayBuffer);
+        } catch (error) {
+            this.clearImportedMap();
+            this.showError(`导入存档失败: ${error.message}`);
+            return;
+        }
+
+        importedMap.sourceLabel = '导入的存档';
+        this.setImportedMap(importedMap);
+
+        // 沿用存档的版本（有对应的版本时）
+        const profile = SaveSchemas.findBySaveVersion(importedMap.savedMap.saveVersion);
+        if (profile) {
+            this.statsConfig.saveProfile = profile.id;
+            document.getElementById('saveProfile').value = profile.id;
+        }
+
+        // 沿用存档中的世界法则
+        const worldLaws = WorldLaws.fromSaveData(importedMap.savedMap.worldLaws);
+        if (worldLaws) {
+            this.setWorldLaws(worldLaws);
+        }
+
+        const { width, height, savedMap } = importedMap;
+        const wboxInfo = document.getElementById('wboxInfo');
+        wboxInfo.textContent = `已导入: ${file.name} (Tile尺寸: ${width}×${height}, ${savedMap.width}×${savedMap.height} zones)`;
+        wboxInfo.style.display = 'block';
+    }
+
+    /**
+     * 以已有的tile数据（导入的存档或随机生成的地图）作为数据源，清除已选择的图片
+     * @param {{width: number, height: number, tiles: string[][], sourceLabel: string}} map - tile数据
+     */
+    setImportedMap(map) {
+        this.clearImportedMap();
+        this.importedMap = map;
+        this.imageFile = null;
+        this.imageSize = null;
+        document.getElementById('imageInput').value = '';
+        document.getElementById('imageInfo').style.display = 'none';
+        this.invalidateTileData(false);
+
+        this.updateProcessButton();
+        this.updateSizeInfo();
+    }
+
+    clearImportedMap() {
+        this.importedMap = null;
+        document.getElementById('wboxInput').value = '';
+        document.getElementById('wboxInfo').style.display = 'none';
+        document.getElementById('generatorInfo').style.display = 'none';
+        this.updateProcessButton();
+    }
+
+    /**
+     * 读取随机地图生成参数
+     * @returns {Object} MapGenerator.generate的参数
+     */
+    readGeneratorOptions() {
+        const readNumber = (id) => parseFloat(document.getElementById(id).value) || 0;
+        const biomes = document.getElementById('genBiomes').value
+            .split(',')
+            .map(biome => biome.trim())
+            .filter(Boolean);
+
+        return {
+            seed: document.getElementById('genSeed').value.trim() || MapGenerator.DEFAULT_OPTIONS.seed,
+            zoneWidth: Math.max(1, Math.floor(readNumber('genZoneWidth'))),
+            zoneHeight: Math.max(1, Math.floor(readNumber('genZoneHeight'))),
+            landRatio: readNumber('genLandRatio') / 100,
+            islandCount: Math.floor(readNumber('genIslandCount')),
+            mountainDensity: readNumber('genMountainDensity') / 100,
+            biomes
+        };
+    }
+
+    /**
+     * 按当前参数生成随机地图，作为数据源并渲染预览
+     */
+    async generateRandomMap() {
+        this.hideMessages();
+
+        const mapLoaded = await this.loadColorMap();
+        if (!mapLoaded) {
+            return;
+        }
+
+        const options = this.readGeneratorOptions();
+        this.invalidateTileData(false);
+
+        let generated;
+        try {
+            this.showProgress(true);
+            this.updateProgress(0);
+            generated = await this.pipelineRunner.run('procedural', {
+                options,
+                tileTypes: Array.from(new Set(this.colorMap.values()))
+            }, (current, total) => {
+                this.updateProgress(current / total * 100);
+            });
+            this.showProgress(false);
+        } catch (error) {
+            this.showProgress(false);
+            this.showError(error.cancelled ? '已取消生成随机地图' : `生成随机地图失败: ${error.message}`);
+            return;
+        }
+
+        generated.fire = [];
+        generated.frozenTiles = [];
+        generated.sourceLabel = '随机生成的地图';
+        this.setImportedMap(generated);
+
+        const generatorInfo = document.getElementById('generatorInfo');
+        generatorInfo.textContent = `已生成: 种子 "${options.seed}" (Tile尺寸: ${generated.width}×${generated.height}, ${options.zoneWidth}×${options.zoneHeight} zones)`;
+        generatorInfo.style.display = 'block';
+
+        await this.preview();
+    }
+
+    /**
+     * 按颜色映射表将地图导出为PNG（每个tile一个像素），可作为图片重新上传
+     * 已有转换结果时导出转换（及编辑）后的tile数据，否则导出导入的地图
+     */
+    async exportMapPng() {
+        const map = this.tileData || this.importedMap;
+        if (!map) {
+            this.showError('请先预览地图、导入存档文件或生成随机地图');
+            return;
+        }
+
+        const mapLoaded = await this.loadColorMap();
+        if (!mapLoaded) {
+            return;
+        }
+
+        try {
+            const pngBlob = await ImageProcessor.renderTilesToPng(map.tiles, this.colorMap);
+            this.downloadFile(pngBlob, 'map.png');
+            this.showSuccess(`已导出PNG图片：${map.width}×${map.height} 像素`);
+        } catch (error) {
+            this.showError(`导出PNG失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 输入（图片、映射表、存档或转换参数）变化后清空已转换的tile数据
+     * @param {boolean} keepEdits - 是否保留手动编辑过的tile，下次转换后重新绘制；换用其他图片、存档时为false
+     */
+    invalidateTileData(keepEdits = true) {
+        // 正在处理的任务基于旧的输入，结果已无意义
+        this.pipelineRunner.cancel();
+        if (!keepEdits) {
+            this.pendingEdits = null;
+        } else if (this.tileData) {
+            this.pendingEdits = this.tileEditor.getEdits() || this.pendingEdits;
+        }
+        this.tileData = null;
+        document.getElementById('previewSection').style.display = 'none';
+        this.statisticsReport.hide();
+        this.updateProcessButton();
     }
 
     updateProcessButton() {
-        const processBtn = document.getElementById('processBtn');
-        processBtn.disabled = !this.imageFile;
+        const hasSource = !!(this.imageFile || this.importedMap);
+        document.getElementById('processBtn').disabled = !hasSource;
+        document.getElementById('previewBtn').disabled = !hasSource;
+        document.getElementById('exportPngBtn').disabled = !(this.tileData || this.importedMap);
     }
 
     showError(message) {
@@ -186,6 +867,14 @@ class MapCreator {
         if (!visible) {
             this.updateProgress(0);
         }
+
+        // 处理过程中禁止重复提交
+        if (visible) {
+            document.getElementById('processBtn').disabled = true;
+            document.getElementById('previewBtn').disabled = true;
+        } else {
+            this.updateProcessButton();
+        }
     }
 
     updateProgress(percent) {
@@ -194,8 +883,21 @@ class MapCreator {
         progressFill.textContent = `${Math.round(percent)}%`;
     }
 
+    /**
+     * 加载颜色映射表，已加载时直接复用（保留在页面上手动添加的映射）
+     * @returns {Promise<boolean>} 是否加载成功
+     */
     async loadColorMap() {
+        if (this.colorMap) {
+            return true;
+        }
+
         try {
+            if (this.colorMapEditor.isLoaded()) {
+                this.colorMap = this.colorMapEditor.toColorMap();
+                return true;
+            }
+
             if (this.excelFile) {
                 this.colorMap = await ExcelParser.parseExcel(this.excelFile);
             } else {
@@ -208,70 +910,669 @@ class MapCreator {
         }
     }
 
-    async process() {
-        if (!this.imageFile) {
-            this.showError('请先上传图片文件');
+    /**
+     * 将当前数据源转换为tile数据并渲染预览，已有转换结果时直接复用
+     * 进度范围 0% - 90%
+     * @returns {Promise<{width: number, height: number, tiles: string[][]}|null>} tile数据，加载映射表失败时返回null
+     */
+    async convertTiles() {
+        if (this.tileData) {
+            return this.tileData;
+        }
+
+        // 1. 加载颜色映射表
+        this.updateProgress(10);
+        const mapLoaded = await this.loadColorMap();
+        if (!mapLoaded) {
+            return null;
+        }
+
+        // 2. 处理图片并合并图层（导入存档时直接使用存档中的tile数据）
+        this.updateProgress(20);
+        const layers = this.layerPanel.getLayers();
+        const postProcessRules = this.getPostProcessRules();
+        let tileData;
+        if (this.importedMap && layers.length === 0 && !postProcessRules) {
+            // 复制tile数组，编辑器只修改转换结果，不修改导入的地图
+            tileData = { ...this.importedMap, tiles: this.importedMap.tiles.map(row => row.slice()) };
+        } else {
+            try {
+                const importedMap = this.importedMap;
+                tileData = await this.pipelineRunner.run('convert', {
+                    imageFile: this.imageFile,
+                    baseTileData: importedMap && {
+                        width: importedMap.width,
+                        height: importedMap.height,
+                        tiles: importedMap.tiles,
+                        fire: importedMap.fire,
+                        frozenTiles: importedMap.frozenTiles
+                    },
+                    layers,
+                    postProcessRules,
+                    colorMap: this.colorMap,
+                    options: {
+                        toleranceLevel: this.statsConfig.toleranceLevel,  // 传递颜色容忍度
+                        colorMetric: this.statsConfig.colorMetric,
+                        unmatchedPolicy: this.statsConfig.unmatchedPolicy,
+                        fallbackTile: this.statsConfig.fallbackTile.trim(),
+                        ...this.resizeConfig,  // 尺寸调整模式和目标尺寸
+                        inputMode: this.inputConfig.inputMode,
+                        heightBands: this.inputConfig.inputMode === 'heightmap'
+                            ? Heightmap.parseBands(this.inputConfig.heightBands)
+                            : null,
+                        quantization: this.getQuantizationOptions()
+                    }
+                }, (current, total) => {
+                    // 图片处理进度（20% - 90%）
+                    const progress = 20 + (current / total) * 70;
+                    this.updateProgress(progress);
+                });
+            } catch (error) {
+                if (error.cancelled) throw error;
+                throw new Error(`图片处理失败: ${error.message}`);
+            }
+        }
+
+        // 尺寸变化后无法保留手动编辑，先征得同意；取消时保留编辑，可以改回原来的尺寸
+        const edits = this.pendingEdits;
+        if (edits && (edits.width !== tileData.width || edits.height !== tileData.height)) {
+            if (!confirm(`地图尺寸已从 ${edits.width}×${edits.height} 变为 ${tileData.width}×${tileData.height}，手动编辑过的 ${edits.tiles.size} 个tile无法保留。\n\n仍然继续？`)) {
+                this.showError('已取消转换：改回原来的尺寸可以保留手动编辑');
+                return null;
+            }
+            this.pendingEdits = null;
+        }
+
+        this.tileData = tileData;
+        this.renderPreview();
+        return tileData;
+    }
+
+    renderPreview() {
+        document.getElementById('previewSection').style.display = 'block';
+        // 先重新绘制之前的手动编辑，预览和未匹配标记按编辑后的结果显示
+        const edits = this.pendingEdits;
+        this.pendingEdits = null;
+        this.restoredEdits = edits ? edits.tiles.size : 0;
+        this.tileEditor.attach(this.tileData, this.colorMap, edits);
+        this.mapPreview.render(this.tileData, this.colorMap);
+        this.unmatchedReport.render(this.tileData.unmatchedColors, this.colorMap, this.statsConfig.colorMetric);
+        this.renderQuantizedPreview();
+        this.updateCameraMarker();
+        this.settlementPanel.setTiles(this.tileData.tiles);
+        this.regionPanel.setTiles(this.tileData.tiles);
+    }
+
+    initCameraSettings() {
+        const camera = this.statsConfig.camera;
+        const cameraMode = document.getElementById('cameraMode');
+        const cameraZoom = document.getElementById('cameraZoom');
+
+        for (const [mode, label] of Object.entries(SaveGenerator.CAMERA_MODES)) {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            cameraMode.appendChild(option);
+        }
+        cameraMode.value = camera.mode;
+        cameraZoom.value = camera.zoom;
+
+        cameraMode.addEventListener('change', () => {
+            camera.mode = cameraMode.value;
+            this.updateCameraMarker();
+        });
+        cameraZoom.addEventListener('input', () => {
+            const zoom = parseFloat(cameraZoom.value);
+            camera.zoom = zoom > 0 ? zoom : SaveGenerator.DEFAULT_CAMERA_ZOOM;
+            this.updateCameraMarker();
+        });
+
+        // 指定位置方式下点击预览设置相机位置（编辑模式下点击用于编辑）
+        document.getElementById('previewCanvas').addEventListener('click', (e) => {
+            if (camera.mode !== 'manual' || this.tileEditor.isEnabled()
+                || this.settlementPanel.isPlacing() || this.regionPanel.isPlacing()) return;
+
+            const pos = this.mapPreview.eventToTile(e);
+            if (!pos) return;
+            camera.x = pos.x;
+            camera.y = pos.y;
+            this.updateCameraMarker();
+        });
+    }
+
+    initSettlementSettings() {
+        this.settlementPanel = new SettlementPanel({
+            place: document.getElementById('settlementPlace'),
+            race: document.getElementById('settlementRace'),
+            kingdom: document.getElementById('settlementKingdom'),
+            city: document.getElementById('settlementCity'),
+            color: document.getElementById('settlementColor'),
+            population: document.getElementById('settlementPopulation'),
+            list: document.getElementById('settlementList')
+        }, () => this.applySettlements());
+
+        // 王国和城市记录尚未与真实存档核对，默认不启用；关闭时保留标记，但不显示、不写入存档
+        const enabled = document.getElementById('settlementEnabled');
+        enabled.addEventListener('change', () => {
+            // contents：控件仍作为工具栏的flex子元素排列
+            document.getElementById('settlementControls').style.display = enabled.checked ? 'contents' : 'none';
+            document.getElementById('settlementListWrapper').style.display = enabled.checked ? 'block' : 'none';
+            if (!enabled.checked) {
+                document.getElementById('settlementPlace').checked = false;
+            }
+            this.applySettlements();
+        });
+
+        // 放置城市时点击预览添加城市标记（编辑模式下点击用于编辑）
+        document.getElementById('previewCanvas').addEventListener('click', (e) => {
+            if (!this.settlementPanel.isPlacing() || this.tileEditor.isEnabled()) return;
+
+            const pos = this.mapPreview.eventToTile(e);
+            if (!pos) return;
+            this.hideMessages();
+            try {
+                this.settlementPanel.addMarker(pos.x, pos.y);
+            } catch (error) {
+                this.showError(error.message);
+            }
+        });
+
+        const settlementInput = document.getElementById('settlementInput');
+        document.getElementById('settlementImportBtn').addEventListener('click', () => settlementInput.click());
+        settlementInput.addEventListener('change', () => {
+            const file = settlementInput.files[0];
+            settlementInput.value = '';
+            if (file) {
+                this.importSettlements(file);
+            }
+        });
+        document.getElementById('settlementExportBtn').addEventListener('click', () => {
+            this.downloadFile(Civilizations.toJson(this.settlementPanel.markers), 'settlements.json');
+        });
+        document.getElementById('settlementClearBtn').addEventListener('click', () => this.settlementPanel.setMarkers([]));
+    }
+
+    /**
+     * 按是否启用预置王国与城市，更新写入存档和显示在预览上的城市标记
+     */
+    applySettlements() {
+        const markers = document.getElementById('settlementEnabled').checked ? this.settlementPanel.markers : [];
+        this.statsConfig.settlements = markers;
+        this.mapPreview.setSettlementMarkers(markers);
+    }
+
+    /**
+     * 从JSON/CSV文件导入城市标记（替换现有的标记）
+     * @param {File} file - 城市标记文件
+     */
+    async importSettlements(file) {
+        this.hideMessages();
+        try {
+            const markers = Civilizations.parse(await file.text(), file.name);
+            this.settlementPanel.setMarkers(markers);
+            this.showSuccess(`已导入 ${file.name}：${markers.length} 个城市标记`);
+        } catch (error) {
+            this.showError(`导入城市标记失败: ${error.message}`);
+        }
+    }
+
+    initRegionSettings() {
+        const regionPlace = document.getElementById('regionPlace');
+        const settlementPlace = document.getElementById('settlementPlace');
+        this.regionPanel = new RegionPanel({
+            place: regionPlace,
+            name: document.getElementById('regionName'),
+            minSize: document.getElementById('regionMinSize'),
+            list: document.getElementById('regionList')
+        }, (labels) => {
+            this.statsConfig.regions = labels;
+            this.mapPreview.setRegionLabels(labels);
+        });
+
+        // 标注地区和放置城市都通过点击预览进行，同时只能开启一个
+        regionPlace.addEventListener('change', () => {
+            if (regionPlace.checked) settlementPlace.checked = false;
+        });
+        settlementPlace.addEventListener('change', () => {
+            if (settlementPlace.checked) regionPlace.checked = false;
+        });
+
+        // 标注地区时点击预览添加地区名称（编辑模式下点击用于编辑）
+        document.getElementById('previewCanvas').addEventListener('click', (e) => {
+            if (!this.regionPanel.isPlacing() || this.tileEditor.isEnabled()) return;
+
+            const pos = this.mapPreview.eventToTile(e);
+            if (!pos) return;
+            this.hideMessages();
+            try {
+                this.regionPanel.addLabel(pos.x, pos.y);
+            } catch (error) {
+                this.showError(error.message);
+            }
+        });
+
+        document.getElementById('regionDetectBtn').addEventListener('click', () => {
+            this.hideMessages();
+            try {
+                const count = this.regionPanel.detect();
+                this.showSuccess(`识别出 ${count} 块陆地，可在列表中修改名称`);
+            } catch (error) {
+                this.showError(error.message);
+            }
+        });
+
+        const regionInput = document.getElementById('regionInput');
+        document.getElementById('regionImportBtn').addEventListener('click', () => regionInput.click());
+        regionInput.addEventListener('change', () => {
+            const file = regionInput.files[0];
+            regionInput.value = '';
+            if (file) {
+                this.importRegions(file);
+            }
+        });
+        document.getElementById('regionExportBtn').addEventListener('click', () => {
+            this.downloadFile(RegionLabels.toJson(this.regionPanel.labels), 'regions.json');
+        });
+        document.getElementById('regionLegendBtn').addEventListener('click', () => this.exportRegionLegend());
+        document.getElementById('regionClearBtn').addEventListener('click', () => this.regionPanel.setLabels([]));
+    }
+
+    /**
+     * 从JSON文件导入地区名称（替换现有的名称）
+     * @param {File} file - 地区名称文件
+     */
+    async importRegions(file) {
+        this.hideMessages();
+        try {
+            const labels = RegionLabels.parse(await file.text());
+            this.regionPanel.setLabels(labels);
+            this.showSuccess(`已导入 ${file.name}：${labels.length} 个地区名称`);
+        } catch (error) {
+            this.showError(`导入地区名称失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 导出标有地区名称的地图图例图片
+     */
+    async exportRegionLegend() {
+        this.hideMessages();
+        if (!this.tileData) {
+            this.showError('请先预览地图');
+            return;
+        }
+        if (this.regionPanel.labels.length === 0) {
+            this.showError('请先标注地区或自动识别陆地');
             return;
         }
 
-        // 隐藏之前的结果和错误信息
+        try {
+            const pngBlob = await RegionLegend.renderToPng(this.tileData.tiles, this.colorMap, this.regionPanel.labels);
+            this.downloadFile(pngBlob, 'map-legend.png');
+        } catch (error) {
+            this.showError(`导出图例图片失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 在预览上标出相机的初始位置
+     */
+    updateCameraMarker() {
+        const cameraInfo = document.getElementById('cameraInfo');
+        const camera = this.statsConfig.camera;
+        if (!this.tileData) {
+            cameraInfo.textContent = '';
+            return;
+        }
+
+        const { width, height, tiles } = this.tileData;
+        const { x, y, zoom } = SaveGenerator.resolveCamera(camera, width, height, tiles);
+        this.mapPreview.setCameraMarker(camera.mode === 'origin' ? null : { x, y });
+
+        let text = `位置 (${x}, ${y})，缩放 ${zoom}`;
+        if (camera.mode === 'manual') {
+            text += '；点击预览（非编辑模式）指定相机位置';
+        }
+        cameraInfo.textContent = text;
+    }
+
+    /**
+     * 显示照片量化的结果（没有量化时隐藏）
+     */
+    renderQuantizedPreview() {
+        const container = document.getElementById('quantizedPreview');
+        const { width, height, quantizedPixels } = this.tileData;
+        if (!quantizedPixels) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const canvas = document.getElementById('quantizedCanvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(new ImageData(quantizedPixels, width, height), 0, 0);
+        container.style.display = 'block';
+    }
+
+    /**
+     * 将量化结果下载为PNG
+     */
+    downloadQuantizedImage() {
+        const canvas = document.getElementById('quantizedCanvas');
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                this.showError('导出量化图片失败');
+                return;
+            }
+            this.downloadFile(blob, 'quantized.png');
+        }, 'image/png');
+    }
+
+    /**
+     * 导出最近一次生成的存档的统计报告
+     * @param {string} format - csv 或 json
+     */
+    exportStatistics(format) {
+        const report = this.statisticsReport.report;
+        if (!report) {
+            this.showError('请先生成地图存档');
+            return;
+        }
+
+        const data = format === 'csv' ? MapStatistics.toCsv(report) : MapStatistics.toJson(report);
+        this.downloadFile(data, `map-statistics.${format}`);
+    }
+
+    /**
+     * 将未匹配的颜色添加到内存中的颜色映射表，并重新转换
+     * @param {string} colorHex - 未匹配的颜色(大写16进制)
+     * @param {string} tileType - 指定的tile类型
+     */
+    async assignUnmatchedColor(colorHex, tileType) {
+        if (!this.colorMap) return;
+
+        if (this.colorMapEditor.isLoaded()) {
+            this.colorMapEditor.assignColor(colorHex, tileType);
+        } else {
+            this.colorMap.set(colorHex, tileType);
+            this.invalidateTileData();
+        }
+        await this.preview();
+        if (this.tileData) {
+            this.showSuccess(`已将 #${colorHex} 映射为 ${tileType} 并重新转换`);
+        }
+    }
+
+    /**
+     * 将当前的映射表（上传的Excel或default.xlsx）载入编辑器
+     */
+    async loadColorMapIntoEditor() {
+        try {
+            const entries = await this.readColorMapEntries();
+            this.colorMapEditor.load(entries);
+            this.handleColorMapEdit();
+        } catch (error) {
+            this.showError(`载入映射表失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 读取当前映射表的全部映射行（保留重复的颜色）
+     * 编辑器已载入时使用编辑器中的映射，否则读取上传的Excel或default.xlsx，并保留在页面上手动添加的映射
+     * @returns {Promise<Array<{tileType: string, color: string}>>} 映射
+     */
+    async readColorMapEntries() {
+        if (this.colorMapEditor.isLoaded()) {
+            return this.colorMapEditor.getEntries();
+        }
+
+        const source = this.excelFile || await ExcelParser.fetchDefaultExcel();
+        const entries = await ExcelParser.readEntries(source);
+
+        if (this.colorMap) {
+            const knownColors = new Set(entries.map(entry => entry.color));
+            for (const [color, tileType] of this.colorMap) {
+                if (!knownColors.has(color)) {
+                    entries.push({ tileType, color });
+                }
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * 检查映射表中的tile类型和重复项，并显示检查结果
+     */
+    async validateColorMap() {
+        this.hideMessages();
+        try {
+            const issues = TileCatalog.validateColorMap(await this.readColorMapEntries());
+            this.renderValidationReport(issues);
+            if (issues.length === 0) {
+                this.showSuccess('映射表检查通过，没有发现问题');
+            }
+        } catch (error) {
+            this.showError(`检查映射表失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 生成存档前检查映射表和地图中的tile类型
+     * 存在游戏无法识别的tile类型时需要用户确认才继续生成
+     * @param {{tiles: string[][]}} tileData - 将要生成存档的tile数据
+     * @returns {Promise<boolean>} 是否继续生成
+     */
+    async validateBeforeGenerate(tileData) {
+        const issues = [
+            ...TileCatalog.validateColorMap(await this.readColorMapEntries()),
+            ...TileCatalog.validateTiles(tileData.tiles)
+        ];
+        this.renderValidationReport(issues);
+
+        const errors = issues.filter(issue => issue.level === 'error');
+        if (errors.length === 0) {
+            return true;
+        }
+
+        const details = errors.slice(0, 5).map(issue => `- ${issue.message}`).join('\n');
+        const more = errors.length > 5 ? `\n……共 ${errors.length} 个错误` : '';
+        return confirm(`发现游戏无法识别的tile类型，加载存档时可能出错：\n${details}${more}\n\n仍然生成存档？`);
+    }
+
+    /**
+     * 显示检查结果，没有问题时隐藏
+     * @param {Array<{level: string, message: string}>} issues - 问题列表
+     */
+    renderValidationReport(issues) {
+        const report = document.getElementById('validationReport');
+        report.innerHTML = '';
+        if (issues.length === 0) {
+            report.style.display = 'none';
+            return;
+        }
+
+        const errorCount = issues.filter(issue => issue.level === 'error').length;
+        const title = document.createElement('div');
+        title.className = 'report-title';
+        title.textContent = `映射表检查：${errorCount} 个错误，${issues.length - errorCount} 个警告`;
+        report.appendChild(title);
+
+        const list = document.createElement('ul');
+        for (const issue of issues) {
+            const item = document.createElement('li');
+            item.className = `validation-${issue.level}`;
+            item.textContent = `${issue.level === 'error' ? '❌' : '⚠'} ${issue.message}`;
+            list.appendChild(item);
+        }
+        report.appendChild(list);
+        report.style.display = 'block';
+    }
+
+    /**
+     * 从文件（Excel、JSON、CSV或调色板）导入映射表到编辑器
+     * @param {File} file - 映射文件
+     */
+    async importColorMap(file) {
+        this.hideMessages();
+        try {
+            const { entries, rules } = await ColorMapIO.importFile(file);
+            this.colorMapEditor.load(entries);
+            this.handleColorMapEdit();
+            let message = `已导入 ${file.name}：${entries.length} 个映射`;
+            if (rules) {
+                this.setPostProcessRules(PostProcessor.parseRules(rules));
+                message += '，并载入了后处理规则';
+            }
+            this.showSuccess(message);
+        } catch (error) {
+            this.showError(`导入映射表失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 导出映射表（编辑器未载入时导出当前使用的映射表）
+     * @param {string} format - 格式名称，见ColorMapIO.FORMATS
+     */
+    async exportColorMap(format) {
+        this.hideMessages();
+
+        let entries;
+        if (this.colorMapEditor.isLoaded()) {
+            entries = this.colorMapEditor.getEntries();
+        } else {
+            const mapLoaded = await this.loadColorMap();
+            if (!mapLoaded) {
+                return;
+            }
+            entries = Array.from(this.colorMap, ([color, tileType]) => ({ tileType, color }));
+        }
+
+        try {
+            // Excel和JSON同时导出当前的后处理规则
+            const rules = PostProcessor.parseRules(JSON.parse(this.postProcessConfig.rulesText));
+            const { data, filename } = ColorMapIO.serialize(entries, format, rules);
+            this.downloadFile(data, filename);
+            this.showSuccess(`已导出映射表：${entries.length} 个映射`);
+        } catch (error) {
+            this.showError(`导出映射表失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 编辑器中的映射变化后，改用编辑器中的映射并清空已转换的数据
+     */
+    handleColorMapEdit() {
+        this.colorMap = this.colorMapEditor.toColorMap();
+        this.invalidateTileData();
+    }
+
+    hideMessages() {
         document.getElementById('downloadLink').style.display = 'none';
+        document.getElementById('validationReport').style.display = 'none';
         document.getElementById('error').style.display = 'none';
         document.getElementById('success').style.display = 'none';
+    }
+
+    async preview() {
+        if (!this.imageFile && !this.importedMap) {
+            this.showError('请先上传图片文件或导入存档');
+            return;
+        }
+
+        this.hideMessages();
 
         try {
             this.showProgress(true);
             this.updateProgress(0);
+            const tileData = await this.convertTiles();
+            this.showProgress(false);
+            if (tileData) {
+                let message = `预览已生成！Tile尺寸: ${tileData.width}×${tileData.height}`;
+                const stats = tileData.postProcessStats;
+                if (stats) {
+                    message += `；后处理移除了 ${stats.removedRegions} 个小区域（${stats.regionTiles} 个tile），加宽 ${stats.widenedTiles} 个tile，插入 ${stats.transitionTiles} 个过渡tile`;
+                }
+                if (this.restoredEdits > 0) {
+                    message += `；已重新绘制 ${this.restoredEdits} 个手动编辑过的tile（可撤销）`;
+                }
+                this.showSuccess(message);
+            }
+        } catch (error) {
+            this.showProgress(false);
+            if (error.cancelled) {
+                this.showError('已取消预览');
+                return;
+            }
+            this.showError(`预览失败: ${error.message}`);
+            console.error('预览错误:', error);
+        }
+    }
 
-            // 1. 加载颜色映射表
-            this.updateProgress(10);
-            const mapLoaded = await this.loadColorMap();
-            if (!mapLoaded) {
+    async process() {
+        if (!this.imageFile && !this.importedMap) {
+            this.showError('请先上传图片文件或导入存档');
+            return;
+        }
+
+        // 隐藏之前的结果和错误信息
+        this.hideMessages();
+
+        try {
+            this.showProgress(true);
+            this.updateProgress(0);
+
+            // 1-2. 加载颜色映射表并转换为tile数据（同时渲染预览）
+            const imageData = await this.convertTiles();
+            if (!imageData) {
                 this.showProgress(false);
                 return;
             }
 
-            // 2. 处理图片
-            this.updateProgress(20);
-            let imageData;
-            try {
-                imageData = await ImageProcessor.processImage(
-                    this.imageFile,
-                    this.colorMap,
-                    this.statsConfig.toleranceLevel,  // 传递颜色容忍度
-                    (current, total) => {
-                        // 图片处理进度（20% - 90%）
-                        const progress = 20 + (current / total) * 70;
-                        this.updateProgress(progress);
-                    }
-                );
-            } catch (error) {
-                throw new Error(`图片处理失败: ${error.message}`);
+            // 未匹配像素的处理方式为fail时，存在未匹配的像素则停止生成
+            // 按当前的未匹配标记判断：在编辑器中绘制过的像素不再算作未匹配
+            const unmatchedCount = this.mapPreview.countUnmatched();
+            if (this.statsConfig.unmatchedPolicy === 'fail' && unmatchedCount > 0) {
+                this.showProgress(false);
+                this.showError(`生成已停止：还有 ${unmatchedCount} 个像素的颜色未匹配\n请在预览下方的未匹配颜色报告中指定tile类型、在编辑模式下绘制这些像素，或修改未匹配像素的处理方式`);
+                return;
             }
 
-            // 3. 生成存档数据
-            this.updateProgress(90);
-            const savedMap = SaveGenerator.generateSaveData(
-                imageData.width,  // tile宽度（像素，已确保是64的倍数）
-                imageData.height, // tile高度（像素，已确保是64的倍数）
-                imageData.tiles,
-                this.statsConfig  // 传递用户配置的统计数据
-            );
+            // 生成前检查tile类型，避免生成游戏无法加载的存档
+            const confirmed = await this.validateBeforeGenerate(imageData);
+            if (!confirmed) {
+                this.showProgress(false);
+                this.showError('已取消生成：请根据检查结果修正tile类型');
+                return;
+            }
 
-            // 4. 生成.wbox文件
-            this.updateProgress(95);
-            const wboxData = SaveGenerator.generateWboxFile(savedMap);
+            // 3-4. 生成存档数据并压缩为.wbox文件（90% - 100%）
+            this.updateProgress(90);
+            const { wboxData, zoneWidth, zoneHeight, statistics } = await this.pipelineRunner.run('generate', {
+                tileData: {
+                    width: imageData.width,  // tile宽度（像素，已确保是64的倍数）
+                    height: imageData.height, // tile高度（像素，已确保是64的倍数）
+                    tiles: imageData.tiles,
+                    fire: imageData.fire,
+                    frozenTiles: imageData.frozenTiles
+                },
+                statsConfig: this.statsConfig  // 传递用户配置的统计数据
+            }, (current, total) => {
+                this.updateProgress(90 + (current / total) * 10);
+            });
 
             // 5. 创建下载链接
             this.updateProgress(100);
             this.downloadFile(wboxData, 'map.wbox');
+            this.statisticsReport.render(statistics, this.colorMap);
 
-            const zoneWidth = savedMap.width;
-            const zoneHeight = savedMap.height;
             this.showProgress(false);
             this.showSuccess(`成功生成地图存档！Tile尺寸: ${imageData.width}×${imageData.height} (${zoneWidth}×${zoneHeight} zones)`);
         } catch (error) {
             this.showProgress(false);
+            if (error.cancelled) {
+                this.showError('已取消生成');
+                return;
+            }
             this.showError(`处理失败: ${error.message}`);
             console.error('处理错误:', error);
         }
@@ -305,8 +1606,3 @@ class MapCreator {
     }
 }
 
-// 初始化应用
-document.addEventListener('DOMContentLoaded', () => {
-    new MapCreator();
-});
-
@@ -0,0 +1,311 @@
+/**
+ * 随机地图生成模块
+ * 使用带种子的噪声生成tile数据，不依赖DOM，可在Web Worker中运行
+ * 相同的种子和参数总是生成相同的地图
+ */
+
+class MapGenerator {
+    /**
+     * 默认使用的生物群系（颜色映射表中存在时才会使用）
+     */
+    static DEFAULT_BIOMES = ['grass', 'jungle', 'savanna', 'desert', 'birch', 'maple', 'swamp', 'flower'];
+
+    /**
+     * 地形角色：按顺序使用颜色映射表中第一个存在的tile类型
+     * 水域为必需的角色；山地、丘陵、沙滩缺少时改用所在位置的陆地tile
+     */
+    static TERRAIN_ROLES = {
+        deepWater: { label: '深海', tiles: ['deep_ocean', 'close_ocean', 'shallow_waters'], required: true },
+        closeWater: { label: '近海', tiles: ['close_ocean', 'deep_ocean', 'shallow_waters'], required: true },
+        shallowWater: { label: '浅水', tiles: ['shallow_waters', 'close_ocean', 'deep_ocean'], required: true },
+        mountain: { label: '山地', tiles: ['mountains', 'hills'], required: false },
+        hill: { label: '丘陵', tiles: ['hills', 'mountains'], required: false },
+        beach: { label: '沙滩', tiles: ['sand'], required: false }
+    };
+
+    /**
+     * 默认生成参数
+     */
+    static DEFAULT_OPTIONS = {
+        seed: 'worldbox',
+        zoneWidth: 5,
+        zoneHeight: 5,
+        landRatio: 0.4,        // 陆地占比（0-1）
+        islandCount: 3,        // 岛屿（大陆）数量
+        mountainDensity: 0.1,  // 山地占陆地的比例（0-1）
+        biomes: null           // 生物群系名称列表，为空时使用DEFAULT_BIOMES中颜色映射表存在的部分
+    };
+
+    /**
+     * 将字符串种子转换为32位整数
+     * @param {string|number} seed - 种子
+     * @returns {number} 32位无符号整数
+     */
+    static hashSeed(seed) {
+        const text = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * 创建带种子的伪随机数生成器（mulberry32）
+     * @param {number} seed - 32位整数种子
+     * @returns {Function} 返回[0, 1)随机数的函数
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * 整数网格点的哈希值，范围[0, 1)
+     */
+    static latticeValue(ix, iy, seed) {
+        let h = Math.imul(ix, 374761393) ^ Math.imul(iy, 668265263) ^ seed;
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * 二维值噪声，范围[0, 1)
+     */
+    static valueNoise(x, y, seed) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const fx = x - ix;
+        const fy = y - iy;
+        // smoothstep插值
+        const sx = fx * fx * (3 - 2 * fx);
+        const sy = fy * fy * (3 - 2 * fy);
+
+        const v00 = this.latticeValue(ix, iy, seed);
+        const v10 = this.latticeValue(ix + 1, iy, seed);
+        const v01 = this.latticeValue(ix, iy + 1, seed);
+        const v11 = this.latticeValue(ix + 1, iy + 1, seed);
+        const top = v00 + (v10 - v00) * sx;
+        const bottom = v01 + (v11 - v01) * sx;
+        return top + (bottom - top) * sy;
+    }
+
+    /**
+     * 分形噪声（多个频率的值噪声叠加），范围[0, 1)
+     */
+    static fractalNoise(x, y, seed, octaves = 5) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let total = 0;
+        for (let i = 0; i < octaves; i++) {
+            value += this.valueNoise(x * frequency, y * frequency, seed + i * 1013) * amplitude;
+            total += amplitude;
+            amplitude *= 0.5;
+            frequency *= 2;
+        }
+        return value / total;
+    }
+
+    /**
+     * 从颜色映射表的tile类型中找出可用的生物群系
+     * 生物群系指同时存在 soil_low:名称_low 和 soil_high:名称_high 的名称
+     * @param {Iterable<string>} tileTypes - 颜色映射表中的tile类型
+     * @returns {string[]} 生物群系名称列表
+     */
+    static findBiomes(tileTypes) {
+        const types = new Set(tileTypes);
+        const biomes = [];
+        for (const tileType of types) {
+            const match = /^soil_low:(\w+)_low$/.exec(tileType);
+            if (match && types.has(`soil_high:${match[1]}_high`)) {
+                biomes.push(match[1]);
+            }
+        }
+        return biomes;
+    }
+
+    /**
+     * 从颜色映射表的tile类型中确定各地形角色使用的tile类型
+     * @param {Iterable<string>} tileTypes - 颜色映射表中的tile类型
+     * @returns {Object<string, string|null>} 角色 -> tile类型，见TERRAIN_ROLES，非必需的角色缺少时为null
+     */
+    static findTerrain(tileTypes) {
+        const types = new Set(tileTypes);
+        const terrain = {};
+        for (const [role, { label, tiles, required }] of Object.entries(this.TERRAIN_ROLES)) {
+            terrain[role] = tiles.find(tileType => types.has(tileType)) || null;
+            if (!terrain[role] && required) {
+                throw new Error(`颜色映射表中没有${label}可用的tile类型（${tiles.join('、')}）`);
+            }
+        }
+        return terrain;
+    }
+
+    /**
+     * 生成随机地图
+     * @param {Object} options - 生成参数，见DEFAULT_OPTIONS
+     * @param {Iterable<string>} tileTypes - 颜色映射表中的tile类型，用于确定可用的生物群系和地形（见findTerrain），
+     *        生成的tile类型都在其中
+     * @param {Function} progressCallback - 进度回调函数 (current, total) => void
+     * @returns {{width: number, height: number, tiles: string[][]}} 与ImageProcessor.processImage相同结构的tile数据
+     */
+    static generate(options = {}, tileTypes = [], progressCallback = null) {
+        const config = { ...this.DEFAULT_OPTIONS, ...options };
+        const width = Math.floor(config.zoneWidth) * 64;
+        const height = Math.floor(config.zoneHeight) * 64;
+        if (width <= 0 || height <= 0) {
+            throw new Error(`地图尺寸无效：${config.zoneWidth}×${config.zoneHeight} zones`);
+        }
+
+        const landRatio = Math.min(Math.max(config.landRatio, 0), 1);
+        const mountainDensity = Math.min(Math.max(config.mountainDensity, 0), 1);
+        const islandCount = Math.max(0, Math.floor(config.islandCount));
+
+        const seed = this.hashSeed(config.seed);
+        const random = this.createRandom(seed);
+
+        // 地形和生物群系：只使用颜色映射表中存在的
+        const types = new Set(tileTypes);
+        const terrain = this.findTerrain(types);
+        const available = this.findBiomes(types);
+        const requested = config.biomes && config.biomes.length > 0 ? config.biomes : this.DEFAULT_BIOMES;
+        let biomes = requested.filter(biome => available.includes(biome));
+        if (biomes.length === 0) {
+            if (available.length === 0 && !types.has('soil_low')) {
+                throw new Error('颜色映射表中没有陆地可用的tile类型（soil_low:名称_low 和 soil_high:名称_high，或 soil_low）');
+            }
+            biomes = available.length > 0 ? available : [null];
+        }
+
+        // 1. 岛屿中心：在远离地图边缘的位置随机放置
+        const islands = [];
+        const baseRadius = Math.sqrt(width * height * Math.max(landRatio, 0.05) / Math.max(islandCount, 1) / Math.PI);
+        for (let i = 0; i < islandCount; i++) {
+            islands.push({
+                x: width * (0.15 + random() * 0.7),
+                y: height * (0.15 + random() * 0.7),
+                radius: baseRadius * (0.8 + random() * 0.8)
+            });
+        }
+
+        // 2. 高度场：分形噪声 + 岛屿隆起 + 边缘下沉
+        const noiseScale = 1 / 48;
+        const elevation = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const noise = this.fractalNoise(x * noiseScale, y * noiseScale, seed);
+
+                let bump = 0;
+                for (const island of islands) {
+                    const dx = x - island.x;
+                    const dy = y - island.y;
+                    const distance = Math.sqrt(dx * dx + dy * dy) / (island.radius * 1.6);
+                    bump = Math.max(bump, 1 - distance);
+                }
+
+                const edge = Math.min(x, y, width - 1 - x, height - 1 - y) / Math.min(width, height);
+                const edgeFalloff = Math.min(edge * 8, 1);
+
+                const value = islandCount > 0 ? noise * 0.55 + Math.max(bump, 0) * 0.45 : noise;
+                elevation[y * width + x] = value * edgeFalloff;
+            }
+            if (progressCallback && y % 16 === 0) {
+                progressCallback(y, height * 2);
+            }
+        }
+
+        // 3. 按陆地占比确定海平面，按山地比例确定山地高度
+        const sorted = Float32Array.from(elevation).sort();
+        const quantile = (q) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(q * sorted.length)))];
+        let seaLevel = quantile(1 - landRatio);
+        if (landRatio >= 1) seaLevel = -Infinity;
+        if (landRatio <= 0) seaLevel = Infinity;
+        // 陆地部分（高于海平面的tile）中的分位数
+        const landQuantile = (q) => quantile(1 - landRatio + q * landRatio);
+        const mountainLevel = mountainDensity > 0 ? landQuantile(1 - mountainDensity) : Infinity;
+        const hillLevel = mountainDensity > 0 ? landQuantile(1 - Math.min(mountainDensity * 2, 1)) : Infinity;
+        const beachLevel = landQuantile(0.06);
+        const highLevel = landQuantile(0.5);
+        const deepLevel = quantile((1 - landRatio) * 0.55);
+        const closeLevel = quantile((1 - landRatio) * 0.85);
+
+        // 4. 生物群系：在随机分布的种子点之间划分区域（Voronoi）
+        const cellCount = Math.max(biomes.length, Math.round(width * height / (96 * 96)));
+        const cells = [];
+        for (let i = 0; i < cellCount; i++) {
+            cells.push({
+                x: random() * width,
+                y: random() * height,
+                biome: biomes[i < biomes.length ? i : Math.floor(random() * biomes.length)]
+            });
+        }
+
+        // 没有生物群系时使用soil_low/soil_high，映射表中没有soil_high时都使用soil_low
+        const landTile = (biome, high) => {
+            if (!biome) return high && types.has('soil_high') ? 'soil_high' : 'soil_low';
+            return high ? `soil_high:${biome}_high` : `soil_low:${biome}_low`;
+        };
+
+        // 5. 按高度和生物群系确定tile类型（tiles[0]是地图底部）
+        const tiles = [];
+        for (let y = 0; y < height; y++) {
+            const row = [];
+            for (let x = 0; x < width; x++) {
+                const value = elevation[y * width + x];
+                let tileType;
+
+                if (value < seaLevel) {
+                    if (value < deepLevel) tileType = terrain.deepWater;
+                    else if (value < closeLevel) tileType = terrain.closeWater;
+                    else tileType = terrain.shallowWater;
+                } else if (value >= mountainLevel && terrain.mountain) {
+                    tileType = terrain.mountain;
+                } else if (value >= hillLevel && terrain.hill) {
+                    tileType = terrain.hill;
+                } else if (value < beachLevel && terrain.beach) {
+                    tileType = terrain.beach;
+                } else {
+                    // 边界加入少量噪声扰动，避免生物群系边界过于平直
+                    const jitterX = x + (this.valueNoise(x / 16, y / 16, seed ^ 0x5bd1e995) - 0.5) * 40;
+                    const jitterY = y + (this.valueNoise(x / 16, y / 16, seed ^ 0x1b873593) - 0.5) * 40;
+                    let nearest = cells[0];
+                    let nearestDistance = Infinity;
+                    for (const cell of cells) {
+                        const dx = jitterX - cell.x;
+                        const dy = jitterY - cell.y;
+                        const distance = dx * dx + dy * dy;
+                        if (distance < nearestDistance) {
+                            nearestDistance = distance;
+                            nearest = cell;
+                        }
+                    }
+                    tileType = landTile(nearest.biome, value >= highLevel);
+                }
+
+                row.push(tileType);
+            }
+            tiles.push(row);
+            if (progressCallback && y % 16 === 0) {
+                progressCallback(height + y, height * 2);
+            }
+        }
+
+        if (progressCallback) {
+            progressCallback(1, 1);
+        }
+
+        return { width, height, tiles };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MapGenerator;
+}
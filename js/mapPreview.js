@@ -0,0 +1,274 @@
+/**
+ * 地图预览模块
+ * 负责将tile数据渲染到预览canvas，并提供鼠标悬停的tile信息查看
+ */
+
+class MapPreview {
+    /**
+     * @param {HTMLCanvasElement} canvas - 预览canvas
+     * @param {HTMLElement} infoElement - 显示悬停信息的元素
+     */
+    constructor(canvas, infoElement) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.infoElement = infoElement;
+        this.tileData = null;
+        this.colorMap = null;
+        this.fireSet = null;
+        this.frozenSet = null;
+        this.highlightUnmatched = true;
+        this.cameraMarker = null;  // 相机初始位置（世界坐标），为null时不显示
+        this.settlementMarkers = [];  // 城市标记 [{x, y, color}]（tile坐标）
+        this.regionLabels = [];  // 地区名称 [{name, x, y}]（tile坐标）
+
+        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        this.canvas.addEventListener('mouseleave', () => this.showDefaultInfo());
+    }
+
+    /**
+     * 渲染tile数据
+     * @param {{width: number, height: number, tiles: string[][], unmatchedMask?: Uint8Array, fire?: number[], frozenTiles?: number[]}} tileData - tile数据
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
+     */
+    render(tileData, colorMap) {
+        this.tileData = tileData;
+        this.colorMap = colorMap;
+        this.fireSet = tileData.fire && tileData.fire.length > 0 ? new Set(tileData.fire) : null;
+        this.frozenSet = tileData.frozenTiles && tileData.frozenTiles.length > 0 ? new Set(tileData.frozenTiles) : null;
+        this.redraw();
+        this.showDefaultInfo();
+    }
+
+    /**
+     * 设置是否高亮颜色未匹配的像素
+     * @param {boolean} enabled - 是否高亮
+     */
+    setHighlightUnmatched(enabled) {
+        this.highlightUnmatched = enabled;
+        this.redraw();
+    }
+
+    /**
+     * 设置预览上标出的相机初始位置
+     * @param {{x: number, y: number}|null} position - 世界坐标（左下角为原点），为null时不显示
+     */
+    setCameraMarker(position) {
+        this.cameraMarker = position;
+        this.redraw();
+    }
+
+    /**
+     * 设置预览上标出的城市标记
+     * @param {Array<{x: number, y: number, color: string}>} markers - 城市标记（tile坐标，左下角为原点；color为16进制）
+     */
+    setSettlementMarkers(markers) {
+        this.settlementMarkers = markers;
+        this.redraw();
+    }
+
+    /**
+     * 设置预览上显示的地区名称
+     * @param {Array<{name: string, x: number, y: number}>} labels - 地区名称（tile坐标，左下角为原点）
+     */
+    setRegionLabels(labels) {
+        this.regionLabels = labels;
+        this.redraw();
+    }
+
+    /**
+     * 按当前数据和设置重绘预览
+     */
+    redraw() {
+        if (!this.tileData) return;
+
+        const { width, height, tiles, unmatchedMask } = this.tileData;
+        const baseCanvas = ImageProcessor.renderTilesToCanvas(tiles, this.colorMap);
+
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.imageSmoothingEnabled = false;
+        this.ctx.drawImage(baseCanvas, 0, 0);
+
+        if (this.highlightUnmatched && unmatchedMask && this.countUnmatched() > 0) {
+            // 未匹配像素标为红色，其余像素变暗，方便定位
+            const imageData = this.ctx.getImageData(0, 0, width, height);
+            const data = imageData.data;
+            for (let y = 0; y < height; y++) {
+                // canvas第0行是地图顶部，对应tiles的最后一行
+                const maskRow = (height - 1 - y) * width;
+                for (let x = 0; x < width; x++) {
+                    const index = (y * width + x) * 4;
+                    if (unmatchedMask[maskRow + x]) {
+                        data[index] = 255;
+                        data[index + 1] = 0;
+                        data[index + 2] = 0;
+                    } else {
+                        data[index] = data[index] * 0.4;
+                        data[index + 1] = data[index + 1] * 0.4;
+                        data[index + 2] = data[index + 2] * 0.4;
+                    }
+                }
+            }
+            this.ctx.putImageData(imageData, 0, 0);
+        }
+
+        for (const marker of this.settlementMarkers) {
+            this.drawSettlementMarker(marker);
+        }
+        for (const label of this.regionLabels) {
+            this.drawRegionLabel(label);
+        }
+        if (this.cameraMarker) {
+            this.drawCameraMarker(this.cameraMarker);
+        }
+    }
+
+    /**
+     * 以王国颜色的方块标出城市位置，大小随地图尺寸变化
+     * @param {{x: number, y: number, color: string}} marker - 城市标记
+     */
+    drawSettlementMarker(marker) {
+        const { width, height } = this.tileData;
+        const size = Math.max(3, Math.round(Math.max(width, height) / 64));
+        const x = marker.x + 0.5 - size / 2;
+        const y = height - marker.y - 0.5 - size / 2;  // canvas的y轴向下
+
+        this.ctx.save();
+        this.ctx.fillStyle = `#${marker.color || 'FFFFFF'}`;
+        this.ctx.fillRect(x, y, size, size);
+        this.ctx.strokeStyle = '#000';
+        this.ctx.lineWidth = Math.max(1, size / 4);
+        this.ctx.strokeRect(x, y, size, size);
+        this.ctx.restore();
+    }
+
+    /**
+     * 在地区名称的位置画一个圆点并写上名称，字号随地图尺寸变化
+     * @param {{name: string, x: number, y: number}} label - 地区名称
+     */
+    drawRegionLabel(label) {
+        const { width, height } = this.tileData;
+        const fontSize = Math.max(8, Math.round(Math.max(width, height) / 40));
+        const x = label.x + 0.5;
+        const y = height - label.y - 0.5;  // canvas的y轴向下
+
+        this.ctx.save();
+        this.ctx.fillStyle = '#c62828';
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, fontSize / 4, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.font = `bold ${fontSize}px sans-serif`;
+        this.ctx.textBaseline = 'middle';
+        this.ctx.lineWidth = Math.max(2, fontSize / 5);
+        this.ctx.lineJoin = 'round';
+        this.ctx.strokeStyle = '#000';
+        this.ctx.strokeText(label.name, x + fontSize / 2, y);
+        this.ctx.fillStyle = '#fff';
+        this.ctx.fillText(label.name, x + fontSize / 2, y);
+        this.ctx.restore();
+    }
+
+    /**
+     * 以十字和圆圈标出相机位置，线宽随地图尺寸变化，缩小显示时仍清晰可见
+     * @param {{x: number, y: number}} position - 世界坐标
+     */
+    drawCameraMarker(position) {
+        const { width, height } = this.tileData;
+        const x = position.x;
+        const y = height - position.y;  // canvas的y轴向下
+        const lineWidth = Math.max(1, Math.round(Math.max(width, height) / 256));
+        const radius = lineWidth * 6;
+
+        this.ctx.save();
+        for (const [color, extra] of [['#000', lineWidth * 2], ['#fff', 0]]) {
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = lineWidth + extra;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+            this.ctx.moveTo(x - radius * 2, y);
+            this.ctx.lineTo(x + radius * 2, y);
+            this.ctx.moveTo(x, y - radius * 2);
+            this.ctx.lineTo(x, y + radius * 2);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * 统计未匹配的像素数量
+     * @returns {number} 未匹配的像素数量
+     */
+    countUnmatched() {
+        const mask = this.tileData && this.tileData.unmatchedMask;
+        if (!mask) return 0;
+        let count = 0;
+        for (let i = 0; i < mask.length; i++) {
+            count += mask[i];
+        }
+        return count;
+    }
+
+    /**
+     * 将鼠标事件坐标转换为tile坐标（y轴向上，(0,0)为地图左下角）
+     * @param {MouseEvent} e - 鼠标事件
+     * @returns {{x: number, y: number}|null} tile坐标，超出地图范围时返回null
+     */
+    eventToTile(e) {
+        if (!this.tileData) return null;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const { width, height } = this.tileData;
+        const x = Math.floor((e.clientX - rect.left) / rect.width * width);
+        const canvasY = Math.floor((e.clientY - rect.top) / rect.height * height);
+        const y = height - 1 - canvasY;
+
+        if (x < 0 || x >= width || y < 0 || y >= height) {
+            return null;
+        }
+        return { x, y };
+    }
+
+    handleMouseMove(e) {
+        const pos = this.eventToTile(e);
+        if (!pos) {
+            this.showDefaultInfo();
+            return;
+        }
+
+        const { x, y } = pos;
+        const tileType = this.tileData.tiles[y][x];
+        const zoneX = Math.floor(x / 64);
+        const zoneY = Math.floor(y / 64);
+        const index = y * this.tileData.width + x;
+        const mask = this.tileData.unmatchedMask;
+        const unmatched = mask && mask[index];
+
+        let text = `Tile: (${x}, ${y})  Zone: (${zoneX}, ${zoneY})  类型: ${tileType}`;
+        if (this.fireSet && this.fireSet.has(index)) {
+            text += '  🔥 火焰';
+        }
+        if (this.frozenSet && this.frozenSet.has(index)) {
+            text += '  ❄ 冰冻';
+        }
+        if (unmatched) {
+            text += '  ⚠ 未匹配颜色，已按未匹配像素的处理方式替换';
+        }
+        this.infoElement.textContent = text;
+    }
+
+    showDefaultInfo() {
+        if (!this.tileData) {
+            this.infoElement.textContent = '';
+            return;
+        }
+
+        const { width, height } = this.tileData;
+        const unmatchedCount = this.countUnmatched();
+        let text = `Tile尺寸: ${width}×${height} (${width / 64}×${height / 64} zones)，将鼠标移到地图上查看tile信息`;
+        if (unmatchedCount > 0) {
+            text += `；${unmatchedCount} 个像素未匹配颜色`;
+        }
+        this.infoElement.textContent = text;
+    }
+}
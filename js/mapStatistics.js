@@ -0,0 +1,165 @@
+/**
+ * 地图统计模块
+ * 统计各tile类型的数量和占比、陆地与水域的比例、各陆地（大陆、岛屿）的组成以及每个zone（64×64）的主要tile类型，
+ * 并导出为CSV/JSON，用于在不打开游戏的情况下检查各大陆的资源是否均衡
+ * 不依赖DOM，可在Web Worker中运行
+ */
+
+class MapStatistics {
+    /**
+     * zone的边长（tile数量）
+     */
+    static ZONE_SIZE = 64;
+
+    /**
+     * 统计地图
+     * @param {string[][]} tiles - tile类型二维数组[y][x]，tiles[0]为地图底部
+     * @param {Object} landmassData - 陆地连通区域（见TileAnalysis.findLandmasses），已计算时传入以避免重复计算
+     * @returns {Object} 统计报告：
+     *          width/height为tile尺寸，zoneWidth/zoneHeight为zone数量，totalTiles为tile总数；
+     *          land/water为陆地和水域的tile数，landPercent/waterPercent为其占比（%）；
+     *          tileTypes为各tile类型的 {tileType, count, percent}，按数量从多到少排列；
+     *          landmasses为各陆地的 {rank, size, percent, centerX, centerY, minX, minY, maxX, maxY, tileTypes}，
+     *          rank从1开始按面积从大到小编号，percent为占全部陆地的比例；
+     *          zones为各zone的 {zoneX, zoneY, dominantTile, dominantPercent, landPercent, tileTypes}，zone(0, 0)在左下角
+     */
+    static analyze(tiles, landmassData = TileAnalysis.findLandmasses(tiles)) {
+        const { width, height, labels, landmasses } = landmassData;
+        const zoneWidth = Math.ceil(width / this.ZONE_SIZE);
+        const zoneHeight = Math.ceil(height / this.ZONE_SIZE);
+
+        const mapCounts = new Map();
+        const landmassCounts = landmasses.map(() => new Map());
+        const zoneCounts = Array.from({ length: zoneWidth * zoneHeight }, () => new Map());
+        const zoneWater = new Int32Array(zoneWidth * zoneHeight);
+        const increment = (counts, tileType) => counts.set(tileType, (counts.get(tileType) || 0) + 1);
+
+        for (let y = 0; y < height; y++) {
+            const row = tiles[y];
+            const zoneRow = Math.floor(y / this.ZONE_SIZE) * zoneWidth;
+            for (let x = 0; x < width; x++) {
+                const tileType = row[x];
+                const zone = zoneRow + Math.floor(x / this.ZONE_SIZE);
+                const label = labels[y * width + x];
+
+                increment(mapCounts, tileType);
+                increment(zoneCounts[zone], tileType);
+                if (label < 0) {
+                    zoneWater[zone]++;
+                } else {
+                    increment(landmassCounts[label], tileType);
+                }
+            }
+        }
+
+        const totalTiles = width * height;
+        const water = zoneWater.reduce((sum, count) => sum + count, 0);
+        const land = totalTiles - water;
+
+        return {
+            width,
+            height,
+            zoneWidth,
+            zoneHeight,
+            totalTiles,
+            land,
+            water,
+            landPercent: this.percent(land, totalTiles),
+            waterPercent: this.percent(water, totalTiles),
+            tileTypes: this.summarize(mapCounts, totalTiles),
+            landmasses: landmasses.map((landmass, id) => ({
+                rank: id + 1,
+                size: landmass.size,
+                percent: this.percent(landmass.size, land),
+                centerX: landmass.centerX,
+                centerY: landmass.centerY,
+                minX: landmass.minX,
+                minY: landmass.minY,
+                maxX: landmass.maxX,
+                maxY: landmass.maxY,
+                tileTypes: this.summarize(landmassCounts[id], landmass.size)
+            })),
+            zones: zoneCounts.map((counts, index) => {
+                const zoneX = index % zoneWidth;
+                const zoneY = (index - zoneX) / zoneWidth;
+                // 地图尺寸不是64的倍数时，最右和最上的zone不足64×64
+                const zoneTiles = (Math.min(width, (zoneX + 1) * this.ZONE_SIZE) - zoneX * this.ZONE_SIZE)
+                    * (Math.min(height, (zoneY + 1) * this.ZONE_SIZE) - zoneY * this.ZONE_SIZE);
+                const tileTypes = this.summarize(counts, zoneTiles);
+                return {
+                    zoneX,
+                    zoneY,
+                    dominantTile: tileTypes[0].tileType,
+                    dominantPercent: tileTypes[0].percent,
+                    landPercent: this.percent(zoneTiles - zoneWater[index], zoneTiles),
+                    tileTypes
+                };
+            })
+        };
+    }
+
+    /**
+     * 将计数转换为按数量从多到少排列的列表（数量相同时按tile类型排序，保证结果稳定）
+     * @param {Map<string, number>} counts - tile类型 -> 数量
+     * @param {number} total - 计算占比的总数
+     * @returns {Array<{tileType: string, count: number, percent: number}>}
+     */
+    static summarize(counts, total) {
+        return Array.from(counts, ([tileType, count]) => ({ tileType, count, percent: this.percent(count, total) }))
+            .sort((a, b) => b.count - a.count || (a.tileType < b.tileType ? -1 : 1));
+    }
+
+    /**
+     * 计算百分比，保留两位小数
+     * @param {number} count - 数量
+     * @param {number} total - 总数
+     * @returns {number} 百分比（0-100），总数为0时返回0
+     */
+    static percent(count, total) {
+        return total > 0 ? Math.round(count / total * 10000) / 100 : 0;
+    }
+
+    /**
+     * 导出为JSON
+     * @param {Object} report - 统计报告，见analyze
+     * @returns {string} JSON文本
+     */
+    static toJson(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * 导出为CSV（长表格式，便于在表格软件中筛选和透视）
+     * 列：scope, landmass, zone_x, zone_y, tile_type, count, percent
+     *   terrain  - 陆地/水域（tile_type为land或water），percent为占全图的比例
+     *   map      - 全图各tile类型
+     *   landmass - 各陆地中的tile类型，landmass为陆地编号（见analyze中的rank），percent为占该陆地的比例
+     *   zone     - 各zone中的tile类型，percent为占该zone的比例
+     * @param {Object} report - 统计报告，见analyze
+     * @returns {string} CSV文本
+     */
+    static toCsv(report) {
+        const escape = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const lines = ['scope,landmass,zone_x,zone_y,tile_type,count,percent'];
+        const addRows = (prefix, tileTypes) => {
+            for (const { tileType, count, percent } of tileTypes) {
+                lines.push(`${prefix},${escape(tileType)},${count},${percent}`);
+            }
+        };
+
+        lines.push(`terrain,,,,land,${report.land},${report.landPercent}`);
+        lines.push(`terrain,,,,water,${report.water},${report.waterPercent}`);
+        addRows('map,,,', report.tileTypes);
+        for (const landmass of report.landmasses) {
+            addRows(`landmass,${landmass.rank},,`, landmass.tileTypes);
+        }
+        for (const zone of report.zones) {
+            addRows(`zone,,${zone.zoneX},${zone.zoneY}`, zone.tileTypes);
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MapStatistics;
+}
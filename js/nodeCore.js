@@ -0,0 +1,54 @@
+/**
+ * Node.js核心模块入口
+ * 加载不依赖DOM的核心模块和第三方库，并像浏览器中的<script>一样注册为全局变量（模块之间通过全局名称互相引用）
+ * 命令行工具通过 require('../js/nodeCore.js') 使用，返回各模块的类
+ */
+
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * 第三方库：全局名称 -> 路径
+ */
+const LIBRARIES = {
+    pako: 'lib/pako.min.js',
+    XLSX: 'lib/xlsx.min.js'
+};
+
+/**
+ * 核心模块：全局名称 -> 路径（与conversionWorker.js中的importScripts保持一致，另加Node.js需要的模块）
+ */
+const MODULES = {
+    ColorMetrics: 'js/colorMetrics.js',
+    ColorMatcher: 'js/colorMatcher.js',
+    Heightmap: 'js/heightmap.js',
+    ImageProcessor: 'js/imageProcessor.js',
+    PaletteQuantizer: 'js/paletteQuantizer.js',
+    LayerProcessor: 'js/layerProcessor.js',
+    PostProcessor: 'js/postProcessor.js',
+    MapGenerator: 'js/mapGenerator.js',
+    TileAnalysis: 'js/tileAnalysis.js',
+    MapStatistics: 'js/mapStatistics.js',
+    WorldLaws: 'js/worldLaws.js',
+    Civilizations: 'js/civilizations.js',
+    RegionLabels: 'js/regionLabels.js',
+    SaveSchemas: 'js/saveSchemas.js',
+    SaveGenerator: 'js/saveGenerator.js',
+    ConversionPipeline: 'js/conversionPipeline.js',
+    TileCatalog: 'js/tileCatalog.js',
+    WorldSizes: 'js/worldSizes.js',
+    ExcelParser: 'js/excelParser.js',
+    ColorMapIO: 'js/colorMapIO.js',
+    PngCodec: 'js/pngCodec.js'
+};
+
+const core = { ROOT, DEFAULT_COLOR_MAP: path.join(ROOT, 'default.xlsx') };
+for (const [name, file] of Object.entries({ ...LIBRARIES, ...MODULES })) {
+    if (!globalThis[name]) {
+        globalThis[name] = require(path.join(ROOT, file));
+    }
+    core[name] = globalThis[name];
+}
+
+module.exports = core;
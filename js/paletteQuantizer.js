@@ -0,0 +1,214 @@
+/**
+ * 调色板量化模块
+ * 将照片、卫星图等连续色调的图片量化为颜色映射表中的颜色，可选抖动方式，
+ * 避免容忍度匹配时大部分像素超出容忍度、或大片区域被合并成同一种tile
+ * 不依赖DOM，可在Web Worker中运行
+ */
+
+class PaletteQuantizer {
+    /**
+     * 支持的抖动方式
+     */
+    static DITHER_MODES = {
+        none: '不抖动（最接近的颜色）',
+        ordered: '有序抖动（Bayer 4×4）',
+        floydSteinberg: 'Floyd–Steinberg误差扩散'
+    };
+
+    /**
+     * Bayer 4×4阈值矩阵
+     */
+    static BAYER_MATRIX = [
+        [0, 8, 2, 10],
+        [12, 4, 14, 6],
+        [3, 11, 1, 9],
+        [15, 7, 13, 5]
+    ];
+
+    /**
+     * 有序抖动时每个通道的最大扰动幅度
+     */
+    static ORDERED_SPREAD = 48;
+
+    /**
+     * 解析tile类型权重文本
+     * 每行（或逗号分隔）一个 "tile类型 = 权重"，也可以用冒号分隔最后的权重，如 lava0: 0.2
+     * 权重默认为1，越小越不容易被选中，为0时不使用该tile类型
+     * @param {string} text - 权重文本
+     * @returns {Object<string, number>} tile类型 -> 权重
+     */
+    static parseWeights(text) {
+        const weights = {};
+        const items = String(text || '').split(/[\n,]/).map(item => item.trim()).filter(Boolean);
+        for (const item of items) {
+            const match = /^(.+?)\s*[=:]\s*([^=:]+)$/.exec(item);
+            if (!match) {
+                throw new Error(`tile权重格式无效: "${item}"，应为 tile类型 = 权重`);
+            }
+            const weight = Number(match[2]);
+            if (!Number.isFinite(weight) || weight < 0) {
+                throw new Error(`tile权重必须是非负数: "${item}"`);
+            }
+            weights[match[1].trim()] = weight;
+        }
+        return weights;
+    }
+
+    /**
+     * 由颜色映射表构建调色板，跳过权重为0的tile类型
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
+     * @param {Object<string, number>} weights - tile类型权重，见parseWeights
+     * @param {string} metric - 颜色距离算法
+     * @returns {Array<{rgb: Object, value: Object, weight: number, tileType: string}>} 调色板
+     */
+    static buildPalette(colorMap, weights, metric) {
+        const palette = [];
+        for (const [colorHex, tileType] of colorMap) {
+            const weight = weights[tileType] === undefined ? 1 : weights[tileType];
+            if (weight <= 0) continue;
+
+            const rgb = ImageProcessor.hexToRgb(colorHex);
+            palette.push({ rgb, value: ColorMetrics.prepare(rgb, metric), weight, tileType });
+        }
+
+        if (palette.length === 0) {
+            throw new Error('颜色映射表为空或所有tile类型的权重都为0，无法量化');
+        }
+        return palette;
+    }
+
+    /**
+     * 将RGBA像素量化为调色板颜色
+     * 距离除以tile类型的权重后取最小值，权重小于1的tile类型只有在颜色足够接近时才会被选中
+     * @param {Uint8ClampedArray|Uint8Array} data - RGBA像素数据，按行从上到下排列；alpha为0的像素不参与量化（如填充区域）
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
+     * @param {Object} options - 量化选项
+     * @param {string} options.dithering - 抖动方式，见DITHER_MODES，默认none
+     * @param {Object<string, number>} options.weights - tile类型权重，见parseWeights
+     * @param {string} options.colorMetric - 颜色距离算法，见ColorMetrics.METRICS
+     * @param {Function} progressCallback - 进度回调函数 (current, total) => void
+     * @returns {Uint8ClampedArray} 量化后的RGBA像素数据，每个像素都是调色板中的颜色（alpha为0的像素保持不变）
+     */
+    static quantize(data, width, height, colorMap, options = {}, progressCallback = null) {
+        const dithering = options.dithering || 'none';
+        if (!this.DITHER_MODES[dithering]) {
+            throw new Error(`未知的抖动方式: ${dithering}`);
+        }
+        const metric = options.colorMetric || ColorMetrics.DEFAULT_METRIC;
+        const palette = this.buildPalette(colorMap, options.weights || {}, metric);
+
+        // 按唯一颜色缓存最接近的调色板条目：24位整数颜色 -> 调色板条目
+        const cache = new Map();
+        const nearest = (r, g, b) => {
+            const key = ColorMatcher.toKey(r, g, b);
+            let entry = cache.get(key);
+            if (entry === undefined) {
+                entry = this.findNearest(palette, ColorMetrics.prepare({ r, g, b }, metric), metric);
+                cache.set(key, entry);
+            }
+            return entry;
+        };
+
+        const output = new Uint8ClampedArray(data.length);
+        const total = width * height;
+        // Floyd–Steinberg需要带误差的浮点工作缓冲区
+        const working = dithering === 'floydSteinberg' ? Float32Array.from(data) : null;
+        const clamp = (value) => value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = (y * width + x) * 4;
+                if (data[index + 3] === 0) continue;
+
+                let r;
+                let g;
+                let b;
+                if (working) {
+                    r = clamp(working[index]);
+                    g = clamp(working[index + 1]);
+                    b = clamp(working[index + 2]);
+                } else if (dithering === 'ordered') {
+                    const offset = ((this.BAYER_MATRIX[y % 4][x % 4] + 0.5) / 16 - 0.5) * this.ORDERED_SPREAD;
+                    r = clamp(data[index] + offset);
+                    g = clamp(data[index + 1] + offset);
+                    b = clamp(data[index + 2] + offset);
+                } else {
+                    r = data[index];
+                    g = data[index + 1];
+                    b = data[index + 2];
+                }
+
+                const { rgb } = nearest(r, g, b);
+                output[index] = rgb.r;
+                output[index + 1] = rgb.g;
+                output[index + 2] = rgb.b;
+                output[index + 3] = 255;
+
+                if (working) {
+                    this.diffuseError(working, data, width, height, x, y, [
+                        working[index] - rgb.r,
+                        working[index + 1] - rgb.g,
+                        working[index + 2] - rgb.b
+                    ]);
+                }
+            }
+
+            if (progressCallback) {
+                progressCallback((y + 1) * width, total);
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * 查找加权距离最小的调色板条目
+     * @param {Array<Object>} palette - 调色板，见buildPalette
+     * @param {Object} target - 已通过ColorMetrics.prepare转换的颜色
+     * @param {string} metric - 颜色距离算法
+     * @returns {Object} 调色板条目
+     */
+    static findNearest(palette, target, metric) {
+        let best = palette[0];
+        let bestDistance = Infinity;
+        for (const entry of palette) {
+            const distance = ColorMetrics.preparedDistance(target, entry.value, metric) / entry.weight;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = entry;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * 按Floyd–Steinberg系数将量化误差扩散到右侧和下一行的像素（跳过alpha为0的像素）
+     * @param {Float32Array} working - 工作缓冲区（原地修改）
+     * @param {Uint8ClampedArray|Uint8Array} data - 原始像素数据，用于判断alpha
+     * @param {number[]} error - RGB三个通道的误差
+     */
+    static diffuseError(working, data, width, height, x, y, error) {
+        const spread = (dx, dy, factor) => {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny >= height) return;
+
+            const index = (ny * width + nx) * 4;
+            if (data[index + 3] === 0) return;
+            working[index] += error[0] * factor;
+            working[index + 1] += error[1] * factor;
+            working[index + 2] += error[2] * factor;
+        };
+
+        spread(1, 0, 7 / 16);
+        spread(-1, 1, 3 / 16);
+        spread(0, 1, 5 / 16);
+        spread(1, 1, 1 / 16);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaletteQuantizer;
+}
@@ -0,0 +1,150 @@
+/**
+ * 流水线调度模块
+ * 在Web Worker中运行ConversionPipeline任务，转发进度并支持取消；
+ * 浏览器不支持Worker（如通过file://打开页面）时退回到主线程执行
+ */
+
+class PipelineRunner {
+    /**
+     * @param {string} workerUrl - Worker脚本地址
+     */
+    constructor(workerUrl = 'js/conversionWorker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.workerUnavailable = false;
+        this.currentJob = null;  // {reject, cancelled}
+    }
+
+    /**
+     * 创建被取消任务使用的错误对象
+     * @returns {Error} error.cancelled为true的错误
+     */
+    static createCancelledError() {
+        const error = new Error('操作已取消');
+        error.cancelled = true;
+        return error;
+    }
+
+    /**
+     * 获取Worker实例，无法创建时返回null
+     * @returns {Worker|null} Worker实例
+     */
+    getWorker() {
+        if (this.worker || this.workerUnavailable) {
+            return this.worker;
+        }
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('无法创建Web Worker，将在主线程中处理:', error);
+            this.workerUnavailable = true;
+        }
+        return this.worker;
+    }
+
+    /**
+     * 执行任务，同一时间只运行一个任务
+     * @param {string} type - 任务类型，见ConversionPipeline.run
+     * @param {Object} payload - 任务参数
+     * @param {Function} progressCallback - 进度回调函数 (current, total) => void
+     * @returns {Promise<Object>} 任务结果；任务被取消时以error.cancelled为true的错误拒绝
+     */
+    run(type, payload, progressCallback = null) {
+        if (this.currentJob) {
+            return Promise.reject(new Error('已有任务正在处理中'));
+        }
+
+        const worker = this.getWorker();
+        if (!worker) {
+            return this.runOnMainThread(type, payload, progressCallback);
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = { reject, cancelled: false };
+            this.currentJob = job;
+
+            worker.onmessage = (e) => {
+                const message = e.data;
+                if (message.kind === 'progress') {
+                    if (progressCallback) progressCallback(message.current, message.total);
+                    return;
+                }
+
+                this.currentJob = null;
+                if (message.kind === 'result') {
+                    resolve(message.result);
+                } else {
+                    reject(new Error(message.message));
+                }
+            };
+
+            worker.onerror = (e) => {
+                e.preventDefault();
+                this.currentJob = null;
+                // Worker脚本加载失败等情况，之后改为在主线程处理
+                this.terminateWorker();
+                this.workerUnavailable = true;
+                console.warn('Web Worker出错，改为在主线程中处理:', e.message);
+                this.runOnMainThread(type, payload, progressCallback).then(resolve, reject);
+            };
+
+            worker.postMessage({ type, payload });
+        });
+    }
+
+    /**
+     * 在主线程中执行任务（无法使用Worker时的后备方案）
+     * 主线程中的任务无法中途停止，取消后会丢弃其结果
+     */
+    async runOnMainThread(type, payload, progressCallback) {
+        const job = { reject: null, cancelled: false };
+        this.currentJob = job;
+
+        try {
+            const result = await ConversionPipeline.run(type, payload, progressCallback);
+            if (job.cancelled) {
+                throw PipelineRunner.createCancelledError();
+            }
+            return result;
+        } finally {
+            if (this.currentJob === job) {
+                this.currentJob = null;
+            }
+        }
+    }
+
+    /**
+     * 取消当前任务：终止Worker，下次执行任务时重新创建
+     * @returns {boolean} 是否有任务被取消
+     */
+    cancel() {
+        const job = this.currentJob;
+        if (!job) {
+            return false;
+        }
+
+        job.cancelled = true;
+        if (job.reject) {
+            this.terminateWorker();
+            this.currentJob = null;
+            job.reject(PipelineRunner.createCancelledError());
+        }
+        return true;
+    }
+
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * 是否有任务正在处理
+     * @returns {boolean}
+     */
+    isBusy() {
+        return !!this.currentJob;
+    }
+}
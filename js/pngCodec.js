@@ -0,0 +1,339 @@
+/**
+ * PNG编解码模块
+ * 使用pako解压/压缩图像数据，将PNG文件解码为RGBA像素数据，或将RGBA像素数据编码为PNG
+ * 不依赖DOM，用于Node.js命令行工具（浏览器中使用canvas解码）
+ *
+ * 支持全部颜色类型（灰度、RGB、调色板、灰度+alpha、RGBA）、1-16位色深、tRNS透明度和Adam7隔行扫描
+ * 16位色深只保留高8位；忽略gAMA、iCCP等颜色空间信息，与浏览器中关闭颜色空间转换时的读取结果一致
+ */
+
+class PngCodec {
+    static SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+    /**
+     * 各颜色类型每个像素的通道数
+     */
+    static CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+    /**
+     * Adam7隔行扫描的7个子图像：起始列、起始行、列间隔、行间隔
+     */
+    static ADAM7_PASSES = [
+        [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+        [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+    ];
+
+    static crcTable = null;
+
+    /**
+     * 解码PNG文件
+     * @param {Uint8Array|ArrayBuffer} fileData - PNG文件内容
+     * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA像素数据，按行从上到下排列
+     */
+    static decode(fileData) {
+        const bytes = fileData instanceof Uint8Array ? fileData : new Uint8Array(fileData);
+        if (bytes.length < 8 || this.SIGNATURE.some((value, i) => bytes[i] !== value)) {
+            throw new Error('不是有效的PNG文件');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let header = null;
+        let palette = null;
+        let transparency = null;
+        const dataChunks = [];
+
+        let offset = 8;
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const start = offset + 8;
+            if (start + length > bytes.length) {
+                throw new Error(`PNG文件不完整：${type}数据块被截断`);
+            }
+            const chunk = bytes.subarray(start, start + length);
+
+            if (type === 'IHDR') {
+                header = {
+                    width: view.getUint32(start),
+                    height: view.getUint32(start + 4),
+                    bitDepth: chunk[8],
+                    colorType: chunk[9],
+                    interlace: chunk[12]
+                };
+            } else if (type === 'PLTE') {
+                palette = chunk;
+            } else if (type === 'tRNS') {
+                transparency = chunk;
+            } else if (type === 'IDAT') {
+                dataChunks.push(chunk);
+            } else if (type === 'IEND') {
+                break;
+            }
+            offset = start + length + 4;  // 跳过CRC
+        }
+
+        if (!header) {
+            throw new Error('PNG文件缺少IHDR数据块');
+        }
+        if (!this.CHANNELS[header.colorType]) {
+            throw new Error(`不支持的PNG颜色类型: ${header.colorType}`);
+        }
+        if (header.colorType === 3 && !palette) {
+            throw new Error('调色板PNG缺少PLTE数据块');
+        }
+        if (dataChunks.length === 0) {
+            throw new Error('PNG文件缺少图像数据');
+        }
+
+        // 合并IDAT数据块并解压
+        const compressed = new Uint8Array(dataChunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let position = 0;
+        for (const chunk of dataChunks) {
+            compressed.set(chunk, position);
+            position += chunk.length;
+        }
+        let raw;
+        try {
+            raw = pako.inflate(compressed);
+        } catch (error) {
+            throw new Error(`PNG图像数据解压失败: ${error.message || error}`);
+        }
+
+        const { width, height } = header;
+        const data = new Uint8ClampedArray(width * height * 4);
+        const toRgba = this.createPixelReader(header, palette, transparency);
+
+        const passes = header.interlace === 1 ? this.ADAM7_PASSES : [[0, 0, 1, 1]];
+        let rawOffset = 0;
+        for (const [startX, startY, stepX, stepY] of passes) {
+            const passWidth = Math.ceil((width - startX) / stepX);
+            const passHeight = Math.ceil((height - startY) / stepY);
+            if (passWidth <= 0 || passHeight <= 0) continue;
+
+            const { rows, bytesRead } = this.unfilter(raw, rawOffset, passWidth, passHeight, header);
+            rawOffset += bytesRead;
+            for (let py = 0; py < passHeight; py++) {
+                const y = startY + py * stepY;
+                for (let px = 0; px < passWidth; px++) {
+                    const x = startX + px * stepX;
+                    toRgba(rows[py], px, data, (y * width + x) * 4);
+                }
+            }
+        }
+
+        return { width, height, data };
+    }
+
+    /**
+     * 去除扫描行的过滤（None、Sub、Up、Average、Paeth）
+     * @param {Uint8Array} raw - 解压后的图像数据
+     * @param {number} offset - 当前子图像在raw中的起始位置
+     * @param {number} width - 子图像宽度
+     * @param {number} height - 子图像高度
+     * @param {Object} header - IHDR信息
+     * @returns {{rows: Uint8Array[], bytesRead: number}} 去除过滤后的扫描行和读取的字节数
+     */
+    static unfilter(raw, offset, width, height, header) {
+        const bitsPerPixel = this.CHANNELS[header.colorType] * header.bitDepth;
+        const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+        const rowLength = Math.ceil(width * bitsPerPixel / 8);
+        if (offset + (rowLength + 1) * height > raw.length) {
+            throw new Error('PNG图像数据长度不足');
+        }
+
+        const rows = [];
+        let previous = new Uint8Array(rowLength);
+        for (let y = 0; y < height; y++) {
+            const start = offset + y * (rowLength + 1);
+            const filter = raw[start];
+            const row = raw.slice(start + 1, start + 1 + rowLength);
+
+            for (let i = 0; i < rowLength; i++) {
+                const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+                const up = previous[i];
+                const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+                switch (filter) {
+                    case 0:
+                        break;
+                    case 1:
+                        row[i] += left;
+                        break;
+                    case 2:
+                        row[i] += up;
+                        break;
+                    case 3:
+                        row[i] += (left + up) >> 1;
+                        break;
+                    case 4: {
+                        const p = left + up - upLeft;
+                        const pa = Math.abs(p - left);
+                        const pb = Math.abs(p - up);
+                        const pc = Math.abs(p - upLeft);
+                        row[i] += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+                        break;
+                    }
+                    default:
+                        throw new Error(`PNG第${y}行的过滤类型无效: ${filter}`);
+                }
+            }
+            rows.push(row);
+            previous = row;
+        }
+        return { rows, bytesRead: (rowLength + 1) * height };
+    }
+
+    /**
+     * 创建按颜色类型和色深读取像素的函数
+     * @returns {Function} (row, x, output, outputIndex) => void，将扫描行中第x个像素写为RGBA
+     */
+    static createPixelReader(header, palette, transparency) {
+        const { bitDepth, colorType } = header;
+        const channels = this.CHANNELS[colorType];
+        const maxValue = (1 << Math.min(bitDepth, 8)) - 1;
+
+        // 读取第x个像素的第c个通道的原始值（16位色深返回完整的16位值）
+        const sample = (row, x, c) => {
+            if (bitDepth === 8) return row[x * channels + c];
+            if (bitDepth === 16) {
+                const i = (x * channels + c) * 2;
+                return (row[i] << 8) | row[i + 1];
+            }
+            // 1/2/4位只用于灰度和调色板（单通道）
+            const bitOffset = x * bitDepth;
+            return (row[bitOffset >> 3] >> (8 - bitDepth - (bitOffset & 7))) & maxValue;
+        };
+        // 通道值转换为8位
+        const to8 = (value) => bitDepth === 16 ? value >> 8 : bitDepth === 8 ? value : Math.round(value * 255 / maxValue);
+
+        // tRNS：灰度和RGB图片指定一种透明颜色，调色板图片为每个颜色指定alpha
+        const transparentKey = transparency && (colorType === 0 || colorType === 2)
+            ? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, i) => (transparency[i * 2] << 8) | transparency[i * 2 + 1])
+            : null;
+        const isTransparent = (values) => transparentKey !== null && values.every((value, i) => value === transparentKey[i]);
+
+        switch (colorType) {
+            case 0:
+                return (row, x, output, index) => {
+                    const gray = sample(row, x, 0);
+                    const value = to8(gray);
+                    output[index] = output[index + 1] = output[index + 2] = value;
+                    output[index + 3] = isTransparent([gray]) ? 0 : 255;
+                };
+            case 2:
+                return (row, x, output, index) => {
+                    const values = [sample(row, x, 0), sample(row, x, 1), sample(row, x, 2)];
+                    output[index] = to8(values[0]);
+                    output[index + 1] = to8(values[1]);
+                    output[index + 2] = to8(values[2]);
+                    output[index + 3] = isTransparent(values) ? 0 : 255;
+                };
+            case 3:
+                return (row, x, output, index) => {
+                    const paletteIndex = sample(row, x, 0);
+                    if (paletteIndex * 3 + 2 >= palette.length) {
+                        throw new Error(`PNG像素引用了不存在的调色板颜色: ${paletteIndex}`);
+                    }
+                    output[index] = palette[paletteIndex * 3];
+                    output[index + 1] = palette[paletteIndex * 3 + 1];
+                    output[index + 2] = palette[paletteIndex * 3 + 2];
+                    output[index + 3] = transparency && paletteIndex < transparency.length ? transparency[paletteIndex] : 255;
+                };
+            case 4:
+                return (row, x, output, index) => {
+                    const value = to8(sample(row, x, 0));
+                    output[index] = output[index + 1] = output[index + 2] = value;
+                    output[index + 3] = to8(sample(row, x, 1));
+                };
+            default:
+                return (row, x, output, index) => {
+                    for (let c = 0; c < 4; c++) {
+                        output[index + c] = to8(sample(row, x, c));
+                    }
+                };
+        }
+    }
+
+    /**
+     * 将RGBA像素数据编码为PNG（8位RGBA，不过滤）
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @param {Uint8ClampedArray|Uint8Array} data - RGBA像素数据，按行从上到下排列
+     * @returns {Uint8Array} PNG文件内容
+     */
+    static encode(width, height, data) {
+        const rowLength = width * 4;
+        const raw = new Uint8Array((rowLength + 1) * height);
+        for (let y = 0; y < height; y++) {
+            // 每行第一个字节为过滤类型0（None）
+            raw.set(data.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+        }
+
+        const header = new Uint8Array(13);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, width);
+        headerView.setUint32(4, height);
+        header[8] = 8;  // 色深
+        header[9] = 6;  // 颜色类型：RGBA
+
+        const chunks = [
+            this.createChunk('IHDR', header),
+            this.createChunk('IDAT', pako.deflate(raw, { level: 9 })),
+            this.createChunk('IEND', new Uint8Array(0))
+        ];
+
+        const output = new Uint8Array(8 + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        output.set(this.SIGNATURE, 0);
+        let offset = 8;
+        for (const chunk of chunks) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return output;
+    }
+
+    /**
+     * 创建PNG数据块：长度 + 类型 + 数据 + CRC
+     * @param {string} type - 数据块类型
+     * @param {Uint8Array} data - 数据
+     * @returns {Uint8Array} 数据块
+     */
+    static createChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    /**
+     * 计算CRC32校验值
+     * @param {Uint8Array} bytes - 数据
+     * @returns {number} 无符号32位CRC
+     */
+    static crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PngCodec;
+}
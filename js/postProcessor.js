@@ -0,0 +1,374 @@
+/**
+ * 后处理模块
+ * 在转换之后、生成存档之前清理地形：移除小块区域、保证河流等地形的最小宽度、插入过渡tile
+ * 不依赖DOM，可在Web Worker中运行
+ *
+ * 规则格式（JSON，也可写在颜色映射表Excel的rules工作表中，见ExcelParser.readRules）：
+ * {
+ *   "minRegionSize": [{ "size": 8, "exclude": ["summit"] }],
+ *   "minFeatureWidth": [{ "tiles": ["shallow_waters"], "width": 2 }],
+ *   "transitions": [{ "from": ["soil_low:grass_low"], "to": ["deep_ocean", "close_ocean"], "insert": "sand", "width": 1 }]
+ * }
+ * minRegionSize也可以直接写为数字（作用于所有tile类型）或单条规则；规则中的tiles/exclude限定作用的tile类型
+ */
+
+class PostProcessor {
+    /**
+     * 默认规则：移除小于8个tile的区域（保留小湖泊、山顶和熔岩等本来就小的地形），草地与海洋之间插入一格沙滩
+     */
+    static DEFAULT_RULES = {
+        minRegionSize: [
+            {
+                size: 8,
+                exclude: [
+                    'deep_ocean', 'close_ocean', 'shallow_waters', 'pit_deep_ocean', 'pit_close_ocean', 'pit_shallow_waters',
+                    'summit', 'lava0', 'lava1', 'lava2', 'lava3'
+                ]
+            }
+        ],
+        minFeatureWidth: [],
+        transitions: [
+            {
+                from: ['soil_low:grass_low', 'soil_high:grass_high', 'soil_low', 'soil_high'],
+                to: ['deep_ocean', 'close_ocean', 'shallow_waters'],
+                insert: 'sand',
+                width: 1
+            }
+        ]
+    };
+
+    /**
+     * 移除小区域时最多重复的轮数（替换后相邻的小区域可能合并成新的小区域）
+     */
+    static MAX_REGION_PASSES = 4;
+
+    /**
+     * 校验并规范化规则
+     * tile类型列表可以是数组或逗号分隔的字符串
+     * @param {Object} rawRules - 规则，见文件头注释
+     * @returns {{minRegionSize: Array<{size: number, tiles: string[], exclude: string[]}>, minFeatureWidth: Array<{tiles: string[], width: number}>, transitions: Array<{from: string[], to: string[], insert: string, width: number}>}} 规范化的规则，
+     *          minRegionSize中tiles为空表示作用于所有tile类型
+     */
+    static parseRules(rawRules) {
+        if (!rawRules || typeof rawRules !== 'object' || Array.isArray(rawRules)) {
+            throw new Error('后处理规则必须是对象');
+        }
+
+        const toList = (value, name) => {
+            const list = Array.isArray(value) ? value : String(value || '').split(',');
+            const tiles = list.map(item => String(item).trim()).filter(Boolean);
+            if (tiles.length === 0) {
+                throw new Error(`后处理规则中的${name}不能为空`);
+            }
+            return tiles;
+        };
+        const toOptionalList = (value, name) => {
+            if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) return [];
+            return toList(value, name);
+        };
+        const toCount = (value, name, defaultValue) => {
+            if (value === undefined || value === null || value === '') return defaultValue;
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 0) {
+                throw new Error(`后处理规则中的${name}必须是非负整数: ${value}`);
+            }
+            return number;
+        };
+
+        const regionRules = rawRules.minRegionSize === undefined ? []
+            : Array.isArray(rawRules.minRegionSize) ? rawRules.minRegionSize : [rawRules.minRegionSize];
+        const featureRules = rawRules.minFeatureWidth === undefined ? []
+            : Array.isArray(rawRules.minFeatureWidth) ? rawRules.minFeatureWidth : [rawRules.minFeatureWidth];
+        const transitionRules = rawRules.transitions === undefined ? [] : rawRules.transitions;
+        if (!Array.isArray(transitionRules)) {
+            throw new Error('后处理规则中的transitions必须是数组');
+        }
+
+        return {
+            minRegionSize: regionRules.map(rule => rule !== null && typeof rule === 'object'
+                ? {
+                    size: toCount(rule.size, 'minRegionSize.size', 0),
+                    tiles: toOptionalList(rule.tiles, 'minRegionSize.tiles'),
+                    exclude: toOptionalList(rule.exclude, 'minRegionSize.exclude')
+                }
+                : { size: toCount(rule, 'minRegionSize', 0), tiles: [], exclude: [] }),
+            minFeatureWidth: featureRules.map(rule => ({
+                tiles: toList(rule.tiles, 'minFeatureWidth.tiles'),
+                width: toCount(rule.width, 'minFeatureWidth.width', 2)
+            })),
+            transitions: transitionRules.map(rule => {
+                const insert = String(rule.insert || '').trim();
+                if (!insert) {
+                    throw new Error('后处理规则中的transitions.insert不能为空');
+                }
+                return {
+                    from: toList(rule.from, 'transitions.from'),
+                    to: toList(rule.to, 'transitions.to'),
+                    insert,
+                    width: toCount(rule.width, 'transitions.width', 1)
+                };
+            })
+        };
+    }
+
+    /**
+     * 按规则处理tile数据
+     * @param {{width: number, height: number, tiles: string[][], unmatchedMask?: Uint8Array}} tileData - tile数据（不会被修改）
+     * @param {Object} rules - 规范化的规则，见parseRules
+     * @param {Function} progressCallback - 进度回调函数 (current, total) => void
+     * @returns {Object} 新的tile数据（其他字段保持不变），被修改的tile的unmatchedMask标记被清除，postProcessStats记录各步骤修改的tile数量
+     */
+    static apply(tileData, rules, progressCallback = null) {
+        const { width, height } = tileData;
+        const grid = tileData.tiles.flat();
+        const totalSteps = rules.minRegionSize.length + rules.minFeatureWidth.length + rules.transitions.length;
+        let step = 0;
+        const report = () => {
+            step++;
+            if (progressCallback) progressCallback(step, totalSteps);
+        };
+
+        const stats = { removedRegions: 0, regionTiles: 0, widenedTiles: 0, transitionTiles: 0 };
+
+        for (const rule of rules.minRegionSize) {
+            for (let pass = 0; rule.size > 1 && pass < this.MAX_REGION_PASSES; pass++) {
+                const { regions, tiles } = this.removeSmallRegions(grid, width, height, rule);
+                stats.removedRegions += regions;
+                stats.regionTiles += tiles;
+                if (regions === 0) break;
+            }
+            report();
+        }
+
+        for (const rule of rules.minFeatureWidth) {
+            stats.widenedTiles += this.enforceMinWidth(grid, width, height, new Set(rule.tiles), rule.width);
+            report();
+        }
+
+        for (const rule of rules.transitions) {
+            stats.transitionTiles += this.insertTransitions(grid, width, height, rule);
+            report();
+        }
+
+        const tiles = [];
+        for (let y = 0; y < height; y++) {
+            tiles.push(grid.slice(y * width, (y + 1) * width));
+        }
+
+        // 被替换的tile不再是未匹配的像素，清除其标记（与图层替换相同）
+        let unmatchedMask = tileData.unmatchedMask;
+        if (unmatchedMask) {
+            unmatchedMask = unmatchedMask.slice();
+            for (let y = 0; y < height; y++) {
+                const row = tileData.tiles[y];
+                for (let x = 0; x < width; x++) {
+                    if (row[x] !== tiles[y][x]) unmatchedMask[y * width + x] = 0;
+                }
+            }
+        }
+        return { ...tileData, tiles, unmatchedMask, postProcessStats: stats };
+    }
+
+    /**
+     * 将小于size个tile的连通区域（四邻接、同一tile类型）替换为周围最多的tile类型
+     * 只参考不会被替换的相邻区域：周围都是待替换小区域的区域（如1×1的棋盘格）保持不变，避免在小区域之间来回交换
+     * 先找出所有小区域再统一替换，结果与遍历顺序无关
+     * @param {string[]} grid - 按行展开的tile类型（原地修改）
+     * @param {{size: number, tiles: string[], exclude: string[]}} rule - 规则，tiles为空时作用于所有tile类型
+     * @returns {{regions: number, tiles: number}} 替换的区域数和tile数
+     */
+    static removeSmallRegions(grid, width, height, rule) {
+        const total = width * height;
+        const onlyTiles = rule.tiles.length > 0 ? new Set(rule.tiles) : null;
+        const excluded = new Set(rule.exclude);
+        const component = new Int32Array(total).fill(-1);
+        const queue = new Int32Array(total);
+        const components = [];  // {start, end, removable}，queue中start到end为该区域的tile
+
+        let tail = 0;
+        for (let start = 0; start < total; start++) {
+            if (component[start] >= 0) continue;
+
+            const id = components.length;
+            const tileType = grid[start];
+            const first = tail;
+            let head = tail;
+            queue[tail++] = start;
+            component[start] = id;
+
+            while (head < tail) {
+                const index = queue[head++];
+                for (const neighbour of this.neighbours(index, width, total)) {
+                    if (neighbour >= 0 && component[neighbour] < 0 && grid[neighbour] === tileType) {
+                        component[neighbour] = id;
+                        queue[tail++] = neighbour;
+                    }
+                }
+            }
+
+            const eligible = (!onlyTiles || onlyTiles.has(tileType)) && !excluded.has(tileType);
+            components.push({ start: first, end: tail, removable: eligible && tail - first < rule.size });
+        }
+
+        const replacements = [];
+        for (const { start, end, removable } of components) {
+            if (!removable) continue;
+
+            const neighbourCounts = new Map();
+            for (let i = start; i < end; i++) {
+                for (const neighbour of this.neighbours(queue[i], width, total)) {
+                    if (neighbour < 0 || components[component[neighbour]].removable) continue;
+                    neighbourCounts.set(grid[neighbour], (neighbourCounts.get(grid[neighbour]) || 0) + 1);
+                }
+            }
+
+            let best = null;
+            let bestCount = 0;
+            for (const [neighbourType, count] of neighbourCounts) {
+                if (count > bestCount) {
+                    best = neighbourType;
+                    bestCount = count;
+                }
+            }
+            if (best !== null) {
+                replacements.push({ indices: queue.subarray(start, end), tileType: best });
+            }
+        }
+
+        let tiles = 0;
+        for (const { indices, tileType } of replacements) {
+            for (const index of indices) {
+                grid[index] = tileType;
+            }
+            tiles += indices.length;
+        }
+        return { regions: replacements.length, tiles };
+    }
+
+    /**
+     * 四邻接的相邻tile索引，超出地图时为-1
+     */
+    static neighbours(index, width, total) {
+        const x = index % width;
+        return [
+            x > 0 ? index - 1 : -1,
+            x < width - 1 ? index + 1 : -1,
+            index >= width ? index - width : -1,
+            index < total - width ? index + width : -1
+        ];
+    }
+
+    /**
+     * 加宽过窄的地形：水平或垂直方向的连续长度小于minWidth的tile（如一格宽的河流），
+     * 以其为中心扩展为minWidth×minWidth的方块
+     * @param {string[]} grid - 按行展开的tile类型（原地修改）
+     * @param {Set<string>} featureTiles - 需要保证宽度的tile类型
+     * @returns {number} 修改的tile数量
+     */
+    static enforceMinWidth(grid, width, height, featureTiles, minWidth) {
+        if (minWidth < 2) return 0;
+
+        const total = width * height;
+        const horizontal = new Int32Array(total);
+        const vertical = new Int32Array(total);
+
+        // 每个tile所在的水平/垂直连续同类地形的长度
+        for (let y = 0; y < height; y++) {
+            let runStart = 0;
+            for (let x = 1; x <= width; x++) {
+                if (x === width || grid[y * width + x] !== grid[y * width + runStart]) {
+                    horizontal.fill(x - runStart, y * width + runStart, y * width + x);
+                    runStart = x;
+                }
+            }
+        }
+        for (let x = 0; x < width; x++) {
+            let runStart = 0;
+            for (let y = 1; y <= height; y++) {
+                if (y === height || grid[y * width + x] !== grid[runStart * width + x]) {
+                    for (let i = runStart; i < y; i++) {
+                        vertical[i * width + x] = y - runStart;
+                    }
+                    runStart = y;
+                }
+            }
+        }
+
+        const offset = Math.floor((minWidth - 1) / 2);
+        const source = grid.slice();
+        let changed = 0;
+        for (let index = 0; index < total; index++) {
+            const tileType = source[index];
+            if (!featureTiles.has(tileType)) continue;
+            if (horizontal[index] >= minWidth && vertical[index] >= minWidth) continue;
+
+            const x = index % width;
+            const y = (index - x) / width;
+            for (let dy = 0; dy < minWidth; dy++) {
+                const ny = y - offset + dy;
+                if (ny < 0 || ny >= height) continue;
+                for (let dx = 0; dx < minWidth; dx++) {
+                    const nx = x - offset + dx;
+                    if (nx < 0 || nx >= width) continue;
+
+                    const target = ny * width + nx;
+                    if (!featureTiles.has(grid[target])) {
+                        grid[target] = tileType;
+                        changed++;
+                    }
+                }
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * 在from类型与to类型相邻的位置插入过渡tile：距离to类型width格以内（四邻接）的from类型tile替换为insert
+     * @param {string[]} grid - 按行展开的tile类型（原地修改）
+     * @param {{from: string[], to: string[], insert: string, width: number}} rule - 过渡规则
+     * @returns {number} 修改的tile数量
+     */
+    static insertTransitions(grid, width, height, rule) {
+        if (rule.width < 1) return 0;
+
+        const total = width * height;
+        const fromTiles = new Set(rule.from);
+        const toTiles = new Set(rule.to);
+        const distance = new Int32Array(total).fill(-1);
+        const queue = new Int32Array(total);
+        let head = 0;
+        let tail = 0;
+
+        for (let index = 0; index < total; index++) {
+            if (toTiles.has(grid[index])) {
+                distance[index] = 0;
+                queue[tail++] = index;
+            }
+        }
+
+        // 从to类型出发逐格扩展，只经过from类型的tile
+        let changed = 0;
+        while (head < tail) {
+            const index = queue[head++];
+            if (distance[index] >= rule.width) continue;
+
+            for (const neighbour of this.neighbours(index, width, total)) {
+                if (neighbour < 0 || distance[neighbour] >= 0 || !fromTiles.has(grid[neighbour])) continue;
+                distance[neighbour] = distance[index] + 1;
+                queue[tail++] = neighbour;
+            }
+        }
+
+        for (let index = 0; index < total; index++) {
+            if (distance[index] > 0) {
+                grid[index] = rule.insert;
+                changed++;
+            }
+        }
+        return changed;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PostProcessor;
+}
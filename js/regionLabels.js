@@ -0,0 +1,201 @@
+/**
+ * 地区名称模块
+ * 为地图上的地区（大陆、岛屿、海域）命名：可按陆地连通区域自动识别，或在预览上点击标注
+ * 名称写入存档中的文字字段（所在陆地上未命名的城市、地图说明），并用于导出图例图片
+ * 不依赖DOM，可在Web Worker中运行
+ */
+
+class RegionLabels {
+    /**
+     * 自动识别时忽略的小岛面积（tile数量）
+     */
+    static DEFAULT_MIN_SIZE = 256;
+
+    /**
+     * 名称的最大长度
+     */
+    static MAX_NAME_LENGTH = 40;
+
+    /**
+     * 按陆地连通区域自动识别地区，每块面积不小于minSize的陆地一个名称，按面积从大到小编号
+     * @param {string[][]} tiles - tile类型二维数组[y][x]，tiles[0]为地图底部
+     * @param {number} minSize - 最小面积（tile数量）
+     * @returns {Array<{name: string, x: number, y: number}>} 地区名称，位置为陆地中最接近其重心的tile
+     */
+    static detect(tiles, minSize = this.DEFAULT_MIN_SIZE) {
+        return TileAnalysis.findLandmasses(tiles).landmasses
+            .filter(landmass => landmass.size >= minSize)
+            .map((landmass, index) => ({ name: `陆地 ${index + 1}`, x: landmass.centerX, y: landmass.centerY }));
+    }
+
+    /**
+     * 解析JSON：{regions: [{name, x, y}]} 或直接为数组
+     * @param {string} text - JSON文本
+     * @returns {Array<{name: string, x: number, y: number}>} 地区名称
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`JSON格式无效: ${error.message}`);
+        }
+
+        const list = Array.isArray(data) ? data : data && data.regions;
+        if (!Array.isArray(list)) {
+            throw new Error('JSON中缺少regions数组');
+        }
+        return list.map((item, index) => this.normalizeLabel(item, `第${index + 1}项`));
+    }
+
+    /**
+     * 导出为JSON（可由parse重新读取）
+     * @param {Array<Object>} labels - 地区名称
+     * @returns {string} JSON文本
+     */
+    static toJson(labels) {
+        return JSON.stringify({ regions: labels }, null, 2);
+    }
+
+    /**
+     * 检查并规范化一个地区名称
+     * @param {Object} item - 原始数据
+     * @param {string} label - 出错时用于定位的说明，如"第3项"
+     * @returns {{name: string, x: number, y: number}} x/y为tile坐标（左下角为原点）
+     */
+    static normalizeLabel(item, label) {
+        if (!item || typeof item !== 'object') {
+            throw new Error(`${label}：不是有效的地区名称`);
+        }
+
+        const name = String(item.name || '').trim();
+        if (!name) {
+            throw new Error(`${label}：缺少名称`);
+        }
+        if (name.length > this.MAX_NAME_LENGTH) {
+            throw new Error(`${label}：名称不能超过 ${this.MAX_NAME_LENGTH} 个字符: ${name}`);
+        }
+
+        const x = Number(item.x);
+        const y = Number(item.y);
+        if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0) {
+            throw new Error(`${label}：坐标必须是非负整数: (${item.x}, ${item.y})`);
+        }
+        return { name, x, y };
+    }
+
+    /**
+     * 确定各名称所在的地区
+     * @param {Array<{name: string, x: number, y: number}>} labels - 地区名称
+     * @param {string[][]} tiles - tile类型二维数组
+     * @param {Object} landmassData - 陆地连通区域（见TileAnalysis.findLandmasses），已计算时传入以避免重复计算
+     * @returns {Array<{number: number, name: string, x: number, y: number, landmass: number, size: number}>}
+     *          number为图例中的编号（从1开始）；landmass为所在陆地的id（见TileAnalysis.findLandmasses），
+     *          位于水域或超出地图时为-1；size为所在陆地的面积
+     */
+    static resolve(labels, tiles, landmassData = TileAnalysis.findLandmasses(tiles)) {
+        const { width, height, labels: landmassIds, landmasses } = landmassData;
+        return labels.map((label, index) => {
+            const inside = label.x < width && label.y < height;
+            const landmass = inside ? landmassIds[label.y * width + label.x] : -1;
+            return {
+                number: index + 1,
+                name: label.name,
+                x: label.x,
+                y: label.y,
+                landmass,
+                size: landmass >= 0 ? landmasses[landmass].size : 0
+            };
+        });
+    }
+
+    /**
+     * 检查地区名称能否放在地图上
+     * @param {Array<Object>} labels - 地区名称
+     * @param {string[][]} tiles - tile类型二维数组
+     * @param {Object} landmassData - 陆地连通区域（见TileAnalysis.findLandmasses），已计算时传入以避免重复计算
+     * @returns {Array<{level: string, message: string, index: number}>} 问题列表，index为名称的序号
+     */
+    static validate(labels, tiles, landmassData = TileAnalysis.findLandmasses(tiles)) {
+        const height = tiles.length;
+        const width = height > 0 ? tiles[0].length : 0;
+        const issues = [];
+        const owners = new Map();
+
+        this.resolve(labels, tiles, landmassData).forEach((region, index) => {
+            if (region.x >= width || region.y >= height) {
+                issues.push({ level: 'error', index, message: `"${region.name}"超出地图范围（${width}×${height}）` });
+                return;
+            }
+            if (region.landmass < 0) return;
+
+            if (owners.has(region.landmass)) {
+                issues.push({
+                    level: 'warning',
+                    index,
+                    message: `"${region.name}"与"${labels[owners.get(region.landmass)].name}"位于同一块陆地，城市按前一个名称命名`
+                });
+            } else {
+                owners.set(region.landmass, index);
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * 用地区名称为所在陆地上未命名的城市命名：第一个城市使用地区名称，其余的依次加上序号
+     * 每块陆地使用位于其上的第一个名称；位于水域的名称（如海域）不用于城市
+     * @param {Array<Object>} markers - 城市标记，见Civilizations.normalizeMarker
+     * @param {Array<{name: string, x: number, y: number}>} labels - 地区名称
+     * @param {string[][]} tiles - tile类型二维数组
+     * @param {Object} landmassData - 陆地连通区域（见TileAnalysis.findLandmasses），可选，已计算时传入以避免重复计算
+     * @returns {Array<Object>} 城市标记（不修改原数组）
+     */
+    static nameSettlements(markers, labels, tiles, landmassData = null) {
+        if (!markers || markers.length === 0 || !labels || labels.length === 0) {
+            return markers || [];
+        }
+
+        // 未传入时在这里才查找陆地，没有城市或地区名称时不需要查找
+        landmassData = landmassData || TileAnalysis.findLandmasses(tiles);
+        const { width, height, labels: landmassIds } = landmassData;
+        const names = new Map();
+        for (const region of this.resolve(labels, tiles, landmassData)) {
+            if (region.landmass >= 0 && !names.has(region.landmass)) {
+                names.set(region.landmass, region.name);
+            }
+        }
+
+        const counts = new Map();
+        return markers.map(marker => {
+            if (marker.city || marker.x >= width || marker.y >= height) {
+                return marker;
+            }
+            const landmass = landmassIds[marker.y * width + marker.x];
+            if (!names.has(landmass)) {
+                return marker;
+            }
+
+            const count = (counts.get(landmass) || 0) + 1;
+            counts.set(landmass, count);
+            const name = names.get(landmass);
+            return { ...marker, city: count === 1 ? name : `${name} ${count}` };
+        });
+    }
+
+    /**
+     * 生成写入存档地图说明（mapStats.description）的文字
+     * @param {Array<{name: string, x: number, y: number}>} labels - 地区名称
+     * @returns {string} 如 "地区：北境 (120, 80)；银月岛 (40, 31)"，没有名称时为空字符串
+     */
+    static describe(labels) {
+        if (!labels || labels.length === 0) {
+            return '';
+        }
+        return `地区：${labels.map(({ name, x, y }) => `${name} (${x}, ${y})`).join('；')}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RegionLabels;
+}
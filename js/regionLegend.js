@@ -0,0 +1,148 @@
+/**
+ * 地区图例模块
+ * 将地图和地区名称绘制为图例图片：地图上以编号标出各地区的位置并写上名称，右侧列出编号、名称、位置和陆地面积
+ */
+
+class RegionLegend {
+    /**
+     * 图片中地图的最小边长（像素），较小的地图按整数倍放大，使名称清晰可读
+     */
+    static MIN_MAP_SIZE = 512;
+
+    /**
+     * 图例栏的最小宽度（像素），名称较长时按文字宽度加宽
+     */
+    static LEGEND_WIDTH = 240;
+
+    static FONT_SIZE = 14;
+    static LINE_HEIGHT = 22;
+    static PADDING = 12;
+
+    /**
+     * 绘制图例图片
+     * @param {string[][]} tiles - tile类型二维数组[y][x]，tiles[0]为地图底部
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
+     * @param {Array<{name: string, x: number, y: number}>} labels - 地区名称
+     * @returns {HTMLCanvasElement} 图例图片
+     */
+    static render(tiles, colorMap, labels) {
+        const height = tiles.length;
+        const width = height > 0 ? tiles[0].length : 0;
+        const scale = Math.max(1, Math.floor(this.MIN_MAP_SIZE / Math.max(width, height)));
+        const mapWidth = width * scale;
+        const mapHeight = height * scale;
+        const regions = RegionLabels.resolve(labels, tiles);
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        ctx.font = `${this.FONT_SIZE}px sans-serif`;
+        const textWidth = Math.max(0, ...regions.map(region => ctx.measureText(this.legendText(region)).width));
+        const legendWidth = Math.max(this.LEGEND_WIDTH, Math.ceil(textWidth + this.FONT_SIZE * 1.5) + this.PADDING * 2);
+        const legendHeight = this.PADDING * 2 + (regions.length + 1) * this.LINE_HEIGHT;
+
+        // 修改尺寸会重置绘图状态，之后重新设置字体
+        canvas.width = mapWidth + legendWidth;
+        canvas.height = Math.max(mapHeight, legendHeight);
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(ImageProcessor.renderTilesToCanvas(tiles, colorMap), 0, 0, mapWidth, mapHeight);
+
+        ctx.font = `bold ${this.FONT_SIZE}px sans-serif`;
+        ctx.textBaseline = 'middle';
+        for (const region of regions) {
+            // 标在tile的中心，canvas的y轴向下
+            const x = (region.x + 0.5) * scale;
+            const y = (height - region.y - 0.5) * scale;
+            this.drawBadge(ctx, x, y, region.number);
+            this.drawOutlinedText(ctx, region.name, x + this.FONT_SIZE, y);
+        }
+
+        this.drawLegend(ctx, mapWidth, regions);
+        return canvas;
+    }
+
+    /**
+     * 绘制图例栏
+     * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+     * @param {number} left - 图例栏的左边界
+     * @param {Array<Object>} regions - 地区，见RegionLabels.resolve
+     */
+    static drawLegend(ctx, left, regions) {
+        const x = left + this.PADDING;
+        let y = this.PADDING + this.LINE_HEIGHT / 2;
+
+        ctx.fillStyle = '#333';
+        ctx.font = `bold ${this.FONT_SIZE}px sans-serif`;
+        ctx.fillText('地区', x, y);
+
+        ctx.font = `${this.FONT_SIZE}px sans-serif`;
+        for (const region of regions) {
+            y += this.LINE_HEIGHT;
+            this.drawBadge(ctx, x + this.FONT_SIZE / 2, y, region.number);
+            ctx.fillStyle = '#333';
+            ctx.fillText(this.legendText(region), x + this.FONT_SIZE * 1.5, y);
+        }
+    }
+
+    /**
+     * 图例栏中一个地区的说明：名称、位置和所在陆地的面积
+     */
+    static legendText(region) {
+        const area = region.landmass >= 0 ? `陆地 ${region.size} tiles` : '水域';
+        return `${region.name}  (${region.x}, ${region.y})  ${area}`;
+    }
+
+    /**
+     * 绘制带编号的圆形标记
+     */
+    static drawBadge(ctx, x, y, number) {
+        const radius = this.FONT_SIZE * 0.7;
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = '#c62828';
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#fff';
+        ctx.stroke();
+
+        ctx.fillStyle = '#fff';
+        ctx.font = `bold ${Math.round(this.FONT_SIZE * 0.8)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.fillText(String(number), x, y);
+        ctx.restore();
+    }
+
+    /**
+     * 绘制带黑色描边的白色文字，在任何地形颜色上都清晰可见
+     */
+    static drawOutlinedText(ctx, text, x, y) {
+        ctx.save();
+        ctx.lineWidth = 3;
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = '#000';
+        ctx.strokeText(text, x, y);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(text, x, y);
+        ctx.restore();
+    }
+
+    /**
+     * 绘制图例图片并编码为PNG
+     * @returns {Promise<Blob>} PNG图片，参数见render
+     */
+    static renderToPng(tiles, colorMap, labels) {
+        const canvas = this.render(tiles, colorMap, labels);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('无法生成PNG图片'));
+                }
+            }, 'image/png');
+        });
+    }
+}
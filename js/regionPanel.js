@@ -0,0 +1,155 @@
+/**
+ * 地区名称面板模块
+ * 负责自动识别陆地、在预览上标注地区，并列出、重命名、删除地区名称和显示其问题（见RegionLabels.validate）
+ */
+
+class RegionPanel {
+    /**
+     * @param {Object} elements - 面板中的元素
+     * @param {HTMLInputElement} elements.place - "标注地区"复选框
+     * @param {HTMLInputElement} elements.name - 新地区名称输入框
+     * @param {HTMLInputElement} elements.minSize - 自动识别的最小陆地面积输入框
+     * @param {HTMLElement} elements.list - 地区列表容器
+     * @param {Function} onChange - 地区名称变化后的回调 (labels) => void
+     */
+    constructor(elements, onChange) {
+        this.elements = elements;
+        this.onChange = onChange;
+        this.labels = [];
+        this.tiles = null;
+
+        elements.minSize.value = RegionLabels.DEFAULT_MIN_SIZE;
+        elements.name.maxLength = RegionLabels.MAX_NAME_LENGTH;
+    }
+
+    /**
+     * 是否处于标注地区的状态
+     * @returns {boolean}
+     */
+    isPlacing() {
+        return this.elements.place.checked;
+    }
+
+    /**
+     * 按输入框中的名称在指定位置添加地区名称，名称为空时按序号命名
+     * @param {number} x - tile x坐标（左下角为原点）
+     * @param {number} y - tile y坐标
+     */
+    addLabel(x, y) {
+        const name = this.elements.name.value.trim() || `地区 ${this.labels.length + 1}`;
+        const label = RegionLabels.normalizeLabel({ name, x, y }, '地区名称');
+        this.elements.name.value = '';
+        this.setLabels([...this.labels, label]);
+    }
+
+    /**
+     * 按陆地连通区域自动识别地区（替换现有的名称）
+     * @returns {number} 识别出的地区数量
+     */
+    detect() {
+        if (!this.tiles) {
+            throw new Error('请先预览地图');
+        }
+        const minSize = parseInt(this.elements.minSize.value, 10);
+        const labels = RegionLabels.detect(this.tiles, minSize > 0 ? minSize : 1);
+        this.setLabels(labels);
+        return labels.length;
+    }
+
+    /**
+     * 替换全部地区名称（如从文件导入）
+     * @param {Array<{name: string, x: number, y: number}>} labels - 地区名称
+     */
+    setLabels(labels) {
+        this.labels = labels;
+        this.render();
+        this.onChange(this.labels);
+    }
+
+    /**
+     * 设置当前地图，用于自动识别和检查名称的位置
+     * @param {string[][]|null} tiles - tile类型二维数组
+     */
+    setTiles(tiles) {
+        this.tiles = tiles;
+        this.render();
+    }
+
+    /**
+     * 渲染地区列表，名称可直接修改
+     */
+    render() {
+        const list = this.elements.list;
+        list.innerHTML = '';
+        if (this.labels.length === 0) {
+            list.style.display = 'none';
+            return;
+        }
+
+        const issues = new Map();
+        let regions = null;
+        if (this.tiles) {
+            const landmassData = TileAnalysis.findLandmasses(this.tiles);
+            regions = RegionLabels.resolve(this.labels, this.tiles, landmassData);
+            for (const issue of RegionLabels.validate(this.labels, this.tiles, landmassData)) {
+                issues.set(issue.index, issue);
+            }
+        }
+
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        table.innerHTML = '<thead><tr><th>#</th><th>名称</th><th>位置</th><th>所在地区</th><th></th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        this.labels.forEach((label, index) => {
+            const row = document.createElement('tr');
+            const issue = issues.get(index);
+            if (issue) {
+                row.className = issue.level === 'error' ? 'unknown-tile-row' : 'duplicate-row';
+                row.title = issue.message;
+            }
+
+            const numberCell = document.createElement('td');
+            numberCell.textContent = index + 1;
+
+            const nameCell = document.createElement('td');
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'stats-input';
+            nameInput.value = label.name;
+            nameInput.maxLength = RegionLabels.MAX_NAME_LENGTH;
+            nameInput.addEventListener('change', () => {
+                const name = nameInput.value.trim();
+                if (!name) {
+                    nameInput.value = label.name;
+                    return;
+                }
+                this.setLabels(this.labels.map(item => item === label ? { ...item, name } : item));
+            });
+            nameCell.appendChild(nameInput);
+
+            const positionCell = document.createElement('td');
+            positionCell.textContent = `(${label.x}, ${label.y})${issue ? ' ⚠' : ''}`;
+
+            const regionCell = document.createElement('td');
+            if (regions) {
+                const region = regions[index];
+                regionCell.textContent = region.landmass >= 0 ? `陆地（${region.size} tiles）` : '水域';
+            }
+
+            const actionCell = document.createElement('td');
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn-small';
+            removeButton.textContent = '删除';
+            removeButton.addEventListener('click', () => {
+                this.setLabels(this.labels.filter(item => item !== label));
+            });
+            actionCell.appendChild(removeButton);
+
+            row.append(numberCell, nameCell, positionCell, regionCell, actionCell);
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        list.appendChild(table);
+        list.style.display = 'block';
+    }
+}
@@ -4,15 +4,34 @@
  */
 
 class SaveGenerator {
+    /**
+     * 相机初始位置的确定方式
+     */
+    static CAMERA_MODES = {
+        origin: '左下角（游戏默认）',
+        center: '地图中心',
+        largestLandmass: '最大陆地的中心',
+        manual: '点击预览指定位置'
+    };
+
+    static DEFAULT_CAMERA_ZOOM = 1.0;
+
     /**
      * 生成游戏存档数据
      * @param {number} tileWidth - tile地图宽度（像素，必须是64的倍数）
      * @param {number} tileHeight - tile地图高度（像素，必须是64的倍数）
      * @param {string[][]} tiles - tile类型二维数组 [y][x]
-     * @param {Object} statsConfig - 用户配置的统计数据
+     * @param {Object} statsConfig - 用户配置的统计数据，worldLaws为世界法则取值（见WorldLaws.toSaveData，为空时不写入），
+     *        camera为相机设置（见resolveCamera），saveProfile为存档版本（见SaveSchemas.PROFILES），
+     *        settlements为城市标记（见Civilizations.build，为空时不生成王国和城市），
+     *        regions为地区名称（见RegionLabels，用于命名所在陆地上的城市，并写入mapStats.description）
+     * @param {Object} extras - 地图附加数据
+     * @param {number[]} extras.fire - 着火的tile索引（y * tileWidth + x）
+     * @param {number[]} extras.frozenTiles - 冰冻的tile索引（y * tileWidth + x）
+     * @param {Object} extras.landmassData - 陆地连通区域（见TileAnalysis.findLandmasses），已计算时传入以避免重复计算
      * @returns {Object} SavedMap JSON对象
      */
-    static generateSaveData(tileWidth, tileHeight, tiles, statsConfig = {}) {
+    static generateSaveData(tileWidth, tileHeight, tiles, statsConfig = {}, extras = {}) {
         // 验证尺寸是64的倍数
         if (tileWidth % 64 !== 0 || tileHeight % 64 !== 0) {
             throw new Error(`tile尺寸必须是64的倍数，当前尺寸：${tileWidth}×${tileHeight}`);
@@ -31,6 +50,13 @@ class SaveGenerator {
         }
         const tileMap = Array.from(tileMapSet);
 
+        // 相机位置和城市命名共用一次陆地查找
+        const landmassData = extras.landmassData || TileAnalysis.findLandmasses(tiles);
+        const camera = this.resolveCamera(statsConfig.camera, tileWidth, tileHeight, tiles, landmassData);
+        const regions = statsConfig.regions || [];
+        const settlements = RegionLabels.nameSettlements(statsConfig.settlements || [], regions, tiles, landmassData);
+        const civilizations = Civilizations.build(settlements, tiles);
+
         // 创建tile类型到索引的映射
         const tileTypeToIndex = new Map();
         tileMap.forEach((tileType, index) => {
@@ -42,56 +68,86 @@ class SaveGenerator {
             tileWidth, tileHeight, tiles, tileTypeToIndex
         );
 
-        // 创建SavedMap对象
+        const mapStats = {
+            population: statsConfig.population || 0,
+            deaths: statsConfig.deaths || 0,
+            player_name: statsConfig.playerName || 'The Creator',
+            world_time: (statsConfig.worldTime || 0) * 5 * 60 // 转换为秒（月*5*60=秒，假设每月约5天）
+        };
+        // 地区名称写入地图说明，没有地区名称时不写入
+        if (regions.length > 0) {
+            mapStats.description = RegionLabels.describe(regions);
+        }
+
+        // 按所选存档版本创建SavedMap对象，版本中其余的字段使用默认值
         // width和height是zone的数量（tile尺寸/64）
-        const savedMap = {
-            saveVersion: 17, // 使用合理的版本号
+        const savedMap = SaveSchemas.build(statsConfig.saveProfile || SaveSchemas.DEFAULT_PROFILE, {
             width: zoneWidth,  // zone数量 = tile宽度 / 64
             height: zoneHeight, // zone数量 = tile高度 / 64
-            hotkey_tabs_data: null,
-            camera_pos_x: 0,
-            camera_pos_y: 0,
-            camera_zoom: 1.0,
-            mapStats: {
-                population: statsConfig.population || 0,
-                deaths: statsConfig.deaths || 0,
-                player_name: statsConfig.playerName || 'The Creator',
-                world_time: (statsConfig.worldTime || 0) * 5 * 60 // 转换为秒（月*5*60=秒，假设每月约5天）
-            },
-            worldLaws: {},
-            tileString: null,
+            camera_pos_x: camera.x,
+            camera_pos_y: camera.y,
+            camera_zoom: camera.zoom,
+            mapStats: mapStats,
+            worldLaws: WorldLaws.toSaveData(statsConfig.worldLaws || null),
             tileMap: tileMap,
             tileArray: tileArray,
             tileAmounts: tileAmounts,
-            fire: [],
-            conwayEater: [],
-            conwayCreator: [],
-            frozen_tiles: [],
-            tiles: [],
-            cities: [],
-            actors_data: [],
-            buildings: [],
-            kingdoms: [],
-            clans: [],
-            alliances: [],
-            wars: [],
-            plots: [],
-            relations: [],
-            cultures: [],
-            books: [],
-            subspecies: [],
-            languages: [],
-            religions: [],
-            families: [],
-            armies: [],
-            items: [],
+            fire: extras.fire || [],
+            frozen_tiles: extras.frozenTiles || [],
+            kingdoms: civilizations.kingdoms,
+            cities: civilizations.cities,
+            actors_data: civilizations.actors,
             // 用户自定义的统计数据
             creaturesBorn: statsConfig.creaturesBorn || 0
-        };
+        });
 
         return savedMap;
     }
 
+    /**
+     * 计算相机的初始位置和缩放
+     * 位置为世界坐标（与tile坐标相同，左下角为原点），指定tile时取tile的中心
+     * @param {Object} camera - 相机设置，为空时使用左下角和默认缩放
+     * @param {string} camera.mode - 确定位置的方式，见CAMERA_MODES
+     * @param {number|null} camera.x - manual方式下的tile x坐标，未指定时使用地图中心
+     * @param {number|null} camera.y - manual方式下的tile y坐标（y轴向上）
+     * @param {number} camera.zoom - 缩放（camera_zoom），默认1.0
+     * @param {number} tileWidth - tile地图宽度
+     * @param {number} tileHeight - tile地图高度
+     * @param {string[][]} tiles - tile类型二维数组，largestLandmass方式使用
+     * @param {Object} landmassData - 可选，陆地连通区域（见TileAnalysis.findLandmasses），已计算时传入以避免重复计算
+     * @returns {{x: number, y: number, zoom: number}} 相机位置和缩放
+     */
+    static resolveCamera(camera, tileWidth, tileHeight, tiles, landmassData) {
+        const mode = camera && camera.mode || 'origin';
+        if (!this.CAMERA_MODES[mode]) {
+            throw new Error(`未知的相机位置方式: ${mode}`);
+        }
+
+        const zoom = camera && camera.zoom > 0 ? camera.zoom : this.DEFAULT_CAMERA_ZOOM;
+        const clamp = (value, size) => Math.min(Math.max(Math.floor(value), 0), size - 1) + 0.5;
+
+        switch (mode) {
+            case 'center':
+                return { x: tileWidth / 2, y: tileHeight / 2, zoom };
+            case 'largestLandmass': {
+                // 没有陆地时退回到地图中心
+                const landmass = TileAnalysis.largestLandmass(tiles, landmassData);
+                return landmass
+                    ? { x: landmass.centerX + 0.5, y: landmass.centerY + 0.5, zoom }
+                    : { x: tileWidth / 2, y: tileHeight / 2, zoom };
+            }
+            case 'manual':
+                // 还没有指定位置时使用地图中心
+                if (!Number.isFinite(camera.x) || !Number.isFinite(camera.y)) {
+                    return { x: tileWidth / 2, y: tileHeight / 2, zoom };
+                }
+                return { x: clamp(camera.x, tileWidth), y: clamp(camera.y, tileHeight), zoom };
+            default:
+                return { x: 0, y: 0, zoom };
+        }
+    }
+
     /**
      * 使用RLE压缩生成tileArray和tileAmounts
      * 根据SavedMap.cs的create()方法实现
@@ -194,4 +250,113 @@ class SaveGenerator {
         const jsonString = this.toJSON(savedMap, false);
         return this.compressToWbox(jsonString);
     }
+
+    /**
+     * 将.wbox格式数据解压为JSON字符串（zlib解压）
+     * @param {Uint8Array|ArrayBuffer} data - .wbox文件的二进制数据
+     * @returns {string} JSON字符串
+     */
+    static decompressFromWbox(data) {
+        try {
+            const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            return pako.inflate(bytes, { to: 'string' });
+        } catch (error) {
+            throw new Error(`解压失败: ${error.message || error}`);
+        }
+    }
+
+    /**
+     * 解析.wbox文件为SavedMap对象
+     * @param {Uint8Array|ArrayBuffer} data - .wbox文件的二进制数据
+     * @returns {Object} SavedMap JSON对象
+     */
+    static parseWboxFile(data) {
+        const jsonString = this.decompressFromWbox(data);
+        let savedMap;
+        try {
+            savedMap = JSON.parse(jsonString);
+        } catch (error) {
+            throw new Error(`存档JSON格式无效: ${error.message}`);
+        }
+
+        if (!savedMap || typeof savedMap !== 'object') {
+            throw new Error('存档内容不是有效的SavedMap对象');
+        }
+        return savedMap;
+    }
+
+    /**
+     * 将SavedMap中RLE压缩的tileMap/tileArray/tileAmounts展开为tile类型二维数组
+     * 是generateRLECompressedTiles的逆过程
+     * @param {Object} savedMap - SavedMap对象
+     * @returns {{width: number, height: number, tiles: string[][]}}
+     *          width和height是tile尺寸（zone数量×64），tiles是tile类型二维数组[y][x]
+     */
+    static expandRLECompressedTiles(savedMap) {
+        const { tileMap, tileArray, tileAmounts } = savedMap;
+
+        if (!Array.isArray(tileMap) || !Array.isArray(tileArray) || !Array.isArray(tileAmounts)) {
+            throw new Error('存档中缺少tileMap/tileArray/tileAmounts数据（可能是不支持的旧版本存档）');
+        }
+
+        // width和height是zone的数量，tile尺寸 = zone数量 * 64
+        const tileWidth = savedMap.width * 64;
+        const tileHeight = savedMap.height * 64;
+
+        if (!tileWidth || !tileHeight) {
+            throw new Error(`存档尺寸无效：${savedMap.width}×${savedMap.height} zones`);
+        }
+        if (tileArray.length !== tileHeight || tileAmounts.length !== tileHeight) {
+            throw new Error(`存档行数(${tileArray.length})与高度(${tileHeight})不一致`);
+        }
+
+        const tiles = [];
+        for (let y = 0; y < tileHeight; y++) {
+            const rowTileArray = tileArray[y];
+            const rowTileAmounts = tileAmounts[y];
+            const row = [];
+
+            for (let i = 0; i < rowTileArray.length; i++) {
+                const tileType = tileMap[rowTileArray[i]];
+                if (tileType === undefined) {
+                    throw new Error(`第${y}行引用了不存在的tile索引: ${rowTileArray[i]}`);
+                }
+                for (let n = 0; n < rowTileAmounts[i]; n++) {
+                    row.push(tileType);
+                }
+            }
+
+            if (row.length !== tileWidth) {
+                throw new Error(`第${y}行的tile数量(${row.length})与宽度(${tileWidth})不一致`);
+            }
+            tiles.push(row);
+        }
+
+        return { width: tileWidth, height: tileHeight, tiles };
+    }
+
+    /**
+     * 读取.wbox文件并展开为tile类型二维数组，结果可直接传给generateSaveData
+     * @param {Uint8Array|ArrayBuffer} data - .wbox文件的二进制数据
+     * @returns {{width: number, height: number, tiles: string[][], fire: number[], frozenTiles: number[], savedMap: Object}}
+     */
+    static loadWboxFile(data) {
+        const savedMap = this.parseWboxFile(data);
+        const { width, height, tiles } = this.expandRLECompressedTiles(savedMap);
+
+        // 保留存档中的火焰和冰冻tile，重新生成时写回
+        const toIndexList = (list) => (Array.isArray(list) ? list.filter(Number.isInteger) : []);
+        return {
+            width,
+            height,
+            tiles,
+            fire: toIndexList(savedMap.fire),
+            frozenTiles: toIndexList(savedMap.frozen_tiles),
+            savedMap
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveGenerator;
 }
@@ -0,0 +1,207 @@
+/**
+ * 存档格式版本模块
+ * 按存档版本（saveVersion）描述SavedMap需要的字段、类型和默认值，生成存档时按所选版本填充字段，并可检查存档是否符合该版本
+ * 游戏更新存档格式后，在PROFILES中添加一项即可（界面下拉框会自动生成）
+ * 不依赖DOM，可在Web Worker中运行
+ */
+
+class SaveSchemas {
+    /**
+     * 生成一组默认为空数组的字段
+     * @param {string[]} names - 字段名
+     * @returns {Array<{name: string, type: string, defaultValue: Array}>} 字段定义
+     */
+    static listFields(names) {
+        return names.map(name => ({ name, type: 'array', defaultValue: [] }));
+    }
+
+    /**
+     * 各版本共有的字段（地图尺寸、相机、统计、地形数据）
+     * 字段类型：number、string、boolean、array、object，any表示不检查类型（如可能为null的字段）
+     * 没有defaultValue的字段必须由生成器提供
+     */
+    static BASE_FIELDS = [
+        { name: 'saveVersion', type: 'number' },
+        { name: 'width', type: 'number' },
+        { name: 'height', type: 'number' },
+        { name: 'hotkey_tabs_data', type: 'any', defaultValue: null },
+        { name: 'camera_pos_x', type: 'number', defaultValue: 0 },
+        { name: 'camera_pos_y', type: 'number', defaultValue: 0 },
+        { name: 'camera_zoom', type: 'number', defaultValue: 1.0 },
+        { name: 'mapStats', type: 'object' },
+        { name: 'worldLaws', type: 'object', defaultValue: {} },
+        { name: 'tileString', type: 'any', defaultValue: null },
+        { name: 'tileMap', type: 'array' },
+        { name: 'tileArray', type: 'array' },
+        { name: 'tileAmounts', type: 'array' },
+        ...SaveSchemas.listFields(['fire', 'conwayEater', 'conwayCreator', 'frozen_tiles', 'tiles'])
+    ];
+
+    /**
+     * 存档版本，按从新到旧排列，第一项为默认版本
+     * v17为生成器原有的存档格式（见test/fixtures中的golden存档）；没有真实存档可对照的版本不收录
+     */
+    static PROFILES = [
+        {
+            id: 'v17',
+            label: 'saveVersion 17（当前版本）',
+            saveVersion: 17,
+            fields: [
+                ...SaveSchemas.BASE_FIELDS,
+                ...SaveSchemas.listFields([
+                    'cities', 'actors_data', 'buildings', 'kingdoms', 'clans', 'alliances', 'wars', 'plots',
+                    'relations', 'cultures', 'books', 'subspecies', 'languages', 'religions', 'families',
+                    'armies', 'items'
+                ]),
+                { name: 'creaturesBorn', type: 'number', defaultValue: 0 }
+            ]
+        }
+    ];
+
+    static DEFAULT_PROFILE = SaveSchemas.PROFILES[0].id;
+
+    /**
+     * 按id查找存档版本
+     * @param {string} id - 版本id
+     * @returns {Object} 存档版本
+     */
+    static get(id) {
+        const profile = this.PROFILES.find(item => item.id === id);
+        if (!profile) {
+            throw new Error(`未知的存档版本: ${id}`);
+        }
+        return profile;
+    }
+
+    /**
+     * 按存档中的saveVersion查找对应的版本
+     * @param {number} saveVersion - 存档中的saveVersion
+     * @returns {Object|null} 存档版本，没有对应的版本时返回null
+     */
+    static findBySaveVersion(saveVersion) {
+        return this.PROFILES.find(profile => profile.saveVersion === saveVersion) || null;
+    }
+
+    /**
+     * 按版本构建SavedMap：字段按版本中的顺序排列，未提供的字段使用默认值，版本中没有的字段被丢弃
+     * @param {string} profileId - 版本id
+     * @param {Object} values - 生成器提供的字段值
+     * @returns {Object} SavedMap对象
+     */
+    static build(profileId, values) {
+        const profile = this.get(profileId);
+        const savedMap = {};
+        for (const field of profile.fields) {
+            if (field.name === 'saveVersion') {
+                savedMap.saveVersion = profile.saveVersion;
+            } else if (values[field.name] !== undefined) {
+                savedMap[field.name] = values[field.name];
+            } else if ('defaultValue' in field) {
+                // 复制默认值，避免多个存档共用同一个数组
+                savedMap[field.name] = field.defaultValue !== null && typeof field.defaultValue === 'object'
+                    ? JSON.parse(JSON.stringify(field.defaultValue))
+                    : field.defaultValue;
+            } else {
+                throw new Error(`生成存档时缺少字段 ${field.name}`);
+            }
+        }
+        return savedMap;
+    }
+
+    /**
+     * 检查SavedMap是否符合版本：字段是否齐全、类型是否正确，以及tile数据是否与地图尺寸一致
+     * @param {Object} savedMap - SavedMap对象
+     * @param {string} profileId - 版本id
+     * @returns {Array<{level: string, message: string}>} 问题列表，level为 'error'（游戏可能无法加载）或 'warning'
+     */
+    static validate(savedMap, profileId) {
+        const profile = this.get(profileId);
+        const issues = [];
+        const error = (message) => issues.push({ level: 'error', message });
+
+        if (!savedMap || typeof savedMap !== 'object' || Array.isArray(savedMap)) {
+            error('存档不是有效的SavedMap对象');
+            return issues;
+        }
+
+        const known = new Set();
+        for (const field of profile.fields) {
+            known.add(field.name);
+            if (!(field.name in savedMap)) {
+                error(`缺少字段 ${field.name}`);
+            } else if (!this.matchesType(savedMap[field.name], field.type)) {
+                error(`字段 ${field.name} 应为 ${field.type}`);
+            }
+        }
+        for (const name of Object.keys(savedMap)) {
+            if (!known.has(name)) {
+                issues.push({ level: 'warning', message: `字段 ${name} 不属于 saveVersion ${profile.saveVersion}，游戏会忽略` });
+            }
+        }
+
+        if (savedMap.saveVersion !== profile.saveVersion) {
+            error(`saveVersion 为 ${savedMap.saveVersion}，应为 ${profile.saveVersion}`);
+        }
+
+        this.validateTiles(savedMap, error);
+        return issues;
+    }
+
+    /**
+     * 检查RLE压缩的tile数据与地图尺寸是否一致，每类问题只报告第一处
+     * @param {Object} savedMap - SavedMap对象
+     * @param {Function} error - 记录错误的回调 (message) => void
+     */
+    static validateTiles(savedMap, error) {
+        const { width, height, tileMap, tileArray, tileAmounts } = savedMap;
+        if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+            error(`地图尺寸无效：${width}×${height} zones`);
+            return;
+        }
+        if (!Array.isArray(tileMap) || !Array.isArray(tileArray) || !Array.isArray(tileAmounts)) {
+            return;
+        }
+
+        const tileWidth = width * 64;
+        const tileHeight = height * 64;
+        if (tileArray.length !== tileHeight || tileAmounts.length !== tileHeight) {
+            error(`tileArray/tileAmounts的行数(${tileArray.length}/${tileAmounts.length})与高度(${tileHeight})不一致`);
+            return;
+        }
+
+        for (let y = 0; y < tileHeight; y++) {
+            const indices = tileArray[y];
+            const amounts = tileAmounts[y];
+            if (!Array.isArray(indices) || !Array.isArray(amounts) || indices.length !== amounts.length) {
+                error(`第${y}行的tileArray与tileAmounts长度不一致`);
+                return;
+            }
+            if (indices.some(index => !Number.isInteger(index) || index < 0 || index >= tileMap.length)) {
+                error(`第${y}行引用了不存在的tile索引`);
+                return;
+            }
+            const count = amounts.reduce((sum, amount) => sum + amount, 0);
+            if (count !== tileWidth) {
+                error(`第${y}行的tile数量(${count})与宽度(${tileWidth})不一致`);
+                return;
+            }
+        }
+    }
+
+    static matchesType(value, type) {
+        switch (type) {
+            case 'any':
+                return true;
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default:
+                return typeof value === type;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveSchemas;
+}
@@ -0,0 +1,168 @@
+/**
+ * 城市标记面板模块
+ * 负责在预览上放置城市标记，并列出、删除标记和显示标记的问题（见Civilizations.validate）
+ */
+
+class SettlementPanel {
+    /**
+     * @param {Object} elements - 面板中的元素
+     * @param {HTMLInputElement} elements.place - "放置城市"复选框
+     * @param {HTMLSelectElement} elements.race - 种族下拉框
+     * @param {HTMLInputElement} elements.kingdom - 王国名称输入框
+     * @param {HTMLInputElement} elements.city - 城市名称输入框
+     * @param {HTMLInputElement} elements.color - 王国颜色选择器
+     * @param {HTMLInputElement} elements.population - 初始人口输入框
+     * @param {HTMLElement} elements.list - 标记列表容器
+     * @param {Function} onChange - 标记变化后的回调 (markers) => void
+     */
+    constructor(elements, onChange) {
+        this.elements = elements;
+        this.onChange = onChange;
+        this.markers = [];
+        this.tiles = null;
+
+        for (const [race, label] of Object.entries(Civilizations.RACES)) {
+            const option = document.createElement('option');
+            option.value = race;
+            option.textContent = label;
+            elements.race.appendChild(option);
+        }
+        elements.race.value = Civilizations.DEFAULT_RACE;
+        elements.population.value = Civilizations.DEFAULT_POPULATION;
+        elements.population.max = Civilizations.MAX_POPULATION;
+        elements.color.value = `#${Civilizations.KINGDOM_COLORS[0]}`;
+
+        // 选择已有的王国名称时使用该王国的颜色和种族
+        elements.kingdom.addEventListener('change', () => {
+            const existing = this.markers.find(marker => marker.kingdom === elements.kingdom.value.trim());
+            if (existing) {
+                elements.color.value = `#${existing.color}`;
+                elements.race.value = existing.race;
+            }
+        });
+    }
+
+    /**
+     * 是否处于放置城市的状态
+     * @returns {boolean}
+     */
+    isPlacing() {
+        return this.elements.place.checked;
+    }
+
+    /**
+     * 按面板中的设置在指定位置添加城市标记
+     * @param {number} x - tile x坐标（左下角为原点）
+     * @param {number} y - tile y坐标
+     */
+    addMarker(x, y) {
+        const { race, kingdom, city, color, population } = this.elements;
+        const marker = Civilizations.normalizeMarker({
+            x,
+            y,
+            race: race.value,
+            kingdom: kingdom.value,
+            city: city.value,
+            color: color.value,
+            population: population.value
+        }, '城市标记');
+
+        // 同一王国使用相同的颜色
+        const existing = this.markers.find(item => item.kingdom === marker.kingdom);
+        if (existing) {
+            marker.color = existing.color;
+        }
+        city.value = '';
+        this.setMarkers([...this.markers, marker]);
+    }
+
+    /**
+     * 替换全部标记（如从文件导入）
+     * @param {Array<Object>} markers - 城市标记，见Civilizations.normalizeMarker
+     */
+    setMarkers(markers) {
+        this.markers = markers;
+        this.render();
+        this.onChange(this.markers);
+    }
+
+    /**
+     * 设置当前地图，用于检查标记的位置
+     * @param {string[][]|null} tiles - tile类型二维数组
+     */
+    setTiles(tiles) {
+        this.tiles = tiles;
+        this.render();
+    }
+
+    /**
+     * 渲染标记列表
+     */
+    render() {
+        const list = this.elements.list;
+        list.innerHTML = '';
+        if (this.markers.length === 0) {
+            list.style.display = 'none';
+            return;
+        }
+
+        // 按标记序号汇总问题
+        const issues = new Map();
+        if (this.tiles) {
+            for (const issue of Civilizations.validate(this.markers, this.tiles)) {
+                issues.set(issue.index, issue.message);
+            }
+        }
+
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        table.innerHTML = '<thead><tr><th>王国</th><th>城市</th><th>种族</th><th>位置</th><th>人口</th><th></th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        this.markers.forEach((marker, index) => {
+            const row = document.createElement('tr');
+            if (issues.has(index)) {
+                row.className = 'unknown-tile-row';
+                row.title = issues.get(index);
+            }
+
+            const kingdomCell = document.createElement('td');
+            const swatch = document.createElement('span');
+            swatch.className = 'color-swatch';
+            swatch.style.background = `#${marker.color}`;
+            kingdomCell.append(swatch, marker.kingdom);
+
+            const cells = [
+                marker.city || '（自动命名）',
+                Civilizations.RACES[marker.race],
+                `(${marker.x}, ${marker.y})${issues.has(index) ? ' ⚠' : ''}`,
+                marker.population
+            ].map(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                return cell;
+            });
+
+            const actionCell = document.createElement('td');
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn-small';
+            removeButton.textContent = '删除';
+            removeButton.addEventListener('click', () => {
+                this.setMarkers(this.markers.filter(item => item !== marker));
+            });
+            actionCell.appendChild(removeButton);
+
+            row.append(kingdomCell, ...cells, actionCell);
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        list.appendChild(table);
+
+        if (issues.size > 0) {
+            const warning = document.createElement('div');
+            warning.className = 'report-title';
+            warning.textContent = `⚠ ${issues.size} 个城市标记有问题（鼠标悬停查看），生成存档前请移动或删除`;
+            list.appendChild(warning);
+        }
+        list.style.display = 'block';
+    }
+}
@@ -0,0 +1,238 @@
+/**
+ * 地图统计报告模块
+ * 负责在页面上显示MapStatistics的统计结果：tile类型组成、陆地与水域、各陆地的组成和zone热力图
+ */
+
+class StatisticsReport {
+    /**
+     * 热力图中每个zone的边长（像素）
+     */
+    static CELL_SIZE = 32;
+
+    /**
+     * 陆地表格中最多列出的陆地数量，其余的合并为一行
+     */
+    static MAX_LANDMASS_ROWS = 10;
+
+    /**
+     * 每块陆地列出的主要tile类型数量
+     */
+    static LANDMASS_TILE_TYPES = 3;
+
+    /**
+     * @param {HTMLElement} container - 报告容器
+     */
+    constructor(container) {
+        this.container = container;
+        this.report = null;
+    }
+
+    /**
+     * 渲染统计报告
+     * @param {Object} report - 统计报告，见MapStatistics.analyze
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射，用于显示tile类型的颜色
+     */
+    render(report, colorMap) {
+        this.report = report;
+        this.container.innerHTML = '';
+        this.tileColorMap = ImageProcessor.buildTileColorMap(colorMap);
+
+        const summary = document.createElement('div');
+        summary.className = 'statistics-summary';
+        summary.textContent = `共 ${report.totalTiles} 个tile（${report.zoneWidth}×${report.zoneHeight} zones）；`
+            + `陆地 ${report.land}（${report.landPercent}%），水域 ${report.water}（${report.waterPercent}%）；`
+            + `${report.landmasses.length} 块独立的陆地`;
+        this.container.appendChild(summary);
+
+        this.container.appendChild(this.createTileTypeTable(report.tileTypes));
+        if (report.landmasses.length > 0) {
+            this.container.appendChild(this.createLandmassTable(report.landmasses));
+        }
+        this.container.appendChild(this.createHeatmap(report));
+
+        this.container.parentElement.style.display = 'block';
+    }
+
+    /**
+     * 创建tile类型组成表格
+     * @param {Array<{tileType: string, count: number, percent: number}>} tileTypes - 各tile类型的数量和占比
+     * @returns {HTMLTableElement} 表格
+     */
+    createTileTypeTable(tileTypes) {
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        table.innerHTML = '<thead><tr><th>tile类型</th><th>数量</th><th>占比</th></tr></thead>';
+
+        const tbody = document.createElement('tbody');
+        for (const { tileType, count, percent } of tileTypes) {
+            const row = document.createElement('tr');
+            const typeCell = document.createElement('td');
+            typeCell.appendChild(this.createSwatch(tileType));
+            typeCell.appendChild(document.createTextNode(tileType));
+            row.appendChild(typeCell);
+
+            const countCell = document.createElement('td');
+            countCell.textContent = count;
+            row.appendChild(countCell);
+
+            const percentCell = document.createElement('td');
+            const bar = document.createElement('span');
+            bar.className = 'statistics-bar';
+            bar.style.width = `${percent}px`;
+            percentCell.appendChild(bar);
+            percentCell.appendChild(document.createTextNode(`${percent}%`));
+            row.appendChild(percentCell);
+
+            tbody.appendChild(row);
+        }
+        table.appendChild(tbody);
+        return table;
+    }
+
+    /**
+     * 创建陆地表格（按面积从大到小，较小的陆地合并为一行）
+     * @param {Array<Object>} landmasses - 各陆地的统计，见MapStatistics.analyze
+     * @returns {HTMLTableElement} 表格
+     */
+    createLandmassTable(landmasses) {
+        const table = document.createElement('table');
+        table.className = 'report-table statistics-landmasses';
+        table.innerHTML = '<thead><tr><th>陆地</th><th>面积</th><th>占陆地</th><th>中心</th><th>主要tile类型</th></tr></thead>';
+
+        const tbody = document.createElement('tbody');
+        for (const landmass of landmasses.slice(0, StatisticsReport.MAX_LANDMASS_ROWS)) {
+            const row = document.createElement('tr');
+            const cells = [
+                `#${landmass.rank}`,
+                landmass.size,
+                `${landmass.percent}%`,
+                `(${landmass.centerX}, ${landmass.centerY})`
+            ];
+            for (const text of cells) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+
+            const tileCell = document.createElement('td');
+            for (const { tileType, percent } of landmass.tileTypes.slice(0, StatisticsReport.LANDMASS_TILE_TYPES)) {
+                tileCell.appendChild(this.createSwatch(tileType));
+                tileCell.appendChild(document.createTextNode(`${tileType} ${percent}% `));
+            }
+            row.appendChild(tileCell);
+            tbody.appendChild(row);
+        }
+
+        const rest = landmasses.slice(StatisticsReport.MAX_LANDMASS_ROWS);
+        if (rest.length > 0) {
+            const restSize = rest.reduce((sum, landmass) => sum + landmass.size, 0);
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 5;
+            cell.textContent = `另有 ${rest.length} 块较小的陆地，共 ${restSize} 个tile（详见导出的CSV/JSON）`;
+            row.appendChild(cell);
+            tbody.appendChild(row);
+        }
+
+        table.appendChild(tbody);
+        return table;
+    }
+
+    /**
+     * 创建zone热力图：每个zone以其主要tile类型的颜色显示，主要tile类型占比越低颜色越淡
+     * @param {Object} report - 统计报告
+     * @returns {HTMLElement} 热力图及图例
+     */
+    createHeatmap(report) {
+        const cellSize = StatisticsReport.CELL_SIZE;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'statistics-heatmap';
+
+        const title = document.createElement('div');
+        title.className = 'statistics-heatmap-title';
+        title.textContent = '各zone（64×64）的主要tile类型，数字为其占比，颜色越淡表示zone内越混杂';
+        wrapper.appendChild(title);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = report.zoneWidth * cellSize;
+        canvas.height = report.zoneHeight * cellSize;
+        const ctx = canvas.getContext('2d');
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const dominantTypes = new Set();
+        for (const zone of report.zones) {
+            dominantTypes.add(zone.dominantTile);
+            const rgb = ImageProcessor.hexToRgb(this.tileColor(zone.dominantTile));
+            // 按主要tile类型的占比与白色混合
+            const fade = (1 - zone.dominantPercent / 100) * 0.7;
+            const mix = (value) => Math.round(value + (255 - value) * fade);
+            const color = { r: mix(rgb.r), g: mix(rgb.g), b: mix(rgb.b) };
+
+            // zone(0, 0)在左下角
+            const left = zone.zoneX * cellSize;
+            const top = (report.zoneHeight - 1 - zone.zoneY) * cellSize;
+            ctx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
+            ctx.fillRect(left, top, cellSize, cellSize);
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+            ctx.strokeRect(left + 0.5, top + 0.5, cellSize - 1, cellSize - 1);
+
+            const luminance = 0.299 * color.r + 0.587 * color.g + 0.114 * color.b;
+            ctx.fillStyle = luminance > 140 ? '#000' : '#fff';
+            ctx.fillText(`${Math.round(zone.dominantPercent)}`, left + cellSize / 2, top + cellSize / 2);
+        }
+
+        // 鼠标悬停显示zone的详细信息
+        canvas.addEventListener('mousemove', (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const zoneX = Math.floor((e.clientX - rect.left) / rect.width * report.zoneWidth);
+            const zoneY = report.zoneHeight - 1 - Math.floor((e.clientY - rect.top) / rect.height * report.zoneHeight);
+            const zone = report.zones[zoneY * report.zoneWidth + zoneX];
+            canvas.title = zone
+                ? `zone (${zone.zoneX}, ${zone.zoneY})：陆地 ${zone.landPercent}%\n`
+                    + zone.tileTypes.slice(0, 5).map(({ tileType, percent }) => `${tileType} ${percent}%`).join('\n')
+                : '';
+        });
+        wrapper.appendChild(canvas);
+
+        const legend = document.createElement('div');
+        legend.className = 'statistics-legend';
+        for (const tileType of dominantTypes) {
+            const item = document.createElement('span');
+            item.appendChild(this.createSwatch(tileType));
+            item.appendChild(document.createTextNode(tileType));
+            legend.appendChild(item);
+        }
+        wrapper.appendChild(legend);
+
+        return wrapper;
+    }
+
+    /**
+     * 获取tile类型在映射表中的颜色，没有时使用洋红色(FF00FF)，与导出PNG一致
+     * @param {string} tileType - tile类型
+     * @returns {string} 颜色(16进制)
+     */
+    tileColor(tileType) {
+        return this.tileColorMap.get(tileType) || 'FF00FF';
+    }
+
+    /**
+     * 创建tile类型的颜色色块
+     * @param {string} tileType - tile类型
+     * @returns {HTMLSpanElement} 色块元素
+     */
+    createSwatch(tileType) {
+        const swatch = document.createElement('span');
+        swatch.className = 'color-swatch';
+        swatch.style.background = `#${this.tileColor(tileType)}`;
+        return swatch;
+    }
+
+    hide() {
+        this.report = null;
+        this.container.innerHTML = '';
+        this.container.parentElement.style.display = 'none';
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * 地图分析模块
+ * 提供水域/陆地判断和陆地连通区域（大陆、岛屿）的查找，供相机定位等功能使用
+ * 不依赖DOM，可在Web Worker中运行
+ */
+
+class TileAnalysis {
+    /**
+     * 水域的基础tile类型，其余tile均视为陆地
+     */
+    static WATER_TILES = new Set([
+        'deep_ocean', 'close_ocean', 'shallow_waters',
+        'pit_deep_ocean', 'pit_close_ocean', 'pit_shallow_waters'
+    ]);
+
+    /**
+     * 判断tile类型是否为水域（按基础tile判断，忽略top tile）
+     * @param {string} tileType - tile类型，如 deep_ocean 或 soil_low:grass_low
+     * @returns {boolean} 是否为水域
+     */
+    static isWater(tileType) {
+        return this.WATER_TILES.has(String(tileType).split(':')[0]);
+    }
+
+    /**
+     * 查找所有陆地连通区域（四邻接）
+     * @param {string[][]} tiles - tile类型二维数组[y][x]，tiles[0]为地图底部
+     * @returns {{width: number, height: number, labels: Int32Array, landmasses: Array<{id: number, size: number, centerX: number, centerY: number, minX: number, minY: number, maxX: number, maxY: number}>}}
+     *          labels按[y * width + x]记录所属陆地的id（水域为-1）；landmasses按面积从大到小排列，id即数组下标，
+     *          centerX/centerY为陆地中最接近其重心的tile
+     */
+    static findLandmasses(tiles) {
+        const height = tiles.length;
+        const width = height > 0 ? tiles[0].length : 0;
+        const total = width * height;
+
+        // 按tile类型缓存水域判断，避免每个tile都拆分字符串
+        const waterCache = new Map();
+        const land = new Uint8Array(total);
+        for (let y = 0; y < height; y++) {
+            const row = tiles[y];
+            for (let x = 0; x < width; x++) {
+                const tileType = row[x];
+                let water = waterCache.get(tileType);
+                if (water === undefined) {
+                    water = this.isWater(tileType);
+                    waterCache.set(tileType, water);
+                }
+                land[y * width + x] = water ? 0 : 1;
+            }
+        }
+
+        const labels = new Int32Array(total).fill(-1);
+        const queue = new Int32Array(total);
+        const found = [];
+
+        for (let start = 0; start < total; start++) {
+            if (!land[start] || labels[start] >= 0) continue;
+
+            const label = found.length;
+            const landmass = { label, size: 0, sumX: 0, sumY: 0, minX: width, minY: height, maxX: 0, maxY: 0 };
+            let head = 0;
+            let tail = 0;
+            queue[tail++] = start;
+            labels[start] = label;
+
+            while (head < tail) {
+                const index = queue[head++];
+                const x = index % width;
+                const y = (index - x) / width;
+                landmass.size++;
+                landmass.sumX += x;
+                landmass.sumY += y;
+                if (x < landmass.minX) landmass.minX = x;
+                if (x > landmass.maxX) landmass.maxX = x;
+                if (y < landmass.minY) landmass.minY = y;
+                if (y > landmass.maxY) landmass.maxY = y;
+
+                const neighbours = [
+                    x > 0 ? index - 1 : -1,
+                    x < width - 1 ? index + 1 : -1,
+                    index >= width ? index - width : -1,
+                    index < total - width ? index + width : -1
+                ];
+                for (const neighbour of neighbours) {
+                    if (neighbour < 0 || !land[neighbour] || labels[neighbour] >= 0) continue;
+                    labels[neighbour] = label;
+                    queue[tail++] = neighbour;
+                }
+            }
+            found.push(landmass);
+        }
+
+        // 按面积从大到小重新编号
+        const sorted = found.slice().sort((a, b) => b.size - a.size);
+        const remap = new Int32Array(found.length);
+        sorted.forEach((landmass, id) => { remap[landmass.label] = id; });
+        for (let index = 0; index < total; index++) {
+            if (labels[index] >= 0) labels[index] = remap[labels[index]];
+        }
+
+        // 重心可能落在水中（如环形岛屿），取陆地中离重心最近的tile作为中心
+        const centroids = sorted.map(({ size, sumX, sumY }) => ({ x: sumX / size, y: sumY / size }));
+        const centers = sorted.map(() => ({ x: 0, y: 0, distance: Infinity }));
+        for (let index = 0; index < total; index++) {
+            const id = labels[index];
+            if (id < 0) continue;
+
+            const x = index % width;
+            const y = (index - x) / width;
+            const distance = (x - centroids[id].x) ** 2 + (y - centroids[id].y) ** 2;
+            if (distance < centers[id].distance) {
+                centers[id] = { x, y, distance };
+            }
+        }
+
+        const landmasses = sorted.map(({ size, minX, minY, maxX, maxY }, id) => ({
+            id,
+            size,
+            centerX: centers[id].x,
+            centerY: centers[id].y,
+            minX,
+            minY,
+            maxX,
+            maxY
+        }));
+
+        return { width, height, labels, landmasses };
+    }
+
+    /**
+     * 查找面积最大的陆地
+     * @param {string[][]} tiles - tile类型二维数组[y][x]
+     * @param {Object} landmassData - 陆地连通区域（见findLandmasses），已计算时传入以避免重复计算
+     * @returns {Object|null} 陆地信息，见findLandmasses，地图中没有陆地时返回null
+     */
+    static largestLandmass(tiles, landmassData = this.findLandmasses(tiles)) {
+        const { landmasses } = landmassData;
+        return landmasses.length > 0 ? landmasses[0] : null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TileAnalysis;
+}
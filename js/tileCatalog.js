@@ -0,0 +1,192 @@
+/**
+ * Tile目录模块
+ * 内置WorldBox的tile和top tile ID，用于检查颜色映射表和生成的地图中是否有游戏无法识别的tile类型
+ * 存档中的tile类型为 "基础tile" 或 "基础tile:top tile"，如 soil_low:grass_low
+ */
+
+class TileCatalog {
+    /**
+     * 基础tile ID
+     */
+    static BASE_TILES = [
+        'deep_ocean', 'close_ocean', 'shallow_waters',
+        'pit_deep_ocean', 'pit_close_ocean', 'pit_shallow_waters',
+        'sand', 'soil_low', 'soil_high', 'hills', 'mountains', 'summit',
+        'lava0', 'lava1', 'lava2', 'lava3',
+        'grey_goo'
+    ];
+
+    /**
+     * 带高低两种地形的生物群系，对应top tile为 名称_low 和 名称_high
+     */
+    static BIOMES = [
+        'grass', 'jungle', 'savanna', 'desert', 'swamp', 'birch', 'maple', 'flower',
+        'rocklands', 'mushroom', 'lemon', 'candy', 'corrupted', 'crystal', 'enchanted',
+        'infernal', 'permafrost', 'celestial', 'singularity', 'paradox', 'clover',
+        'garlic', 'wasteland', 'biomass', 'cybertile', 'pumpkin', 'tumor'
+    ];
+
+    /**
+     * 其他top tile ID（冰雪、建筑、爆炸物等）
+     */
+    static OTHER_TOP_TILES = [
+        'snow_block', 'snow_summit', 'snow_sand', 'snow_hills', 'frozen_low', 'frozen_high', 'ice',
+        'tnt', 'tnt_timed', 'landmine', 'water_bomb', 'fireworks', 'fuse',
+        'field', 'road',
+        'wall_ancient', 'wall_green', 'wall_evil', 'wall_light', 'wall_order'
+    ];
+
+    static baseTiles = new Set(TileCatalog.BASE_TILES);
+
+    static topTiles = new Set([
+        ...TileCatalog.BIOMES.flatMap(biome => [`${biome}_low`, `${biome}_high`]),
+        ...TileCatalog.OTHER_TOP_TILES
+    ]);
+
+    /**
+     * 检查tile类型是否为游戏可以识别的ID
+     * @param {string} tileType - tile类型，如 sand 或 soil_low:grass_low
+     * @returns {boolean} 是否有效
+     */
+    static isKnown(tileType) {
+        const parts = String(tileType).split(':');
+        if (parts.length > 2) return false;
+
+        const [base, top] = parts;
+        return this.baseTiles.has(base) && (top === undefined || this.topTiles.has(top));
+    }
+
+    /**
+     * 为无效的tile类型查找最接近的有效ID
+     * @param {string} tileType - tile类型
+     * @returns {string|null} 建议的tile类型，找不到足够接近的ID时返回null
+     */
+    static suggest(tileType) {
+        const parts = String(tileType).trim().split(':');
+        if (parts.length > 2) return null;
+
+        const base = this.closest(parts[0], this.baseTiles);
+        if (!base) return null;
+        if (parts.length === 1) return base;
+
+        const top = this.closest(parts[1], this.topTiles);
+        return top ? `${base}:${top}` : null;
+    }
+
+    /**
+     * 在候选ID中查找编辑距离最小的一个
+     * @param {string} name - 名称
+     * @param {Iterable<string>} candidates - 候选ID
+     * @returns {string|null} 最接近的ID，距离超过名称长度的1/3（至少为2）时返回null
+     */
+    static closest(name, candidates) {
+        const normalized = name.trim().toLowerCase().replace(/[\s-]+/g, '_');
+        const maxDistance = Math.max(2, Math.floor(normalized.length / 3));
+
+        let best = null;
+        let bestDistance = Infinity;
+        for (const candidate of candidates) {
+            const distance = this.levenshtein(normalized, candidate);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = candidate;
+            }
+        }
+        return bestDistance <= maxDistance ? best : null;
+    }
+
+    /**
+     * 计算两个字符串的编辑距离（Levenshtein距离）
+     * @param {string} a - 字符串a
+     * @param {string} b - 字符串b
+     * @returns {number} 编辑距离
+     */
+    static levenshtein(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * 检查颜色映射表：未知的tile类型（错误，附带建议）、重复的颜色和重复的tile类型（警告）
+     * @param {Array<{tileType: string, color: string}>} entries - 映射（保留重复的颜色）
+     * @returns {Array<{level: string, message: string}>} 问题列表，level为 'error' 或 'warning'
+     */
+    static validateColorMap(entries) {
+        const issues = [];
+        const colorsByTile = new Map();
+        const tilesByColor = new Map();
+
+        entries.forEach(({ tileType, color }, index) => {
+            if (tileType && !this.isKnown(tileType)) {
+                issues.push(this.unknownTileIssue(tileType, `第${index + 1}个映射（#${color}）`));
+            }
+
+            if (!tilesByColor.has(color)) tilesByColor.set(color, []);
+            tilesByColor.get(color).push(tileType);
+            if (!colorsByTile.has(tileType)) colorsByTile.set(tileType, []);
+            colorsByTile.get(tileType).push(color);
+        });
+
+        for (const [color, tileTypes] of tilesByColor) {
+            if (tileTypes.length > 1) {
+                issues.push({
+                    level: 'warning',
+                    message: `颜色 #${color} 重复映射到 ${tileTypes.join('、')}，以最后一个为准`
+                });
+            }
+        }
+        for (const [tileType, colors] of colorsByTile) {
+            if (tileType && colors.length > 1) {
+                issues.push({
+                    level: 'warning',
+                    message: `tile类型 ${tileType} 对应多个颜色：${colors.map(color => `#${color}`).join('、')}，导出PNG时只使用第一个`
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * 检查地图中使用的tile类型（包括填充、高度图、图层等设置中的tile类型）
+     * @param {string[][]} tiles - tile类型二维数组
+     * @returns {Array<{level: string, message: string}>} 问题列表
+     */
+    static validateTiles(tiles) {
+        const counts = new Map();
+        for (const row of tiles) {
+            for (const tileType of row) {
+                counts.set(tileType, (counts.get(tileType) || 0) + 1);
+            }
+        }
+
+        const issues = [];
+        for (const [tileType, count] of counts) {
+            if (!this.isKnown(tileType)) {
+                issues.push(this.unknownTileIssue(tileType, `地图中 ${count} 个tile`));
+            }
+        }
+        return issues;
+    }
+
+    static unknownTileIssue(tileType, location) {
+        const suggestion = this.suggest(tileType);
+        let message = `${location}使用了未知的tile类型 "${tileType}"`;
+        if (suggestion) {
+            message += `，是否应为 "${suggestion}"？`;
+        }
+        return { level: 'error', message, tileType, suggestion };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TileCatalog;
+}
@@ -0,0 +1,462 @@
+/**
+ * 像素编辑器模块
+ * 在预览canvas上直接绘制tile（画笔、填充、直线、矩形、取色），支持撤销/重做
+ * 编辑直接修改内存中的tile数据，生成存档时使用编辑后的结果；转换参数变化后，编辑会重新绘制到新的转换结果上
+ */
+
+class TileEditor {
+    /**
+     * 编辑工具
+     */
+    static TOOLS = {
+        brush: '画笔',
+        fill: '填充',
+        line: '直线',
+        rect: '矩形',
+        eyedropper: '取色'
+    };
+
+    /**
+     * 最多保留的撤销步数
+     */
+    static MAX_HISTORY = 100;
+
+    /**
+     * @param {MapPreview} preview - 地图预览，编辑在其canvas上进行
+     * @param {Object} controls - 工具栏元素
+     * @param {HTMLInputElement} controls.enabled - 编辑模式开关
+     * @param {HTMLSelectElement} controls.tool - 工具选择
+     * @param {HTMLSelectElement} controls.tileType - 调色板（tile类型选择）
+     * @param {HTMLElement} controls.swatch - 当前tile类型的色块
+     * @param {HTMLInputElement} controls.brushSize - 笔刷大小
+     * @param {HTMLInputElement} controls.fillRect - 是否填充矩形
+     * @param {HTMLButtonElement} controls.undo - 撤销按钮
+     * @param {HTMLButtonElement} controls.redo - 重做按钮
+     */
+    constructor(preview, controls) {
+        this.preview = preview;
+        this.controls = controls;
+        this.tileData = null;
+        this.tileColorMap = new Map();  // tile类型 -> 颜色
+        this.undoStack = [];
+        this.redoStack = [];
+        this.action = null;  // 正在进行的绘制 {tool, start, last, changes, snapshot}
+
+        for (const [tool, label] of Object.entries(TileEditor.TOOLS)) {
+            const option = document.createElement('option');
+            option.value = tool;
+            option.textContent = label;
+            controls.tool.appendChild(option);
+        }
+
+        const canvas = preview.canvas;
+        canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        window.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        controls.tileType.addEventListener('change', () => this.updateSwatch());
+        controls.undo.addEventListener('click', () => this.undo());
+        controls.redo.addEventListener('click', () => this.redo());
+    }
+
+    /**
+     * 开始编辑新的tile数据，清空撤销历史并按颜色映射表生成调色板
+     * 传入之前的编辑（见getEdits）时，重新绘制到新的tile数据上，作为一步可撤销的操作
+     * @param {{width: number, height: number, tiles: string[][], unmatchedMask?: Uint8Array}} tileData - tile数据
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
+     * @param {{width: number, height: number, tiles: Map<number, string>}|null} edits - 之前的编辑，尺寸必须与tileData相同
+     */
+    attach(tileData, colorMap, edits = null) {
+        this.tileData = tileData;
+        // 转换结果的副本，用于找出手动编辑过的tile
+        this.baseTiles = tileData.tiles.map(row => row.slice());
+        this.tileColorMap = ImageProcessor.buildTileColorMap(colorMap);
+        this.action = null;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        if (edits) {
+            const changes = new Map();
+            for (const [index, tileType] of edits.tiles) {
+                const x = index % tileData.width;
+                this.setTile(x, (index - x) / tileData.width, tileType, changes, false);
+            }
+            if (changes.size > 0) {
+                this.undoStack.push(this.toHistoryEntries(changes));
+            }
+        }
+
+        this.updatePalette();
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * 手动编辑过的tile（与转换结果不同的tile），输入变化后用于重新绘制到新的转换结果上
+     * @returns {{width: number, height: number, tiles: Map<number, string>}|null} tile索引(y * width + x) -> tile类型，没有编辑时返回null
+     */
+    getEdits() {
+        if (!this.tileData) return null;
+
+        const { width, height, tiles } = this.tileData;
+        const edited = new Map();
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (tiles[y][x] !== this.baseTiles[y][x]) {
+                    edited.set(y * width + x, tiles[y][x]);
+                }
+            }
+        }
+        return edited.size > 0 ? { width, height, tiles: edited } : null;
+    }
+
+    isEnabled() {
+        return this.controls.enabled.checked && this.tileData !== null;
+    }
+
+    /**
+     * 按颜色映射表中的tile类型重建调色板，尽量保留当前选择
+     */
+    updatePalette() {
+        const select = this.controls.tileType;
+        const current = select.value;
+        select.innerHTML = '';
+
+        for (const [tileType, colorHex] of this.tileColorMap) {
+            const option = document.createElement('option');
+            option.value = tileType;
+            option.textContent = tileType;
+            option.style.background = `#${colorHex}`;
+            select.appendChild(option);
+        }
+
+        if (this.tileColorMap.has(current)) {
+            select.value = current;
+        } else if (this.tileColorMap.has('soil_low:grass_low')) {
+            select.value = 'soil_low:grass_low';
+        }
+        this.updateSwatch();
+    }
+
+    updateSwatch() {
+        const colorHex = this.tileColorMap.get(this.controls.tileType.value);
+        this.controls.swatch.style.background = colorHex ? `#${colorHex}` : 'transparent';
+    }
+
+    updateHistoryButtons() {
+        this.controls.undo.disabled = this.undoStack.length === 0;
+        this.controls.redo.disabled = this.redoStack.length === 0;
+    }
+
+    /**
+     * 设置单个tile并记录修改前的值
+     * @param {number} x - tile x坐标
+     * @param {number} y - tile y坐标（y轴向上）
+     * @param {string} tileType - 新的tile类型
+     * @param {Map<number, {tileType: string, unmatched: number}>} changes - 本次操作的修改记录
+     * @param {boolean} draw - 是否立即绘制到canvas
+     */
+    setTile(x, y, tileType, changes, draw = true) {
+        const { width, height, tiles, unmatchedMask } = this.tileData;
+        if (x < 0 || x >= width || y < 0 || y >= height) return;
+
+        const before = tiles[y][x];
+        if (before === tileType) return;
+
+        const index = y * width + x;
+        if (!changes.has(index)) {
+            changes.set(index, { tileType: before, unmatched: unmatchedMask ? unmatchedMask[index] : 0 });
+        }
+        tiles[y][x] = tileType;
+        // 手动绘制的tile不再算作未匹配
+        if (unmatchedMask) unmatchedMask[index] = 0;
+
+        if (draw) {
+            this.drawPixel(x, y, tileType);
+        }
+    }
+
+    drawPixel(x, y, tileType) {
+        const colorHex = this.tileColorMap.get(tileType) || 'FF00FF';
+        const ctx = this.preview.ctx;
+        ctx.fillStyle = `#${colorHex}`;
+        // canvas第0行是地图顶部
+        ctx.fillRect(x, this.tileData.height - 1 - y, 1, 1);
+    }
+
+    /**
+     * 以(x, y)为中心绘制方形笔刷
+     */
+    paintBrush(x, y, tileType, changes) {
+        const size = Math.max(1, parseInt(this.controls.brushSize.value) || 1);
+        const offset = Math.floor((size - 1) / 2);
+        for (let dy = 0; dy < size; dy++) {
+            for (let dx = 0; dx < size; dx++) {
+                this.setTile(x - offset + dx, y - offset + dy, tileType, changes);
+            }
+        }
+    }
+
+    /**
+     * 计算两点之间直线经过的tile（Bresenham算法）
+     * @returns {Array<{x: number, y: number}>} 直线上的tile坐标
+     */
+    static linePoints(x0, y0, x1, y1) {
+        const points = [];
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1;
+        const sy = y0 < y1 ? 1 : -1;
+        let error = dx + dy;
+        let x = x0;
+        let y = y0;
+
+        while (true) {
+            points.push({ x, y });
+            if (x === x1 && y === y1) break;
+            const e2 = 2 * error;
+            if (e2 >= dy) {
+                error += dy;
+                x += sx;
+            }
+            if (e2 <= dx) {
+                error += dx;
+                y += sy;
+            }
+        }
+        return points;
+    }
+
+    /**
+     * 计算以两点为对角的矩形经过的tile
+     * @param {boolean} filled - 是否填充内部
+     * @returns {Array<{x: number, y: number}>} 矩形的tile坐标
+     */
+    static rectPoints(x0, y0, x1, y1, filled) {
+        const points = [];
+        const left = Math.min(x0, x1);
+        const right = Math.max(x0, x1);
+        const bottom = Math.min(y0, y1);
+        const top = Math.max(y0, y1);
+
+        for (let y = bottom; y <= top; y++) {
+            for (let x = left; x <= right; x++) {
+                if (filled || x === left || x === right || y === bottom || y === top) {
+                    points.push({ x, y });
+                }
+            }
+        }
+        return points;
+    }
+
+    /**
+     * 将与(x, y)相连（四邻接）且类型相同的区域替换为tileType
+     */
+    floodFill(x, y, tileType, changes) {
+        const { width, height, tiles } = this.tileData;
+        const target = tiles[y][x];
+        if (target === tileType) return;
+
+        const stack = [y * width + x];
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const cx = index % width;
+            const cy = (index - cx) / width;
+            if (tiles[cy][cx] !== target) continue;
+
+            this.setTile(cx, cy, tileType, changes, false);
+            if (cx > 0) stack.push(index - 1);
+            if (cx < width - 1) stack.push(index + 1);
+            if (cy > 0) stack.push(index - width);
+            if (cy < height - 1) stack.push(index + width);
+        }
+    }
+
+    /**
+     * 获取直线/矩形工具的形状
+     */
+    shapePoints(start, end) {
+        if (this.action.tool === 'line') {
+            return TileEditor.linePoints(start.x, start.y, end.x, end.y);
+        }
+        return TileEditor.rectPoints(start.x, start.y, end.x, end.y, this.controls.fillRect.checked);
+    }
+
+    handleMouseDown(e) {
+        if (e.button !== 0 || !this.isEnabled()) return;
+
+        const pos = this.preview.eventToTile(e);
+        if (!pos) return;
+        e.preventDefault();
+
+        const tool = this.controls.tool.value;
+        const tileType = this.controls.tileType.value;
+
+        if (tool === 'eyedropper') {
+            this.pickTile(pos);
+            return;
+        }
+        if (!tileType) return;
+
+        const changes = new Map();
+        if (tool === 'fill') {
+            this.floodFill(pos.x, pos.y, tileType, changes);
+            this.commit(changes);
+            this.preview.redraw();
+            return;
+        }
+
+        this.action = { tool, tileType, start: pos, last: pos, changes, snapshot: null };
+        if (tool === 'brush') {
+            this.paintBrush(pos.x, pos.y, tileType, changes);
+        } else {
+            // 直线和矩形在拖动时只绘制预览，松开鼠标后才修改tile
+            const { width, height } = this.tileData;
+            this.action.snapshot = this.preview.ctx.getImageData(0, 0, width, height);
+            this.drawShapePreview(pos);
+        }
+    }
+
+    handleMouseMove(e) {
+        if (!this.action) return;
+
+        const pos = this.preview.eventToTile(e);
+        if (!pos) return;
+
+        const { tool, tileType, last, changes } = this.action;
+        if (tool === 'brush') {
+            // 沿上一个位置到当前位置的直线绘制，避免快速移动时出现间断
+            for (const point of TileEditor.linePoints(last.x, last.y, pos.x, pos.y)) {
+                this.paintBrush(point.x, point.y, tileType, changes);
+            }
+        } else {
+            this.drawShapePreview(pos);
+        }
+        this.action.last = pos;
+    }
+
+    handleMouseUp(e) {
+        if (!this.action) return;
+
+        const { tool, tileType, start, last, changes, snapshot } = this.action;
+        if (tool !== 'brush') {
+            const end = this.preview.eventToTile(e) || last;
+            this.preview.ctx.putImageData(snapshot, 0, 0);
+            for (const point of this.shapePoints(start, end)) {
+                this.setTile(point.x, point.y, tileType, changes);
+            }
+        }
+        this.action = null;
+        this.commit(changes);
+
+        // 高亮未匹配像素时，其余像素是变暗显示的，需要整体重绘
+        if (this.preview.highlightUnmatched && this.tileData.unmatchedMask) {
+            this.preview.redraw();
+        }
+    }
+
+    drawShapePreview(end) {
+        const { tileType, start, snapshot } = this.action;
+        this.preview.ctx.putImageData(snapshot, 0, 0);
+        const { width, height } = this.tileData;
+        for (const { x, y } of this.shapePoints(start, end)) {
+            if (x >= 0 && x < width && y >= 0 && y < height) {
+                this.drawPixel(x, y, tileType);
+            }
+        }
+    }
+
+    handleKeyDown(e) {
+        if (!this.isEnabled() || !(e.ctrlKey || e.metaKey)) return;
+        if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    /**
+     * 取色：将调色板设置为指定位置的tile类型，并切换回画笔
+     */
+    pickTile(pos) {
+        const tileType = this.tileData.tiles[pos.y][pos.x];
+        if (!this.tileColorMap.has(tileType)) return;
+
+        this.controls.tileType.value = tileType;
+        this.controls.tool.value = 'brush';
+        this.updateSwatch();
+    }
+
+    /**
+     * 将一次操作的修改记录加入撤销历史
+     * @param {Map<number, {tileType: string, unmatched: number}>} changes - 修改记录（tile索引 -> 修改前的值）
+     */
+    commit(changes) {
+        if (changes.size === 0) return;
+
+        this.undoStack.push(this.toHistoryEntries(changes));
+        if (this.undoStack.length > TileEditor.MAX_HISTORY) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.updateHistoryButtons();
+        this.preview.showDefaultInfo();
+    }
+
+    /**
+     * 将修改记录转换为撤销历史中的一项
+     * @param {Map<number, {tileType: string, unmatched: number}>} changes - 修改记录（tile索引 -> 修改前的值）
+     * @returns {Array<{index: number, before: Object, after: string}>}
+     */
+    toHistoryEntries(changes) {
+        const { width, tiles } = this.tileData;
+        const entries = [];
+        for (const [index, before] of changes) {
+            const x = index % width;
+            const y = (index - x) / width;
+            entries.push({ index, before, after: tiles[y][x] });
+        }
+        return entries;
+    }
+
+    undo() {
+        const entries = this.undoStack.pop();
+        if (!entries) return;
+
+        for (const { index, before } of entries) {
+            this.restoreTile(index, before.tileType, before.unmatched);
+        }
+        this.redoStack.push(entries);
+        this.afterHistoryChange();
+    }
+
+    redo() {
+        const entries = this.redoStack.pop();
+        if (!entries) return;
+
+        for (const { index, after } of entries) {
+            this.restoreTile(index, after, 0);
+        }
+        this.undoStack.push(entries);
+        this.afterHistoryChange();
+    }
+
+    restoreTile(index, tileType, unmatched) {
+        const { width, tiles, unmatchedMask } = this.tileData;
+        const x = index % width;
+        const y = (index - x) / width;
+        tiles[y][x] = tileType;
+        if (unmatchedMask) unmatchedMask[index] = unmatched;
+    }
+
+    afterHistoryChange() {
+        this.updateHistoryButtons();
+        this.preview.redraw();
+        this.preview.showDefaultInfo();
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * 未匹配颜色报告模块
+ * 负责在页面上列出转换时未匹配的颜色，并支持为其指定tile类型
+ */
+
+class UnmatchedReport {
+    /**
+     * @param {HTMLElement} container - 报告面板容器
+     * @param {Function} onAssign - 指定tile类型后的回调 (colorHex, tileType) => void
+     */
+    constructor(container, onAssign) {
+        this.container = container;
+        this.onAssign = onAssign;
+    }
+
+    /**
+     * 渲染未匹配颜色列表
+     * @param {Map<string, number>|undefined} unmatchedColors - 未匹配颜色(大写16进制)到像素数量的映射
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
+     * @param {string} colorMetric - 查找最接近颜色时使用的颜色距离算法
+     */
+    render(unmatchedColors, colorMap, colorMetric) {
+        this.container.innerHTML = '';
+
+        if (!unmatchedColors || unmatchedColors.size === 0) {
+            this.container.style.display = 'none';
+            return;
+        }
+
+        const entries = Array.from(unmatchedColors.entries()).sort((a, b) => b[1] - a[1]);
+        const totalPixels = entries.reduce((sum, [, count]) => sum + count, 0);
+        const tileTypes = Array.from(new Set(colorMap.values())).sort();
+
+        const title = document.createElement('div');
+        title.className = 'report-title';
+        title.textContent = `⚠ ${entries.length} 种颜色未匹配，共 ${totalPixels} 个像素按未匹配像素的处理方式替换`;
+        this.container.appendChild(title);
+
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        table.innerHTML = '<thead><tr><th>颜色</th><th>像素数</th><th>最接近的映射颜色</th><th>指定tile类型</th></tr></thead>';
+
+        // 不限容忍度查找最接近的映射颜色，作为建议；所有行共用一个匹配器
+        const matcher = new ColorMatcher(colorMap, { colorMetric });
+
+        const tbody = document.createElement('tbody');
+        const fragment = document.createDocumentFragment();
+        for (const [colorHex, count] of entries) {
+            fragment.appendChild(this.createRow(colorHex, count, colorMap, tileTypes, matcher));
+        }
+        tbody.appendChild(fragment);
+        table.appendChild(tbody);
+        this.container.appendChild(table);
+        this.container.style.display = 'block';
+    }
+
+    /**
+     * 创建单个未匹配颜色的表格行
+     * @param {string} colorHex - 未匹配的颜色
+     * @param {number} count - 像素数量
+     * @param {Map<string, string>} colorMap - 颜色到tile类型的映射
+     * @param {string[]} tileTypes - 可选的tile类型列表
+     * @param {ColorMatcher} matcher - 用于查找最接近映射颜色的匹配器
+     * @returns {HTMLTableRowElement} 表格行
+     */
+    createRow(colorHex, count, colorMap, tileTypes, matcher) {
+        const row = document.createElement('tr');
+
+        const colorCell = document.createElement('td');
+        colorCell.appendChild(this.createSwatch(colorHex));
+        colorCell.appendChild(document.createTextNode(`#${colorHex}`));
+        row.appendChild(colorCell);
+
+        const countCell = document.createElement('td');
+        countCell.textContent = count;
+        row.appendChild(countCell);
+
+        const closest = matcher.findClosestEntry(ImageProcessor.hexToRgb(colorHex), Infinity);
+        const closestCell = document.createElement('td');
+        if (closest) {
+            closestCell.appendChild(this.createSwatch(closest.colorHex));
+            closestCell.appendChild(document.createTextNode(`#${closest.colorHex} ${closest.tileType}`));
+        } else {
+            closestCell.textContent = '-';
+        }
+        row.appendChild(closestCell);
+
+        const assignCell = document.createElement('td');
+        const select = document.createElement('select');
+        select.className = 'stats-input';
+        for (const tileType of tileTypes) {
+            const option = document.createElement('option');
+            option.value = tileType;
+            option.textContent = tileType;
+            select.appendChild(option);
+        }
+        if (closestColor) {
+            select.value = colorMap.get(closestColor);
+        }
+
+        const button = document.createElement('button');
+        button.className = 'btn-small';
+        button.textContent = '添加映射';
+        button.addEventListener('click', () => {
+            if (select.value) {
+                this.onAssign(colorHex, select.value);
+            }
+        });
+
+        assignCell.appendChild(select);
+        assignCell.appendChild(button);
+        row.appendChild(assignCell);
+
+        return row;
+    }
+
+    /**
+     * 创建颜色色块
+     * @param {string} colorHex - 颜色(16进制)
+     * @returns {HTMLSpanElement} 色块元素
+     */
+    createSwatch(colorHex) {
+        const swatch = document.createElement('span');
+        swatch.className = 'color-swatch';
+        swatch.style.background = `#${colorHex}`;
+        return swatch;
+    }
+
+    hide() {
+        this.container.innerHTML = '';
+        this.container.style.display = 'none';
+    }
+}
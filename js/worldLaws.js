@@ -0,0 +1,143 @@
+/**
+ * 世界法则模块
+ * 定义可在存档中设置的世界法则及预设，并转换为游戏存档中的worldLaws格式：
+ * { list: [{ name: 'world_law_hunger', boolVal: true }, ...] }
+ * 添加新的法则或预设只需修改LAWS和PRESETS
+ */
+
+class WorldLaws {
+    /**
+     * 可设置的世界法则
+     * id为游戏中的法则ID，defaultValue为游戏新建世界时的默认值
+     */
+    static LAWS = [
+        { id: 'world_law_disasters_nature', label: '自然灾害（地震、龙卷风等）', group: '灾害', defaultValue: true },
+        { id: 'world_law_disasters_other', label: '其他灾害（外星人、恶魔入侵等）', group: '灾害', defaultValue: true },
+        { id: 'world_law_forever_lava', label: '熔岩永不冷却', group: '灾害', defaultValue: false },
+        { id: 'world_law_cursed_world', label: '诅咒世界', group: '灾害', defaultValue: false },
+        { id: 'world_law_hunger', label: '饥饿', group: '生物', defaultValue: true },
+        { id: 'world_law_old_age', label: '衰老死亡', group: '生物', defaultValue: true },
+        { id: 'world_law_animals_spawn', label: '动物自然生成', group: '生物', defaultValue: true },
+        { id: 'world_law_peaceful_monsters', label: '怪物不主动攻击', group: '生物', defaultValue: false },
+        { id: 'world_law_kingdom_expansion', label: '王国扩张', group: '文明', defaultValue: true },
+        { id: 'world_law_border_stealing', label: '抢夺边境', group: '文明', defaultValue: true },
+        { id: 'world_law_diplomacy', label: '外交', group: '文明', defaultValue: true },
+        { id: 'world_law_rebellions', label: '叛乱', group: '文明', defaultValue: true },
+        { id: 'world_law_angry_civilians', label: '愤怒的平民', group: '文明', defaultValue: true },
+        { id: 'world_law_grow_trees', label: '树木生长', group: '自然', defaultValue: true },
+        { id: 'world_law_grow_grass', label: '草地蔓延', group: '自然', defaultValue: true },
+        { id: 'world_law_biome_overgrowth', label: '生物群系扩张', group: '自然', defaultValue: false }
+    ];
+
+    /**
+     * 预设：只列出与默认值不同的法则
+     */
+    static PRESETS = {
+        vanilla: { label: '原版（游戏默认）', values: {} },
+        peacefulSandbox: {
+            label: '和平沙盒',
+            values: {
+                world_law_disasters_nature: false,
+                world_law_disasters_other: false,
+                world_law_hunger: false,
+                world_law_peaceful_monsters: true,
+                world_law_border_stealing: false,
+                world_law_rebellions: false,
+                world_law_angry_civilians: false
+            }
+        },
+        frozenWorld: {
+            label: '静止世界（无扩张、无生长，适合展示地图）',
+            values: {
+                world_law_kingdom_expansion: false,
+                world_law_border_stealing: false,
+                world_law_animals_spawn: false,
+                world_law_grow_trees: false,
+                world_law_grow_grass: false,
+                world_law_disasters_nature: false,
+                world_law_disasters_other: false
+            }
+        },
+        chaos: {
+            label: '混乱挑战',
+            values: {
+                world_law_cursed_world: true,
+                world_law_forever_lava: true,
+                world_law_biome_overgrowth: true,
+                world_law_diplomacy: false
+            }
+        }
+    };
+
+    /**
+     * 获取预设中全部法则的取值
+     * @param {string} preset - 预设名称，见PRESETS
+     * @returns {Object<string, boolean>} 法则ID -> 是否开启
+     */
+    static presetValues(preset) {
+        const info = this.PRESETS[preset];
+        if (!info) {
+            throw new Error(`未知的世界法则预设: ${preset}`);
+        }
+
+        const values = {};
+        for (const law of this.LAWS) {
+            values[law.id] = law.id in info.values ? info.values[law.id] : law.defaultValue;
+        }
+        return values;
+    }
+
+    /**
+     * 查找与取值完全一致的预设
+     * @param {Object<string, boolean>} values - 法则取值
+     * @returns {string|null} 预设名称，没有一致的预设时返回null（自定义）
+     */
+    static findPreset(values) {
+        for (const preset of Object.keys(this.PRESETS)) {
+            const presetValues = this.presetValues(preset);
+            if (this.LAWS.every(law => presetValues[law.id] === !!values[law.id])) {
+                return preset;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 转换为存档中的worldLaws
+     * @param {Object<string, boolean>|null} values - 法则取值，为null时返回空对象（由游戏使用默认值）
+     * @returns {{list?: Array<{name: string, boolVal: boolean}>}} worldLaws
+     */
+    static toSaveData(values) {
+        if (!values) {
+            return {};
+        }
+
+        const list = this.LAWS.map(law => ({
+            name: law.id,
+            boolVal: law.id in values ? !!values[law.id] : law.defaultValue
+        }));
+        return { list };
+    }
+
+    /**
+     * 读取存档中的worldLaws
+     * @param {Object} worldLaws - 存档中的worldLaws
+     * @returns {Object<string, boolean>|null} LAWS中各法则的取值（存档中没有的法则使用默认值），存档没有设置法则时返回null
+     */
+    static fromSaveData(worldLaws) {
+        if (!worldLaws || !Array.isArray(worldLaws.list) || worldLaws.list.length === 0) {
+            return null;
+        }
+
+        const saved = new Map(worldLaws.list.map(item => [item.name, item.boolVal]));
+        const values = {};
+        for (const law of this.LAWS) {
+            values[law.id] = saved.has(law.id) ? !!saved.get(law.id) : law.defaultValue;
+        }
+        return values;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorldLaws;
+}
@@ -0,0 +1,58 @@
+/**
+ * 世界尺寸预设模块
+ * 游戏内置地图尺寸（以zone为单位，1 zone = 64×64 tiles）
+ * 新增尺寸只需在PRESETS中添加一项，界面下拉框会自动生成
+ */
+
+class WorldSizes {
+    static PRESETS = [
+        { id: 'tiny', label: '微型', zoneWidth: 2, zoneHeight: 2 },
+        { id: 'small', label: '小型', zoneWidth: 3, zoneHeight: 3 },
+        { id: 'standard', label: '标准', zoneWidth: 5, zoneHeight: 5 },
+        { id: 'big', label: '大型', zoneWidth: 6, zoneHeight: 6 },
+        { id: 'huge', label: '巨型', zoneWidth: 8, zoneHeight: 8 },
+        { id: 'titanic', label: '泰坦', zoneWidth: 10, zoneHeight: 10 },
+        { id: 'iceberg', label: '冰山', zoneWidth: 12, zoneHeight: 12 }
+    ];
+
+    /**
+     * 宽度或高度的最大zone数量（最大的预设）
+     */
+    static MAX_ZONES = Math.max(...WorldSizes.PRESETS.map(preset => Math.max(preset.zoneWidth, preset.zoneHeight)));
+
+    /**
+     * 按id查找预设
+     * @param {string} id - 预设id
+     * @returns {{id: string, label: string, zoneWidth: number, zoneHeight: number}|null} 预设，不存在时返回null
+     */
+    static get(id) {
+        return this.PRESETS.find(preset => preset.id === id) || null;
+    }
+
+    /**
+     * 按zone尺寸查找对应的预设
+     * @param {number} zoneWidth - 宽度（zone数量）
+     * @param {number} zoneHeight - 高度（zone数量）
+     * @returns {{id: string, label: string, zoneWidth: number, zoneHeight: number}|null} 预设，没有对应的预设时返回null
+     */
+    static findBySize(zoneWidth, zoneHeight) {
+        return this.PRESETS.find(preset =>
+            preset.zoneWidth === zoneWidth && preset.zoneHeight === zoneHeight
+        ) || null;
+    }
+
+    /**
+     * 生成下拉框显示的文字
+     * @param {{label: string, zoneWidth: number, zoneHeight: number}} preset - 预设
+     * @returns {string} 如"标准（5×5 zones，320×320 tiles）"
+     */
+    static describe(preset) {
+        const tileWidth = preset.zoneWidth * 64;
+        const tileHeight = preset.zoneHeight * 64;
+        return `${preset.label}（${preset.zoneWidth}×${preset.zoneHeight} zones，${tileWidth}×${tileHeight} tiles）`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorldSizes;
+}
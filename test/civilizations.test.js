@@ -0,0 +1,125 @@
+/**
+ * 王国和城市测试
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { Civilizations, SaveGenerator } = require('../js/nodeCore.js');
+
+/**
+ * 生成64×32的地图：左半部分为草地，右半部分为深海
+ */
+function halfLand() {
+    return Array.from({ length: 32 }, () => [
+        ...new Array(32).fill('soil_low:grass_low'),
+        ...new Array(32).fill('deep_ocean')
+    ]);
+}
+
+describe('解析', () => {
+    test('JSON中同一王国使用第一个指定的颜色，未指定颜色的王国依次使用默认颜色', () => {
+        const markers = Civilizations.parse(JSON.stringify({
+            settlements: [
+                { x: 4, y: 4, kingdom: '北境', race: 'Elf' },
+                { x: 20, y: 4, kingdom: '北境', color: '#00ff00', population: 3 },
+                { x: 4, y: 20, kingdom: '南国', city: '港口' }
+            ]
+        }), 'settlements.json');
+
+        assert.deepEqual(markers[0], { x: 4, y: 4, race: 'elf', kingdom: '北境', city: '', color: '00FF00', population: 10 });
+        assert.equal(markers[1].color, '00FF00');
+        assert.equal(markers[1].population, 3);
+        assert.equal(markers[2].color, Civilizations.KINGDOM_COLORS[1]);
+        assert.deepEqual(Civilizations.parse(Civilizations.toJson(markers), 'out.json'), markers);
+    });
+
+    test('CSV按列名读取，缺少的列使用默认值', () => {
+        const markers = Civilizations.parse('Kingdom,X,Y,Race\n"王国,一",1,2,orc\n\n王国二,3,4,\n', 'settlements.csv');
+        assert.deepEqual(markers.map(({ kingdom, x, y, race }) => [kingdom, x, y, race]), [
+            ['王国,一', 1, 2, 'orc'],
+            ['王国二', 3, 4, 'human']
+        ]);
+    });
+
+    test('数据有误时指出位置', () => {
+        assert.throws(() => Civilizations.parse('x,y\n1,2', 'a.csv'), /缺少 kingdom 列/);
+        assert.throws(() => Civilizations.parse('x,y,kingdom\n1,2,甲\n-1,2,乙', 'a.csv'), /第3行：坐标必须是非负整数/);
+        assert.throws(() => Civilizations.parse('[{"x":1,"y":1,"kingdom":"甲","race":"dragon"}]', 'a.json'), /第1项：未知的种族 dragon/);
+        assert.throws(() => Civilizations.parse('[{"x":1,"y":1,"kingdom":"甲","population":500}]', 'a.json'), /初始人口/);
+        assert.throws(() => Civilizations.parse('{}', 'a.json'), /缺少settlements数组/);
+        assert.throws(() => Civilizations.parse('', 'a.txt'), /不支持的城市标记文件格式/);
+    });
+});
+
+describe('validate', () => {
+    test('标记不能超出地图、位于水域或与其他标记位于同一个城市区域', () => {
+        const markers = [
+            { x: 1, y: 1, kingdom: '甲' },
+            { x: 40, y: 1, kingdom: '甲' },
+            { x: 6, y: 6, kingdom: '乙' },
+            { x: 64, y: 0, kingdom: '乙' },
+            { x: 10, y: 10, kingdom: '乙' }
+        ].map((item, index) => Civilizations.normalizeMarker(item, `第${index + 1}项`));
+
+        const issues = Civilizations.validate(markers, halfLand());
+        assert.deepEqual(issues.map(({ index }) => index), [1, 2, 3]);
+        assert.match(issues[0].message, /位于水域（deep_ocean）/);
+        assert.match(issues[1].message, /与第1个城市标记.*距离太近/);
+        assert.match(issues[2].message, /超出地图范围（64×32）/);
+    });
+});
+
+describe('build', () => {
+    const markers = Civilizations.parseJson(JSON.stringify([
+        { x: 4, y: 4, kingdom: '北境', city: '首都', race: 'dwarf', population: 5 },
+        { x: 12, y: 4, kingdom: '北境', population: 2 },
+        { x: 28, y: 28, kingdom: '南国', color: 'FF0000', population: 0 }
+    ]));
+    const tiles = halfLand();
+    const { kingdoms, cities, actors } = Civilizations.build(markers, tiles);
+
+    test('同名王国合并，第一个城市为首都，第一个单位为国王', () => {
+        assert.deepEqual(kingdoms.map(({ id, name, capitalID, kingID }) => [id, name, capitalID, kingID]), [
+            [1, '北境', 1, 1],
+            [2, '南国', 3, -1]
+        ]);
+        assert.equal(kingdoms[0].raceID, 'dwarf');
+        assert.equal(Civilizations.KINGDOM_COLORS[kingdoms[1].colorID], 'E53935');
+        assert.deepEqual(cities.map(({ name, kingdomID }) => [name, kingdomID]), [['首都', 1], ['北境 2', 1], ['南国 3', 2]]);
+    });
+
+    test('城市占据标记周围含有陆地的区域，不与其他城市重复', () => {
+        const keys = cities.map(city => city.zones.map(({ x, y }) => `${x},${y}`));
+        assert.deepEqual(keys[0][0], '0,0');
+        assert.deepEqual(keys[1][0], '1,0');
+        const all = keys.flat();
+        assert.equal(new Set(all).size, all.length);
+        // 南国的城市在地图右上角的陆地边缘，不占据右侧的海洋区域
+        assert.ok(keys[2].every(key => Number(key.split(',')[0]) < 4));
+    });
+
+    test('单位按人口放在城市附近的陆地上，每个tile一个', () => {
+        assert.equal(actors.length, 7);
+        assert.deepEqual(actors.filter(actor => actor.cityID === 1).map(({ asset_id }) => asset_id), new Array(5).fill('dwarf'));
+        assert.deepEqual([actors[0].x, actors[0].y], [4, 4]);
+        assert.equal(new Set(actors.map(({ x, y }) => `${x},${y}`)).size, actors.length);
+        assert.ok(actors.every(({ x, y }) => tiles[y][x] === 'soil_low:grass_low'));
+    });
+
+    test('标记有误时不生成存档', () => {
+        const wet = [Civilizations.normalizeMarker({ x: 50, y: 1, kingdom: '甲' }, '标记')];
+        assert.throws(() => Civilizations.build(wet, tiles), /城市标记有误：.*位于水域/);
+    });
+});
+
+test('存档中写入王国、城市和单位记录', () => {
+    const tiles = [...halfLand(), ...halfLand()];
+    const markers = [Civilizations.normalizeMarker({ x: 4, y: 4, kingdom: '北境', population: 3 }, '标记')];
+    const save = SaveGenerator.generateSaveData(64, 64, tiles, { settlements: markers });
+    assert.equal(save.kingdoms.length, 1);
+    assert.equal(save.cities.length, 1);
+    assert.equal(save.actors_data.length, 3);
+
+    const empty = SaveGenerator.generateSaveData(64, 64, tiles);
+    assert.deepEqual([empty.kingdoms, empty.cities, empty.actors_data], [[], [], []]);
+});
@@ -0,0 +1,97 @@
+/**
+ * Excel颜色映射表解析测试
+ * 工作簿在测试中用SheetJS生成，单元格类型与Excel中手动输入时一致（只含数字的颜色为数字单元格）
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ExcelParser, XLSX, DEFAULT_COLOR_MAP } = require('../js/nodeCore.js');
+
+/**
+ * 由二维数组生成xlsx文件数据
+ * @param {Array<Array>} rows - 工作表的行（第一行为标题）
+ * @returns {Uint8Array} xlsx文件数据
+ */
+function workbook(rows) {
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), 'colors');
+    return new Uint8Array(XLSX.write(book, { type: 'array', bookType: 'xlsx' }));
+}
+
+describe('parseExcel', () => {
+    test('读取16进制字符串颜色，统一为大写', async () => {
+        const colorMap = await ExcelParser.parseExcel(workbook([
+            ['tile', 'color'],
+            ['deep_ocean', '3370cc'],
+            ['sand', 'F7E898']
+        ]));
+        assert.deepEqual([...colorMap], [['3370CC', 'deep_ocean'], ['F7E898', 'sand']]);
+    });
+
+    test('数字单元格按其写法读取为16进制颜色，并补齐开头的0', async () => {
+        const colorMap = await ExcelParser.parseExcel(workbook([
+            ['tile', 'color'],
+            ['mountains', 414545],
+            ['summit', 333333],
+            ['lava0', 5533],
+            ['pit_deep_ocean', 0]
+        ]));
+        assert.deepEqual([...colorMap], [
+            ['414545', 'mountains'],
+            ['333333', 'summit'],
+            ['005533', 'lava0'],
+            ['000000', 'pit_deep_ocean']
+        ]);
+    });
+
+    test('去掉颜色开头的#和首尾空格', async () => {
+        const colorMap = await ExcelParser.parseExcel(workbook([
+            ['tile', 'color'],
+            [' sand ', '#F7E898'],
+            ['hills', ' #5b5e5c ']
+        ]));
+        assert.deepEqual([...colorMap], [['F7E898', 'sand'], ['5B5E5C', 'hills']]);
+    });
+
+    test('跳过格式无效的颜色和空行，并对无效颜色给出警告', async (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const colorMap = await ExcelParser.parseExcel(workbook([
+            ['tile', 'color'],
+            ['sand', 'F7E898'],
+            ['bad_length', 'FFF'],
+            ['bad_digit', 'GG0000'],
+            ['too_long', '1234567'],
+            ['fraction', 12.5],
+            ['negative', -1],
+            ['', 'FFFFFF'],
+            ['no_color', '']
+        ]));
+        assert.deepEqual([...colorMap], [['F7E898', 'sand']]);
+        assert.equal(warn.mock.callCount(), 5);
+    });
+
+    test('重复的颜色以后面的行为准', async () => {
+        const colorMap = await ExcelParser.parseExcel(workbook([
+            ['tile', 'color'],
+            ['sand', 'F7E898'],
+            ['soil_low', 'f7e898']
+        ]));
+        assert.deepEqual([...colorMap], [['F7E898', 'soil_low']]);
+    });
+
+    test('没有有效颜色时报错', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        t.mock.method(console, 'error', () => {});
+        await assert.rejects(
+            ExcelParser.parseExcel(workbook([['tile', 'color'], ['sand', 'xyz']])),
+            /没有找到有效的颜色映射数据/
+        );
+    });
+
+    test('default.xlsx中的数字颜色按写法读取', async () => {
+        const colorMap = await ExcelParser.parseExcel(fs.readFileSync(DEFAULT_COLOR_MAP));
+        assert.equal(colorMap.get('414545'), 'mountains');
+        assert.equal(colorMap.get('333333'), 'summit');
+    });
+});
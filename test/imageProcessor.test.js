@@ -0,0 +1,117 @@
+/**
+ * 颜色匹配与图片转换测试
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { ImageProcessor, ColorMetrics, ConversionPipeline } = require('../js/nodeCore.js');
+
+// RGB距离下，容忍度100对应黑白两色的距离 255√3 ≈ 441.67，容忍度10约为44.17
+const BLACK_WHITE = new Map([['000000', 'deep_ocean'], ['FFFFFF', 'mountains:snow_block']]);
+
+describe('findClosestColor', () => {
+    test('容忍度为0时只接受精确匹配', () => {
+        assert.equal(ImageProcessor.findClosestColor('000000', BLACK_WHITE, 0), '000000');
+        assert.equal(ImageProcessor.findClosestColor('010000', BLACK_WHITE, 0), null);
+    });
+
+    test('距离恰好在容忍度以内时匹配，超出1时不匹配', () => {
+        // 容忍度10：距离44匹配，距离45超出
+        assert.equal(ImageProcessor.findClosestColor('2C0000', BLACK_WHITE, 10), '000000');
+        assert.equal(ImageProcessor.findClosestColor('2D0000', BLACK_WHITE, 10), null);
+    });
+
+    test('距离等于容忍度上限时匹配', () => {
+        const blackOnly = new Map([['000000', 'deep_ocean']]);
+        assert.equal(ImageProcessor.findClosestColor('FFFFFF', blackOnly, 100), '000000');
+        assert.equal(ImageProcessor.findClosestColor('FFFFFF', blackOnly, 99.9), null);
+    });
+
+    test('多个颜色都在容忍度以内时返回最接近的', () => {
+        assert.equal(ImageProcessor.findClosestColor('707070', BLACK_WHITE, 100), '000000');
+        assert.equal(ImageProcessor.findClosestColor('909090', BLACK_WHITE, 100), 'FFFFFF');
+    });
+
+    test('容忍度在各颜色距离算法下都按色域内最大距离的百分比换算', () => {
+        for (const metric of Object.keys(ColorMetrics.METRICS)) {
+            assert.equal(ImageProcessor.findClosestColor('000000', BLACK_WHITE, 0, metric), '000000', metric);
+            assert.equal(ImageProcessor.findClosestColor('010101', BLACK_WHITE, 0, metric), null, metric);
+            assert.equal(ImageProcessor.findClosestColor('101010', BLACK_WHITE, 50, metric), '000000', metric);
+            assert.equal(ImageProcessor.findClosestColor('EFEFEF', BLACK_WHITE, 50, metric), 'FFFFFF', metric);
+        }
+    });
+
+    test('容忍度100在各颜色距离算法下都匹配任何颜色，最远的颜色对不超过最大距离', () => {
+        const yellowOnly = new Map([['FFFF00', 'sand']]);
+        const blue = { r: 0, g: 0, b: 255 };
+        const yellow = { r: 255, g: 255, b: 0 };
+        for (const metric of Object.keys(ColorMetrics.METRICS)) {
+            assert.equal(ImageProcessor.findClosestColor('0000FF', yellowOnly, 100, metric), 'FFFF00', metric);
+            assert.equal(ImageProcessor.findClosestColor('0000FF', BLACK_WHITE, 100, metric), '000000', metric);
+            // Lab距离下蓝色与黄色比黑白两色更远，容忍度按色域内的最大距离换算
+            assert.ok(ColorMetrics.distance(blue, yellow, metric) <= ColorMetrics.maxDistance(metric), metric);
+            assert.ok(ColorMetrics.maxDistance(metric) >= ColorMetrics.distance({ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 }, metric), metric);
+        }
+    });
+});
+
+describe('processImage', () => {
+    // 64×64的图片：左半边是偏离映射颜色3的沙子，右半边是映射表中没有的红色
+    const image = { width: 64, height: 64, data: new Uint8ClampedArray(64 * 64 * 4) };
+    for (let index = 0; index < 64 * 64; index++) {
+        const color = index % 64 < 32 ? [0xFA, 0xE8, 0x98] : [0xFF, 0x00, 0x00];
+        image.data.set([...color, 255], index * 4);
+    }
+    const colorMap = new Map([['F7E898', 'sand'], ['3370CC', 'deep_ocean']]);
+
+    test('容忍度通过options传递给颜色匹配', async (t) => {
+        t.mock.method(ImageProcessor, 'decodeImage', async () => image);
+
+        const exact = await ImageProcessor.processImage(null, colorMap, { toleranceLevel: 0 });
+        assert.equal(exact.tiles[0][0], ImageProcessor.DEFAULT_FALLBACK_TILE);
+        assert.equal(exact.unmatchedColors.size, 2);
+
+        const tolerant = await ImageProcessor.processImage(null, colorMap, { toleranceLevel: 1 });
+        assert.equal(tolerant.tiles[0][0], 'sand');
+        assert.equal(tolerant.tiles[0][63], ImageProcessor.DEFAULT_FALLBACK_TILE);
+        assert.deepEqual([...tolerant.unmatchedColors.keys()], ['FF0000']);
+    });
+
+    test('进度回调作为第四个参数传入', async (t) => {
+        t.mock.method(ImageProcessor, 'decodeImage', async () => image);
+
+        const progress = [];
+        await ImageProcessor.processImage(null, colorMap, { toleranceLevel: 1 }, (current, total) => progress.push([current, total]));
+        assert.ok(progress.length > 0);
+        assert.deepEqual(progress[progress.length - 1], [64 * 64, 64 * 64]);
+    });
+
+    test('转换流水线使用转换选项中的容忍度', async (t) => {
+        t.mock.method(ImageProcessor, 'decodeImage', async () => image);
+
+        const tileData = await ConversionPipeline.convert({ imageFile: null, colorMap, options: { toleranceLevel: 1 } }, null);
+        assert.equal(tileData.tiles[0][0], 'sand');
+    });
+});
+
+describe('未匹配像素的处理方式', () => {
+    // 64×64的纯蓝色图片，映射表中只有黑白两色
+    const blue = new Uint8ClampedArray(64 * 64 * 4);
+    for (let index = 0; index < 64 * 64; index++) {
+        blue.set([0, 0, 255, 255], index * 4);
+    }
+    const blackWhite = new Map([['000000', 'deep_ocean'], ['FFFFFF', 'sand']]);
+
+    test('nearest在各颜色距离算法下都不受容忍度限制，使用最接近的映射颜色', () => {
+        for (const metric of Object.keys(ColorMetrics.METRICS)) {
+            const tileData = ImageProcessor.convertPixels(blue, 64, 64, blackWhite, { unmatchedPolicy: 'nearest', colorMetric: metric });
+            assert.equal(tileData.tiles[0][0], 'deep_ocean', metric);
+            assert.equal(tileData.unmatchedColors.get('0000FF'), 64 * 64, metric);
+        }
+    });
+
+    test('nearest在映射表为空时使用fallbackTile', () => {
+        const tileData = ImageProcessor.convertPixels(blue, 64, 64, new Map(), { unmatchedPolicy: 'nearest', fallbackTile: 'sand' });
+        assert.equal(tileData.tiles[0][0], 'sand');
+    });
+});
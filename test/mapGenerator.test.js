@@ -0,0 +1,57 @@
+/**
+ * 随机地图生成测试
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { MapGenerator } = require('../js/nodeCore.js');
+
+const OPTIONS = { seed: 'test', zoneWidth: 1, zoneHeight: 1 };
+const FULL_PALETTE = [
+    'deep_ocean', 'close_ocean', 'shallow_waters', 'mountains', 'hills', 'sand',
+    'soil_low:grass_low', 'soil_high:grass_high', 'soil_low:desert_low', 'soil_high:desert_high'
+];
+
+/**
+ * 地图中出现的tile类型
+ */
+function usedTiles(map) {
+    return new Set(map.tiles.flat());
+}
+
+describe('generate', () => {
+    test('相同的种子和参数生成相同的地图，不同的种子生成不同的地图', () => {
+        const first = MapGenerator.generate(OPTIONS, FULL_PALETTE);
+        assert.deepEqual(MapGenerator.generate(OPTIONS, FULL_PALETTE), first);
+        assert.notDeepEqual(MapGenerator.generate({ ...OPTIONS, seed: 'other' }, FULL_PALETTE).tiles, first.tiles);
+    });
+
+    test('只使用颜色映射表中的tile类型', () => {
+        const palette = ['deep_ocean', 'soil_low:grass_low', 'soil_high:grass_high'];
+        const map = MapGenerator.generate({ ...OPTIONS, mountainDensity: 0.3 }, palette);
+        assert.deepEqual([...usedTiles(map)].sort(), [...palette].sort());
+    });
+
+    test('没有生物群系时使用soil_low/soil_high', () => {
+        const map = MapGenerator.generate(OPTIONS, ['close_ocean', 'soil_low']);
+        assert.deepEqual([...usedTiles(map)].sort(), ['close_ocean', 'soil_low']);
+    });
+});
+
+describe('findTerrain', () => {
+    test('地形角色按顺序使用映射表中存在的tile类型，非必需的角色缺少时为null', () => {
+        assert.deepEqual(MapGenerator.findTerrain(['shallow_waters', 'hills']), {
+            deepWater: 'shallow_waters',
+            closeWater: 'shallow_waters',
+            shallowWater: 'shallow_waters',
+            mountain: 'hills',
+            hill: 'hills',
+            beach: null
+        });
+    });
+
+    test('缺少水域或陆地tile类型时报错', () => {
+        assert.throws(() => MapGenerator.generate(OPTIONS, ['soil_low', 'sand']), /没有深海可用的tile类型/);
+        assert.throws(() => MapGenerator.generate(OPTIONS, ['deep_ocean', 'sand']), /没有陆地可用的tile类型/);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * 地图统计测试
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { MapStatistics, ConversionPipeline } = require('../js/nodeCore.js');
+
+/**
+ * 生成128×64（2×1 zones）的地图：左侧zone中有一块16×16的草地岛屿，右侧zone中有一块8×4的沙滩岛屿和一个单独的山地tile
+ */
+function twoIslands() {
+    const tiles = Array.from({ length: 64 }, () => new Array(128).fill('deep_ocean'));
+    for (let y = 10; y < 26; y++) tiles[y].fill('soil_low:grass_low', 10, 26);
+    for (let y = 40; y < 44; y++) tiles[y].fill('sand', 80, 88);
+    tiles[60][120] = 'mountains';
+    return tiles;
+}
+
+describe('analyze', () => {
+    const report = MapStatistics.analyze(twoIslands());
+
+    test('统计各tile类型的数量和占比', () => {
+        assert.equal(report.totalTiles, 128 * 64);
+        assert.deepEqual(report.tileTypes.map(({ tileType, count }) => [tileType, count]), [
+            ['deep_ocean', 128 * 64 - 256 - 32 - 1],
+            ['soil_low:grass_low', 256],
+            ['sand', 32],
+            ['mountains', 1]
+        ]);
+        assert.equal(report.tileTypes[1].percent, 3.13);
+    });
+
+    test('统计陆地和水域的比例', () => {
+        assert.equal(report.land, 289);
+        assert.equal(report.water, 128 * 64 - 289);
+        assert.equal(report.landPercent + report.waterPercent, 100);
+    });
+
+    test('各陆地按面积从大到小编号，并统计其组成', () => {
+        assert.deepEqual(report.landmasses.map(({ rank, size }) => [rank, size]), [[1, 256], [2, 32], [3, 1]]);
+        assert.deepEqual(report.landmasses[1].tileTypes, [{ tileType: 'sand', count: 32, percent: 100 }]);
+        assert.equal(report.landmasses[0].percent, 88.58);
+        assert.deepEqual(
+            [report.landmasses[1].minX, report.landmasses[1].minY, report.landmasses[1].maxX, report.landmasses[1].maxY],
+            [80, 40, 87, 43]
+        );
+    });
+
+    test('统计每个zone的主要tile类型，zone(0, 0)在左下角', () => {
+        assert.equal(report.zoneWidth, 2);
+        assert.equal(report.zoneHeight, 1);
+        const [left, right] = report.zones;
+        assert.deepEqual([left.zoneX, left.zoneY, right.zoneX, right.zoneY], [0, 0, 1, 0]);
+        assert.equal(left.dominantTile, 'deep_ocean');
+        assert.equal(left.landPercent, 6.25);
+        assert.deepEqual(right.tileTypes.map(({ tileType }) => tileType), ['deep_ocean', 'sand', 'mountains']);
+    });
+
+    test('地图尺寸不是64的倍数时，边缘的zone按实际tile数计算占比', () => {
+        const tiles = Array.from({ length: 10 }, () => new Array(70).fill('sand'));
+        const { zones } = MapStatistics.analyze(tiles);
+        assert.equal(zones.length, 2);
+        assert.equal(zones[1].tileTypes[0].count, 60);
+        assert.equal(zones[1].dominantPercent, 100);
+    });
+});
+
+describe('导出', () => {
+    const report = MapStatistics.analyze(twoIslands());
+
+    test('CSV包含陆地/水域、全图、各陆地和各zone的数据', () => {
+        const lines = MapStatistics.toCsv(report).trim().split('\n');
+        assert.equal(lines[0], 'scope,landmass,zone_x,zone_y,tile_type,count,percent');
+        assert.ok(lines.includes('terrain,,,,land,289,3.53'));
+        assert.ok(lines.includes('map,,,,sand,32,0.39'));
+        assert.ok(lines.includes('landmass,2,,,sand,32,100'));
+        assert.ok(lines.includes('zone,,1,0,mountains,1,0.02'));
+        const expectedRows = 2 + report.tileTypes.length
+            + report.landmasses.reduce((sum, landmass) => sum + landmass.tileTypes.length, 0)
+            + report.zones.reduce((sum, zone) => sum + zone.tileTypes.length, 0);
+        assert.equal(lines.length - 1, expectedRows);
+    });
+
+    test('JSON可以还原为统计报告', () => {
+        assert.deepEqual(JSON.parse(MapStatistics.toJson(report)), report);
+    });
+
+    test('生成存档时返回统计报告', async () => {
+        const tiles = twoIslands();
+        const { statistics } = await ConversionPipeline.generate({ tileData: { width: 128, height: 64, tiles }, statsConfig: {} });
+        assert.deepEqual(statistics, report);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * 后处理测试
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { PostProcessor } = require('../js/nodeCore.js');
+
+/**
+ * 生成8×8的海洋，中间有一个未匹配颜色的单独草地tile（3, 3）
+ */
+function oceanWithStray() {
+    const width = 8;
+    const height = 8;
+    const tiles = Array.from({ length: height }, () => new Array(width).fill('deep_ocean'));
+    tiles[3][3] = 'soil_low:grass_low';
+    const unmatchedMask = new Uint8Array(width * height);
+    unmatchedMask[3 * width + 3] = 1;
+    unmatchedMask[0] = 1;
+    return { width, height, tiles, unmatchedMask };
+}
+
+describe('apply', () => {
+    const rules = PostProcessor.parseRules({ minRegionSize: 2 });
+
+    test('移除小区域，不修改原数据', () => {
+        const tileData = oceanWithStray();
+        const result = PostProcessor.apply(tileData, rules);
+        assert.equal(result.tiles[3][3], 'deep_ocean');
+        assert.equal(tileData.tiles[3][3], 'soil_low:grass_low');
+        assert.deepEqual(result.postProcessStats, { removedRegions: 1, regionTiles: 1, widenedTiles: 0, transitionTiles: 0 });
+    });
+
+    test('被替换的tile清除未匹配标记，未修改的tile保留标记', () => {
+        const tileData = oceanWithStray();
+        const result = PostProcessor.apply(tileData, rules);
+        assert.equal(result.unmatchedMask[3 * 8 + 3], 0);
+        assert.equal(result.unmatchedMask[0], 1);
+        assert.equal(tileData.unmatchedMask[3 * 8 + 3], 1);
+    });
+
+    test('没有未匹配标记时不生成', () => {
+        const { width, height, tiles } = oceanWithStray();
+        assert.equal(PostProcessor.apply({ width, height, tiles }, rules).unmatchedMask, undefined);
+    });
+});
+
+/**
+ * 由字符串行生成tile数据，第一行为地图顶部；字符按legend换算为tile类型
+ */
+function fromRows(rows, legend) {
+    const tiles = rows.slice().reverse().map(row => Array.from(row, char => legend[char]));
+    return { width: tiles[0].length, height: tiles.length, tiles };
+}
+
+describe('移除小区域', () => {
+    const legend = { g: 'soil_low:grass_low', w: 'shallow_waters', s: 'summit', a: 'sand', b: 'soil_high:grass_high' };
+
+    test('规则可以是数字、单条规则或规则列表', () => {
+        assert.deepEqual(PostProcessor.parseRules({ minRegionSize: 4 }).minRegionSize, [{ size: 4, tiles: [], exclude: [] }]);
+        assert.deepEqual(PostProcessor.parseRules({ minRegionSize: { size: 4, tiles: 'sand, hills' } }).minRegionSize, [{ size: 4, tiles: ['sand', 'hills'], exclude: [] }]);
+        const rules = PostProcessor.parseRules(PostProcessor.DEFAULT_RULES);
+        assert.deepEqual(PostProcessor.parseRules(JSON.parse(JSON.stringify(rules))), rules);
+    });
+
+    test('默认规则保留小湖泊和山顶', () => {
+        const tileData = fromRows([
+            'gggggggg',
+            'gwwggsgg',
+            'gwwggggg',
+            'gggggagg'
+        ], legend);
+        const result = PostProcessor.apply(tileData, { ...PostProcessor.parseRules(PostProcessor.DEFAULT_RULES), transitions: [] });
+        assert.equal(result.tiles[2][1], 'shallow_waters');
+        assert.equal(result.tiles[2][5], 'summit');
+        assert.equal(result.tiles[0][5], 'soil_low:grass_low');
+        assert.equal(result.postProcessStats.removedRegions, 1);
+    });
+
+    test('tiles只处理列出的tile类型，exclude排除列出的tile类型', () => {
+        const tileData = fromRows(['ggggg', 'gagsg', 'ggggg'], legend);
+        const onlySand = PostProcessor.apply(tileData, PostProcessor.parseRules({ minRegionSize: { size: 2, tiles: ['sand'] } }));
+        assert.deepEqual([onlySand.tiles[1][1], onlySand.tiles[1][3]], ['soil_low:grass_low', 'summit']);
+
+        const noSand = PostProcessor.apply(tileData, PostProcessor.parseRules({ minRegionSize: { size: 2, exclude: 'sand' } }));
+        assert.deepEqual([noSand.tiles[1][1], noSand.tiles[1][3]], ['sand', 'soil_low:grass_low']);
+    });
+
+    test('棋盘格的小区域之间不来回交换', () => {
+        const tileData = fromRows(['gbgb', 'bgbg', 'gbgb', 'bgbg'], legend);
+        const result = PostProcessor.apply(tileData, PostProcessor.parseRules({ minRegionSize: 2 }));
+        assert.deepEqual(result.tiles, tileData.tiles);
+        assert.equal(result.postProcessStats.removedRegions, 0);
+    });
+
+    test('大区域中的棋盘格从边缘向内替换', () => {
+        const tileData = fromRows(['aaaa', 'agba', 'abga', 'aaaa'], legend);
+        const result = PostProcessor.apply(tileData, PostProcessor.parseRules({ minRegionSize: 2 }));
+        assert.ok(result.tiles.flat().every(tileType => tileType === 'sand'));
+        assert.equal(result.postProcessStats.removedRegions, 4);
+    });
+});
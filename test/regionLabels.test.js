@@ -0,0 +1,109 @@
+/**
+ * 地区名称测试
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { RegionLabels, Civilizations, SaveGenerator, ConversionPipeline, TileAnalysis } = require('../js/nodeCore.js');
+
+/**
+ * 生成64×64的地图：左下角一块20×20的草地大陆，右上角一块4×4的沙滩小岛
+ */
+function continentAndIsland() {
+    const tiles = Array.from({ length: 64 }, () => new Array(64).fill('deep_ocean'));
+    for (let y = 2; y < 22; y++) tiles[y].fill('soil_low:grass_low', 2, 22);
+    for (let y = 50; y < 54; y++) tiles[y].fill('sand', 50, 54);
+    return tiles;
+}
+
+describe('detect', () => {
+    test('面积不小于最小面积的陆地按面积从大到小命名，位置在陆地上', () => {
+        const tiles = continentAndIsland();
+        assert.deepEqual(RegionLabels.detect(tiles, 16), [
+            { name: '陆地 1', x: 11, y: 11 },
+            { name: '陆地 2', x: 51, y: 51 }
+        ]);
+        assert.equal(RegionLabels.detect(tiles).length, 1);
+    });
+});
+
+describe('解析', () => {
+    test('JSON可以是regions数组或直接为数组，导出后可重新读取', () => {
+        const labels = RegionLabels.parse('{"regions": [{"name": " 北境 ", "x": "3", "y": 4}]}');
+        assert.deepEqual(labels, [{ name: '北境', x: 3, y: 4 }]);
+        assert.deepEqual(RegionLabels.parse(RegionLabels.toJson(labels)), labels);
+        assert.deepEqual(RegionLabels.parse('[{"name": "南海", "x": 0, "y": 0}]'), [{ name: '南海', x: 0, y: 0 }]);
+    });
+
+    test('数据有误时指出位置', () => {
+        assert.throws(() => RegionLabels.parse('{'), /JSON格式无效/);
+        assert.throws(() => RegionLabels.parse('{}'), /缺少regions数组/);
+        assert.throws(() => RegionLabels.parse('[{"x": 1, "y": 1}]'), /第1项：缺少名称/);
+        assert.throws(() => RegionLabels.parse('[{"name": "甲", "x": 1, "y": 1}, {"name": "乙", "x": 1.5, "y": 1}]'), /第2项：坐标/);
+        assert.throws(() => RegionLabels.parse(JSON.stringify([{ name: '长'.repeat(41), x: 0, y: 0 }])), /不能超过 40 个字符/);
+    });
+});
+
+describe('resolve/validate', () => {
+    const tiles = continentAndIsland();
+    const labels = [
+        { name: '大陆', x: 5, y: 5 },
+        { name: '大洋', x: 40, y: 10 },
+        { name: '大陆东部', x: 20, y: 20 },
+        { name: '远方', x: 64, y: 0 }
+    ];
+
+    test('名称所在的陆地和面积，位于水域或超出地图时landmass为-1', () => {
+        assert.deepEqual(RegionLabels.resolve(labels, tiles).map(({ number, landmass, size }) => [number, landmass, size]), [
+            [1, 0, 400],
+            [2, -1, 0],
+            [3, 0, 400],
+            [4, -1, 0]
+        ]);
+    });
+
+    test('超出地图为错误，同一块陆地上有多个名称为警告', () => {
+        const issues = RegionLabels.validate(labels, tiles);
+        assert.deepEqual(issues.map(({ level, index }) => [level, index]), [['warning', 2], ['error', 3]]);
+        assert.match(issues[0].message, /"大陆东部"与"大陆"位于同一块陆地/);
+    });
+});
+
+describe('写入存档', () => {
+    const tiles = continentAndIsland();
+    const labels = [{ name: '西海', x: 40, y: 10 }, { name: '北境', x: 5, y: 5 }, { name: '北境南部', x: 6, y: 6 }];
+    const markers = [
+        { x: 4, y: 4, kingdom: '甲' },
+        { x: 14, y: 4, kingdom: '甲', city: '铁堡' },
+        { x: 4, y: 14, kingdom: '乙' },
+        { x: 51, y: 51, kingdom: '丙' }
+    ].map((item, index) => Civilizations.normalizeMarker(item, `第${index + 1}项`));
+
+    test('未命名的城市按所在陆地的第一个名称命名，已命名或不在已命名陆地上的城市不变', () => {
+        const named = RegionLabels.nameSettlements(markers, labels, tiles);
+        assert.deepEqual(named.map(({ city }) => city), ['北境', '铁堡', '北境 2', '']);
+        assert.equal(markers[0].city, '');
+    });
+
+    test('存档中的城市名称和地图说明包含地区名称', () => {
+        const save = SaveGenerator.generateSaveData(64, 64, tiles, { settlements: markers, regions: labels });
+        assert.deepEqual(save.cities.map(({ name }) => name), ['北境', '铁堡', '北境 2', '丙 4']);
+        assert.equal(save.mapStats.description, '地区：西海 (40, 10)；北境 (5, 5)；北境南部 (6, 6)');
+    });
+
+    test('生成存档和统计报告时只查找一次陆地', async (t) => {
+        const findLandmasses = t.mock.method(TileAnalysis, 'findLandmasses');
+        const statsConfig = { settlements: markers, regions: labels, camera: { mode: 'largestLandmass' } };
+        SaveGenerator.generateSaveData(64, 64, tiles, statsConfig);
+        assert.equal(findLandmasses.mock.callCount(), 1);
+
+        await ConversionPipeline.generate({ tileData: { width: 64, height: 64, tiles }, statsConfig });
+        assert.equal(findLandmasses.mock.callCount(), 2);
+    });
+
+    test('没有地区名称时不写入地图说明', () => {
+        const save = SaveGenerator.generateSaveData(64, 64, tiles, { settlements: markers });
+        assert.equal('description' in save.mapStats, false);
+        assert.equal(save.cities[0].name, '甲 1');
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * 存档生成测试：RLE压缩，以及从图片到.wbox的完整流程与golden存档对比
+ * 修改存档格式后，运行 UPDATE_GOLDEN=1 npm test 重新生成 test/fixtures 中的golden文件，并检查差异
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { SaveGenerator, ConversionPipeline, ImageProcessor, ColorMapIO, ExcelParser, WorldLaws, PngCodec } = require('../js/nodeCore.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+/**
+ * 按RLE压缩一组行，tile类型索引按首次出现的顺序分配
+ */
+function compress(rows) {
+    const tileTypeToIndex = new Map();
+    for (const row of rows) {
+        for (const tileType of row) {
+            if (!tileTypeToIndex.has(tileType)) tileTypeToIndex.set(tileType, tileTypeToIndex.size);
+        }
+    }
+    return SaveGenerator.generateRLECompressedTiles(rows[0].length, rows.length, rows, tileTypeToIndex);
+}
+
+/**
+ * 生成指定尺寸、全部为同一tile类型的地图
+ */
+function uniformTiles(width, height, tileType) {
+    return Array.from({ length: height }, () => new Array(width).fill(tileType));
+}
+
+describe('generateRLECompressedTiles', () => {
+    test('整行相同的tile压缩为一段', () => {
+        const { tileArray, tileAmounts } = compress([new Array(64).fill('sand')]);
+        assert.deepEqual(tileArray, [[0]]);
+        assert.deepEqual(tileAmounts, [[64]]);
+    });
+
+    test('行首和行尾单独的tile各自成段', () => {
+        const row = new Array(64).fill('sand');
+        row[0] = 'deep_ocean';
+        row[63] = 'mountains';
+        const { tileArray, tileAmounts } = compress([row]);
+        assert.deepEqual(tileArray, [[0, 1, 2]]);
+        assert.deepEqual(tileAmounts, [[1, 62, 1]]);
+    });
+
+    test('交替的tile不合并', () => {
+        const row = Array.from({ length: 6 }, (_, x) => (x % 2 === 0 ? 'sand' : 'deep_ocean'));
+        const { tileArray, tileAmounts } = compress([row]);
+        assert.deepEqual(tileArray, [[0, 1, 0, 1, 0, 1]]);
+        assert.deepEqual(tileAmounts, [[1, 1, 1, 1, 1, 1]]);
+    });
+
+    test('只有一个tile的行', () => {
+        const { tileArray, tileAmounts } = compress([['sand'], ['deep_ocean'], ['sand']]);
+        assert.deepEqual(tileArray, [[0], [1], [0]]);
+        assert.deepEqual(tileAmounts, [[1], [1], [1]]);
+    });
+
+    test('段不跨行合并，每行的数量之和等于宽度', () => {
+        const rows = [
+            ['sand', 'sand', 'sand', 'sand'],
+            ['sand', 'deep_ocean', 'deep_ocean', 'deep_ocean'],
+            ['deep_ocean', 'deep_ocean', 'deep_ocean', 'sand']
+        ];
+        const { tileArray, tileAmounts } = compress(rows);
+        assert.deepEqual(tileArray, [[0], [0, 1], [1, 0]]);
+        assert.deepEqual(tileAmounts, [[4], [1, 3], [3, 1]]);
+        for (const amounts of tileAmounts) {
+            assert.equal(amounts.reduce((sum, count) => sum + count, 0), 4);
+        }
+    });
+
+    test('expandRLECompressedTiles还原压缩前的tile', () => {
+        const tiles = uniformTiles(64, 64, 'deep_ocean');
+        tiles[0][0] = 'sand';
+        tiles[63][63] = 'soil_low:grass_low';
+        tiles[31].fill('mountains', 10, 50);
+        const savedMap = SaveGenerator.generateSaveData(64, 64, tiles);
+        assert.deepEqual(SaveGenerator.expandRLECompressedTiles(savedMap).tiles, tiles);
+    });
+});
+
+describe('generateSaveData', () => {
+    test('尺寸不是64的倍数时报错', () => {
+        assert.throws(() => SaveGenerator.generateSaveData(64, 65, uniformTiles(64, 65, 'sand')), /64的倍数/);
+    });
+
+    test('width和height为zone数量', () => {
+        const savedMap = SaveGenerator.generateSaveData(128, 64, uniformTiles(128, 64, 'sand'));
+        assert.equal(savedMap.width, 2);
+        assert.equal(savedMap.height, 1);
+        assert.deepEqual(savedMap.tileMap, ['sand']);
+    });
+});
+
+describe('图片转换为.wbox', () => {
+    const STATS_CONFIG = {
+        playerName: 'Golden',
+        population: 10,
+        worldTime: 2,
+        camera: { mode: 'largestLandmass', zoom: 1.5 },
+        worldLaws: WorldLaws.presetValues('peacefulSandbox')
+    };
+
+    /**
+     * 按固定设置转换fixtures中的island.png并生成.wbox
+     */
+    async function convertIsland() {
+        const entries = ColorMapIO.parseText(fs.readFileSync(path.join(FIXTURES, 'colors.json'), 'utf8'), 'json');
+        const image = PngCodec.decode(fs.readFileSync(path.join(FIXTURES, 'island.png')));
+        const tileData = ImageProcessor.convertPixels(image.data, image.width, image.height, ExcelParser.toColorMap(entries), {
+            toleranceLevel: 5
+        });
+        const { wboxData } = await ConversionPipeline.generate({ tileData, statsConfig: STATS_CONFIG });
+        return { tileData, wboxData };
+    }
+
+    /**
+     * 读取golden文件；UPDATE_GOLDEN=1时先用当前结果覆盖
+     */
+    function golden(filename, actual) {
+        const file = path.join(FIXTURES, filename);
+        if (UPDATE_GOLDEN) {
+            fs.writeFileSync(file, actual);
+        }
+        return fs.readFileSync(file);
+    }
+
+    test('解压后的存档与golden JSON一致', async () => {
+        const { wboxData } = await convertIsland();
+        const savedMap = SaveGenerator.parseWboxFile(wboxData);
+        const expected = JSON.parse(golden('island.json', SaveGenerator.toJSON(savedMap, true) + '\n'));
+        assert.deepEqual(savedMap, expected);
+    });
+
+    test('golden存档导入后与转换结果一致，重新生成的存档不变', async () => {
+        const { tileData, wboxData } = await convertIsland();
+        const imported = SaveGenerator.loadWboxFile(golden('island.wbox', wboxData));
+        assert.equal(imported.width, tileData.width);
+        assert.equal(imported.height, tileData.height);
+        assert.deepEqual(imported.tiles, tileData.tiles);
+
+        const regenerated = await ConversionPipeline.generate({ tileData: imported, statsConfig: STATS_CONFIG });
+        assert.deepEqual(SaveGenerator.parseWboxFile(regenerated.wboxData), imported.savedMap);
+    });
+});
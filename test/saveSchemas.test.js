@@ -0,0 +1,112 @@
+/**
+ * 存档格式版本测试：按版本构建SavedMap，以及检查字段、类型、saveVersion和RLE压缩的tile数据
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { SaveSchemas } = require('../js/nodeCore.js');
+
+/**
+ * 构建1×1 zone（64×64 tiles）、全部为同一tile类型的合法存档
+ */
+function validSave() {
+    return SaveSchemas.build(SaveSchemas.DEFAULT_PROFILE, {
+        width: 1,
+        height: 1,
+        mapStats: {},
+        tileMap: ['deep_ocean'],
+        tileArray: Array.from({ length: 64 }, () => [0]),
+        tileAmounts: Array.from({ length: 64 }, () => [64])
+    });
+}
+
+function messages(savedMap) {
+    return SaveSchemas.validate(savedMap, SaveSchemas.DEFAULT_PROFILE).map(issue => `${issue.level}: ${issue.message}`);
+}
+
+describe('build', () => {
+    test('按版本的字段顺序填充默认值，丢弃版本中没有的字段', () => {
+        const savedMap = SaveSchemas.build('v17', { width: 1, height: 1, mapStats: {}, tileMap: [], tileArray: [], tileAmounts: [], unknown: 1 });
+        const profile = SaveSchemas.get('v17');
+        assert.deepEqual(Object.keys(savedMap), profile.fields.map(field => field.name));
+        assert.equal(savedMap.saveVersion, 17);
+        assert.equal(savedMap.camera_zoom, 1.0);
+        assert.equal('unknown' in savedMap, false);
+    });
+
+    test('默认值不在多个存档之间共用', () => {
+        const first = validSave();
+        first.cities.push({});
+        assert.deepEqual(validSave().cities, []);
+    });
+
+    test('缺少没有默认值的字段或版本未知时报错', () => {
+        assert.throws(() => SaveSchemas.build('v17', { width: 1, height: 1 }), /生成存档时缺少字段 mapStats/);
+        assert.throws(() => SaveSchemas.build('v99', {}), /未知的存档版本: v99/);
+    });
+});
+
+describe('validate', () => {
+    test('合法的存档没有问题', () => {
+        assert.deepEqual(messages(validSave()), []);
+    });
+
+    test('缺少字段和类型错误为错误，多余的字段为警告', () => {
+        const savedMap = validSave();
+        delete savedMap.kingdoms;
+        savedMap.camera_zoom = '1';
+        savedMap.mapStats = [];
+        savedMap.extra = true;
+        assert.deepEqual(messages(savedMap), [
+            'error: 字段 camera_zoom 应为 number',
+            'error: 字段 mapStats 应为 object',
+            'error: 缺少字段 kingdoms',
+            'warning: 字段 extra 不属于 saveVersion 17，游戏会忽略'
+        ]);
+    });
+
+    test('saveVersion与版本不一致为错误', () => {
+        const savedMap = validSave();
+        savedMap.saveVersion = 15;
+        assert.deepEqual(messages(savedMap), ['error: saveVersion 为 15，应为 17']);
+    });
+
+    test('不是对象时为错误', () => {
+        assert.deepEqual(messages(null), ['error: 存档不是有效的SavedMap对象']);
+        assert.deepEqual(messages([]), ['error: 存档不是有效的SavedMap对象']);
+    });
+});
+
+describe('validate: RLE压缩的tile数据', () => {
+    test('地图尺寸无效', () => {
+        const savedMap = validSave();
+        savedMap.width = 0;
+        assert.deepEqual(messages(savedMap), ['error: 地图尺寸无效：0×1 zones']);
+    });
+
+    test('行数与高度不一致', () => {
+        const savedMap = validSave();
+        savedMap.tileArray.pop();
+        savedMap.tileAmounts.pop();
+        assert.deepEqual(messages(savedMap), ['error: tileArray/tileAmounts的行数(63/63)与高度(64)不一致']);
+    });
+
+    test('一行中tile数量之和与宽度不一致', () => {
+        const savedMap = validSave();
+        savedMap.tileAmounts[5] = [63];
+        assert.deepEqual(messages(savedMap), ['error: 第5行的tile数量(63)与宽度(64)不一致']);
+
+        savedMap.tileAmounts[5] = [64];
+        savedMap.width = 2;
+        assert.deepEqual(messages(savedMap), ['error: 第0行的tile数量(64)与宽度(128)不一致']);
+    });
+
+    test('tileArray与tileAmounts长度不一致或引用不存在的tile索引', () => {
+        const savedMap = validSave();
+        savedMap.tileArray[3] = [0, 0];
+        assert.deepEqual(messages(savedMap), ['error: 第3行的tileArray与tileAmounts长度不一致']);
+
+        savedMap.tileArray[3] = [1];
+        assert.deepEqual(messages(savedMap), ['error: 第3行引用了不存在的tile索引']);
+    });
+});
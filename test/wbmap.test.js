@@ -0,0 +1,131 @@
+/**
+ * 命令行工具测试
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, buildSettings, resolveOutputs, checkOutputConflicts, main } = require('../bin/wbmap.js');
+const { SaveGenerator, WorldLaws } = require('../js/nodeCore.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * 断言抛出参数错误（退出码2）
+ */
+function assertUsageError(fn, pattern) {
+    assert.throws(fn, (error) => error.constructor.name === 'UsageError' && pattern.test(error.message));
+}
+
+describe('parseArgs', () => {
+    test('区分命令、输入和选项，支持短选项、--name=value和不带参数的选项', () => {
+        const { command, inputs, options } = parseArgs([
+            'convert', 'a.png', '-m', 'colors.json', '--tolerance=10', 'b/', '--stats', '-o', 'out/'
+        ]);
+        assert.equal(command, 'convert');
+        assert.deepEqual(inputs, ['a.png', 'b/']);
+        assert.deepEqual(options, { map: 'colors.json', tolerance: '10', stats: true, output: 'out/' });
+    });
+
+    test('参数值中可以包含等号', () => {
+        assert.equal(parseArgs(['convert', '--weights=sand=0.5']).options.weights, 'sand=0.5');
+    });
+
+    test('未知的选项和缺少参数为参数错误', () => {
+        assertUsageError(() => parseArgs(['convert', '--unknown']), /未知的选项: --unknown/);
+        assertUsageError(() => parseArgs(['convert', 'a.png', '-m']), /选项 -m 缺少参数/);
+    });
+});
+
+describe('buildSettings', () => {
+    test('不指定选项时使用默认设置', () => {
+        const { conversion, statsConfig } = buildSettings({});
+        assert.equal(conversion.toleranceLevel, 0);
+        assert.equal(conversion.quantization, null);
+        assert.equal(statsConfig.worldLaws, null);
+        assert.deepEqual(statsConfig.settlements, []);
+        assert.deepEqual(statsConfig.regions, []);
+        assert.deepEqual(statsConfig.camera, { mode: 'origin', x: null, y: null, zoom: SaveGenerator.DEFAULT_CAMERA_ZOOM });
+    });
+
+    test('选项换算为转换选项和存档设置', () => {
+        const { conversion, statsConfig } = buildSettings({
+            tolerance: '12.5', size: '3x2', dither: 'ordered', weights: 'sand=0.5',
+            worldLaws: 'peacefulSandbox', zoom: '2', camera: 'center', playerName: 'CLI'
+        });
+        assert.equal(conversion.toleranceLevel, 12.5);
+        assert.deepEqual([conversion.targetZoneWidth, conversion.targetZoneHeight], [3, 2]);
+        assert.equal(buildSettings({ size: '12x12' }).conversion.targetZoneWidth, 12);
+        assert.equal(conversion.quantization.dithering, 'ordered');
+        assert.deepEqual(statsConfig.worldLaws, WorldLaws.presetValues('peacefulSandbox'));
+        assert.deepEqual(statsConfig.camera, { mode: 'center', x: null, y: null, zoom: 2 });
+        assert.equal(statsConfig.playerName, 'CLI');
+    });
+
+    test('无效的选项值为参数错误', () => {
+        assertUsageError(() => buildSettings({ tolerance: '101' }), /颜色容忍度/);
+        assertUsageError(() => buildSettings({ metric: 'hsv' }), /未知的颜色距离算法/);
+        assertUsageError(() => buildSettings({ resize: 'zoom' }), /未知的尺寸调整模式/);
+        assertUsageError(() => buildSettings({ size: '5by5' }), /目标尺寸格式无效/);
+        assertUsageError(() => buildSettings({ resize: 'scale', size: '100000x100000' }), /目标尺寸过大: 100000x100000，宽和高最多 12 个zone/);
+        assertUsageError(() => buildSettings({ size: '13x1' }), /目标尺寸过大/);
+        assertUsageError(() => buildSettings({ dither: 'ordered', weights: 'sand' }), /--weights 无效/);
+        assertUsageError(() => buildSettings({ camera: 'manual' }), /未知的相机位置方式/);
+        assertUsageError(() => buildSettings({ zoom: 'abc' }), /相机缩放必须是大于0的数字/);
+        assertUsageError(() => buildSettings({ zoom: '0' }), /相机缩放/);
+        assertUsageError(() => buildSettings({ worldLaws: 'anarchy' }), /未知的世界法则预设: anarchy/);
+        assertUsageError(() => buildSettings({ saveVersion: 'v99' }), /未知的存档版本: v99/);
+    });
+
+    test('--settlements需要同时指定--experimental', () => {
+        const file = path.join(os.tmpdir(), 'wbmap-settlements.json');
+        fs.writeFileSync(file, JSON.stringify([{ x: 1, y: 1, kingdom: '甲' }]));
+        try {
+            assertUsageError(() => buildSettings({ settlements: file }), /--settlements 是实验性功能/);
+            assert.equal(buildSettings({ settlements: file, experimental: true }).statsConfig.settlements.length, 1);
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+    });
+
+    test('找不到或无法解析--settlements/--regions文件为参数错误', () => {
+        const missing = path.join(os.tmpdir(), 'wbmap-missing.json');
+        assertUsageError(() => buildSettings({ settlements: missing, experimental: true }), /找不到 --settlements 指定的文件/);
+        assertUsageError(() => buildSettings({ regions: missing }), /找不到 --regions 指定的文件/);
+        assertUsageError(() => buildSettings({ regions: path.join(FIXTURES, 'colors.json') }), /--regions 无效/);
+    });
+});
+
+describe('输出路径', () => {
+    test('单个输入时-o为输出文件，批量转换时为输出文件夹', () => {
+        assert.deepEqual(resolveOutputs(['a/map.png'], undefined, false), [path.join('a', 'map.wbox')]);
+        assert.deepEqual(resolveOutputs(['a/map.png'], 'x.wbox', false), ['x.wbox']);
+        assert.deepEqual(resolveOutputs(['a/map.png', 'b/other.png'], 'out', true), [path.join('out', 'map.wbox'), path.join('out', 'other.wbox')]);
+    });
+
+    test('多个输入写入同一个输出文件时为参数错误', () => {
+        const files = ['a/map.png', 'b/map.png'];
+        assertUsageError(() => checkOutputConflicts(files, resolveOutputs(files, 'out/', true)), /a\/map.png 和 b\/map.png 都会输出到/);
+        assert.doesNotThrow(() => checkOutputConflicts(files, resolveOutputs(files, undefined, true)));
+    });
+
+    test('转换前检查输出冲突，不写入任何文件', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wbmap-'));
+        try {
+            for (const name of ['a', 'b']) {
+                fs.mkdirSync(path.join(dir, name));
+                fs.copyFileSync(path.join(FIXTURES, 'island.png'), path.join(dir, name, 'map.png'));
+            }
+            const output = path.join(dir, 'out');
+            await assert.rejects(
+                main(['convert', path.join(dir, 'a', 'map.png'), path.join(dir, 'b', 'map.png'), '-m', path.join(FIXTURES, 'colors.json'), '-o', output]),
+                /都会输出到/
+            );
+            assert.equal(fs.existsSync(output), false);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});